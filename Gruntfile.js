@@ -34,6 +34,7 @@ module.exports = function (grunt) {
             all: [
                 "*.js",
                 "src/**/*.js",
+                "test/**/*.js",
                 "examples/**/*.js",
                 "!package.json"
             ]
@@ -64,7 +65,8 @@ module.exports = function (grunt) {
             src: [
                 "*",
                 "src/**/*.json",
-                "src/**/*.js"
+                "src/**/*.js",
+                "test/**/*.js"
             ],
             options: {
                 newline: true,
@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/* global _spaces */
+
+import Promise from "bluebird";
+import _ from "lodash";
+import semver from "semver";
+
+import { UnsupportedError } from "./util/errors";
+
+/**
+ * Requirements of the known capabilities, by name.
+ *
+ * @private
+ * @type {Map.<string, Requirements|function():boolean>}
+ */
+const _capabilities = new Map();
+
+/**
+ * Memoized support of the capabilities, by name.
+ *
+ * @private
+ * @type {Map.<string, boolean>}
+ */
+const _supported = new Map();
+
+/**
+ * Requirements of a capability, all of which must be met:
+ *     version: a semver range that the Spaces plug-in version must satisfy
+ *     featureFlags: names of the feature flags that must be set
+ *     bridge: paths of the native functions that must exist, relative to
+ *         _spaces, e.g. "ps.requestImage"
+ *
+ * @typedef {{version: string=, featureFlags: Array.<string>=, bridge: Array.<string>=}} Requirements
+ */
+
+/**
+ * Get the version of the Spaces plug-in as a string.
+ *
+ * @return {string}
+ */
+export function getPluginVersion () {
+    const version = _spaces.version;
+
+    return [version.major, version.minor, version.patch].join(".");
+}
+
+/**
+ * Check whether the version of the Spaces plug-in satisfies a semver range.
+ *
+ * @param {string} range
+ * @return {boolean}
+ */
+export function satisfiesVersion (range) {
+    return semver.satisfies(getPluginVersion(), range);
+}
+
+/**
+ * Check whether a feature flag is set in the plug-in's manifest.json file.
+ *
+ * @param {string} name
+ * @return {boolean}
+ */
+export function hasFeatureFlag (name) {
+    const flags = _spaces["feature_flags"];
+
+    return !!(flags && flags[name]);
+}
+
+/**
+ * Check whether the bridge provides a native function.
+ *
+ * @param {string} path Path relative to _spaces, e.g. "ps.requestImage"
+ * @return {boolean}
+ */
+export function hasBridgeFunction (path) {
+    return typeof _.get(_spaces, path) === "function";
+}
+
+/**
+ * Define a capability, replacing any previous definition with the same name.
+ *
+ * @param {string} name
+ * @param {Requirements|function():boolean} requirements Requirements or a test of the host
+ */
+export function define (name, requirements) {
+    _capabilities.set(name, requirements);
+    _supported.delete(name);
+}
+
+/**
+ * Check whether the host supports a capability. The result is memoized.
+ *
+ * @param {string} name
+ * @return {boolean}
+ * @throws {Error} If the capability is unknown
+ */
+export function isSupported (name) {
+    if (_supported.has(name)) {
+        return _supported.get(name);
+    }
+
+    const requirements = _capabilities.get(name);
+
+    if (!requirements) {
+        throw new Error("Unknown capability: " + name);
+    }
+
+    let supported;
+
+    if (typeof requirements === "function") {
+        supported = !!requirements();
+    } else {
+        supported = (!requirements.version || satisfiesVersion(requirements.version)) &&
+            _.every(requirements.featureFlags, hasFeatureFlag) &&
+            _.every(requirements.bridge, hasBridgeFunction);
+    }
+
+    _supported.set(name, supported);
+
+    return supported;
+}
+
+/**
+ * Throw if the host doesn't support a capability.
+ *
+ * @param {string} name
+ * @throws {UnsupportedError}
+ */
+export function assertSupported (name) {
+    if (!isSupported(name)) {
+        throw new UnsupportedError("Unsupported in this host: " + name + " (Spaces plug-in " +
+            getPluginVersion() + ")", { capability: name });
+    }
+}
+
+/**
+ * Gate a function, e.g. a lib helper, on a capability: the returned function
+ * throws an UnsupportedError instead of calling it if the host doesn't
+ * support the capability.
+ *
+ *      export const helper = capabilities.gate("someCapability", function (...) { ... });
+ *
+ * @param {string} name
+ * @param {function} fn
+ * @return {function}
+ */
+export function gate (name, fn) {
+    return function (...args) {
+        assertSupported(name);
+
+        return fn.apply(this, args);
+    };
+}
+
+/**
+ * Gate a function that returns a promise on a capability, like gate: the
+ * returned function rejects with an UnsupportedError instead of calling it if
+ * the host doesn't support the capability.
+ *
+ * @param {string} name
+ * @param {function(...*):Promise} fn
+ * @return {function(...*):Promise}
+ */
+export function gateAsync (name, fn) {
+    return function (...args) {
+        try {
+            assertSupported(name);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return fn.apply(this, args);
+    };
+}
+
+/**
+ * Forget the memoized support of all capabilities, e.g. after the host
+ * changed in tests.
+ */
+export function reset () {
+    _supported.clear();
+}
+
+// The capabilities of the host's native functions. The lib helpers aren't gated here: they only build
+// PlayObjects, which are played through batchPlay in every host, and whether Photoshop supports their
+// descriptors depends on its build, which the plug-in version and feature flags don't tell. Apps that
+// know which builds they target define capabilities for them and gate the helpers they use, e.g.
+//      capabilities.define("owlPanels", { version: ">=3.1.0" });
+//      export const getPanelList = capabilities.gate("owlPanels", owl.getPanelList);
+define("requestImage", { bridge: ["ps.requestImage"] });
+define("activeTool", { bridge: ["ps.getActiveTool"] });
+define("overlayOffsets", { bridge: ["ps.ui.getOverlayOffsets", "ps.ui.setOverlayOffsets"] });
+define("overlayCloaking", { bridge: ["window.setOverlayCloaking"] });
+define("renderMode", { bridge: ["window.getRenderMode"] });
+define("convertibleSlateMode", { bridge: ["os.isConvertibleSlateMode"] });
+define("displayConfiguration", { bridge: ["os.getDisplayConfiguration"] });
+define("externalEventNotification", {
+    bridge: ["os.getExternalEventNotificationMode", "os.setExternalEventNotificationMode"]
+});
+define("directMessages", { bridge: ["ps.descriptor.sendDirectMessage"] });
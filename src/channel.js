@@ -0,0 +1,386 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/* global _spaces */
+
+import Promise from "bluebird";
+
+import NotifierProxy from "./util/notifierproxy";
+import { promisifier } from "./util/errors";
+import { splitTimeout, withTimeout } from "./util/timeout";
+
+/**
+ * Kinds of channel messages.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, string>}
+ */
+const _MESSAGE_TYPE = {
+    MESSAGE: "message",
+    REQUEST: "request",
+    RESPONSE: "response"
+};
+
+/**
+ * Serialize an error thrown by a request handler.
+ *
+ * @private
+ * @param {*} error
+ * @return {{name: string, message: string}}
+ */
+const _serializeError = function (error) {
+    return {
+        name: (error && error.name) || "Error",
+        message: error && error.message !== undefined ? error.message : String(error)
+    };
+};
+
+/**
+ * The Channel class lets Spaces surfaces, e.g. the main and contextual UIs,
+ * exchange messages through _spaces.sendNotification.
+ *
+ * Each surface creates a channel with its own name, which is the notifier
+ * group on which it receives messages, and the names of its peers. Messages
+ * on a topic are emitted as events named after the topic, with the message
+ * data and the name of the sender:
+ *
+ *      channel.on("selectionChanged", function (data, from) { ... });
+ *
+ * Requests are answered by the handler registered for their topic on the
+ * receiving surface, and are correlated with their responses by ID.
+ * Messages are only received while the channel is unpaused; pausing the
+ * channel rejects its pending requests.
+ */
+export class Channel extends NotifierProxy {
+    /**
+     * @param {string} name Name of this surface's notifier group
+     * @param {object=} options
+     * @param {Array.<string>=} options.peers Names of the channels of the other surfaces
+     * @param {number=} options.timeout Timeout of requests in milliseconds, overriding the default
+     *  timeout of bridge calls
+     */
+    constructor (name, options = {}) {
+        super(name, { events: null });
+
+        /**
+         * @type {string}
+         */
+        this.name = name;
+
+        /**
+         * Names of the channels to which messages are published.
+         *
+         * @type {Array.<string>}
+         */
+        this.peers = options.peers || [];
+
+        /**
+         * Options of requests, i.e. the timeout.
+         *
+         * @private
+         * @type {object}
+         */
+        this._requestOptions = options.hasOwnProperty("timeout") ? { timeout: options.timeout } : {};
+
+        /**
+         * Request handlers by topic.
+         *
+         * @private
+         * @type {Map.<string, function(*, string):*>}
+         */
+        this._handlers = new Map();
+
+        /**
+         * Pending requests by correlation ID.
+         *
+         * @private
+         * @type {Map.<string, {resolve: function, reject: function}>}
+         */
+        this._pendingRequests = new Map();
+
+        /**
+         * Counter of the correlation IDs of requests.
+         *
+         * @private
+         * @type {number}
+         */
+        this._requestIDCounter = 0;
+
+        /**
+         * Promisified version of sendNotification.
+         *
+         * @private
+         * @type {function(string, string, object, object):Promise}
+         */
+        this._sendNotificationAsync = this._traceCalls("sendNotification",
+            promisifier(_spaces.sendNotification, function (fn) {
+                return Promise.promisify(fn, { context: _spaces });
+            }));
+    }
+
+    /**
+     * Decode a notification from another surface.
+     *
+     * @private
+     * @param {*=} err
+     * @param {string} topic
+     * @param {{type: string, from: string, id: string=, data: *=, error: object=}} envelope
+     */
+    _emitNotification (err, topic, envelope) {
+        if (err) {
+            super._emitNotification(err, topic, envelope);
+            return;
+        } else if (topic === undefined || !envelope || !envelope.type) {
+            // Notifier registration callback, or a notification not sent by a channel
+            return;
+        }
+
+        switch (envelope.type) {
+        case _MESSAGE_TYPE.MESSAGE:
+            this.emit("all", topic, envelope.data, envelope.from);
+            this.emit(topic, envelope.data, envelope.from);
+            break;
+        case _MESSAGE_TYPE.REQUEST:
+            this._handleRequest(topic, envelope);
+            break;
+        case _MESSAGE_TYPE.RESPONSE:
+            this._handleResponse(envelope);
+            break;
+        }
+    }
+
+    /**
+     * Answer a request with the result of the handler for its topic.
+     *
+     * @private
+     * @param {string} topic
+     * @param {{from: string, id: string, data: *}} envelope
+     */
+    _handleRequest (topic, envelope) {
+        const handler = this._handlers.get(topic);
+
+        Promise.bind(this)
+            .then(function () {
+                if (!handler) {
+                    throw new Error("No handler for topic " + topic + " on channel " + this.name);
+                }
+
+                return handler(envelope.data, envelope.from);
+            })
+            .then(function (result) {
+                return { data: result === undefined ? null : result };
+            }, function (err) {
+                return { error: _serializeError(err) };
+            })
+            .then(function (response) {
+                return this._send(envelope.from, topic, Object.assign({
+                    type: _MESSAGE_TYPE.RESPONSE,
+                    id: envelope.id
+                }, response));
+            })
+            .catch(function (err) {
+                this.emit("error", err);
+            });
+    }
+
+    /**
+     * Settle the pending request that a response correlates with.
+     *
+     * @private
+     * @param {{from: string, id: string, data: *=, error: object=}} envelope
+     */
+    _handleResponse (envelope) {
+        const request = this._pendingRequests.get(envelope.id);
+
+        if (!request) {
+            // The request timed out, or was cancelled
+            return;
+        }
+
+        this._pendingRequests.delete(envelope.id);
+
+        if (envelope.error) {
+            const error = new Error(envelope.error.message);
+
+            error.name = envelope.error.name;
+            error.from = envelope.from;
+            request.reject(error);
+        } else {
+            request.resolve(envelope.data);
+        }
+    }
+
+    /**
+     * Send an envelope to another surface.
+     *
+     * @private
+     * @param {string} to
+     * @param {string} topic
+     * @param {object} envelope
+     * @return {Promise}
+     */
+    _send (to, topic, envelope) {
+        envelope.from = this.name;
+
+        return this._sendNotificationAsync(to, topic, envelope, {});
+    }
+
+    /**
+     * Send a message on a topic to another surface.
+     *
+     * @param {string} to Name of the other surface's channel
+     * @param {string} topic
+     * @param {*=} data Must be serializable
+     * @return {Promise} Resolves once the message is sent
+     */
+    send (to, topic, data = null) {
+        return this._send(to, topic, {
+            type: _MESSAGE_TYPE.MESSAGE,
+            data: data
+        });
+    }
+
+    /**
+     * Send a message on a topic to all peers.
+     *
+     * @param {string} topic
+     * @param {*=} data Must be serializable
+     * @return {Promise} Resolves once the message is sent to every peer
+     */
+    publish (topic, data = null) {
+        return Promise.map(this.peers, function (peer) {
+            return this.send(peer, topic, data);
+        }.bind(this)).return();
+    }
+
+    /**
+     * Listen for messages on a topic.
+     *
+     * @param {string} topic
+     * @param {function(*, string)} listener Receives the data and the name of the sender
+     * @return {function()} Removes the listener
+     */
+    subscribe (topic, listener) {
+        this.on(topic, listener);
+
+        return function () {
+            this.removeListener(topic, listener);
+        }.bind(this);
+    }
+
+    /**
+     * Register the handler of requests on a topic, replacing any previous one.
+     *
+     * @param {string} topic
+     * @param {?function(*, string):*} handler Receives the data and the name of the sender,
+     *  and returns the response data or a promise of it. Null to remove the handler.
+     */
+    handle (topic, handler) {
+        if (handler) {
+            this._handlers.set(topic, handler);
+        } else {
+            this._handlers.delete(topic);
+        }
+    }
+
+    /**
+     * Send a request on a topic to another surface, and wait for its response.
+     *
+     * @param {string} to Name of the other surface's channel
+     * @param {string} topic
+     * @param {*=} data Must be serializable
+     * @param {object=} options
+     * @param {number=} options.timeout In milliseconds, overrides the channel's timeout
+     * @return {Promise.<*>} Resolves with the response data, or rejects with the error
+     *  thrown by the handler, or a TimeoutError
+     */
+    request (to, topic, data = null, options = {}) {
+        const id = this.name + ":" + this._requestIDCounter++,
+            timeout = splitTimeout(Object.assign({}, this._requestOptions, options)).timeout;
+
+        const response = new Promise(function (resolve, reject, onCancel) {
+            this._pendingRequests.set(id, {
+                resolve: resolve,
+                reject: reject
+            });
+
+            if (onCancel) {
+                onCancel(function () {
+                    this._pendingRequests.delete(id);
+                }.bind(this));
+            }
+        }.bind(this));
+
+        this._send(to, topic, {
+            type: _MESSAGE_TYPE.REQUEST,
+            id: id,
+            data: data
+        }).catch(function (err) {
+            const request = this._pendingRequests.get(id);
+
+            if (request) {
+                this._pendingRequests.delete(id);
+                request.reject(err);
+            }
+        }.bind(this));
+
+        return withTimeout(response, timeout, { command: topic })
+            .finally(function () {
+                // Forget the request if it timed out, so that a late response is ignored
+                this._pendingRequests.delete(id);
+            }.bind(this));
+    }
+
+    /**
+     * Stop receiving messages, and reject the pending requests, whose
+     * responses can't be received anymore.
+     */
+    pause () {
+        super.pause();
+
+        const requests = Array.from(this._pendingRequests.values());
+
+        this._pendingRequests.clear();
+        requests.forEach(function (request) {
+            request.reject(new Error("Channel " + this.name + " was paused"));
+        }, this);
+    }
+}
+
+/**
+ * Construct a Channel, which starts receiving messages immediately.
+ *
+ * @param {string} name Name of this surface's notifier group
+ * @param {object=} options
+ * @param {Array.<string>=} options.peers
+ * @param {number=} options.timeout
+ * @return {Channel}
+ */
+export function makeChannel (name, options = {}) {
+    let channel = new Channel(name, options);
+
+    channel.unpause();
+
+    return channel;
+}
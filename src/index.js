@@ -56,6 +56,16 @@ export const version = _spaces.version;
  */
 export const compatiblePluginVersion = COMPATIBLE_PLUGIN_VERSIONS;
 
+/**
+ * Get the feature flags of the current context, as set in the plug-in's
+ * manifest.json file.
+ *
+ * @return {object}
+ */
+export function getFeatureFlags () {
+    return _spaces["feature_flags"];
+}
+
 /**
  * Abort the current application and return control to Classic Photoshop.
  * If a message is supplied, Classic Photoshop may display it to the user,
@@ -119,7 +129,9 @@ import * as util from "./util";
 import * as window from "./window";
 import * as ims from "./ims";
 import * as os from "./os";
+import * as capabilities from "./capabilities";
+import * as channel from "./channel";
 import PlayObject from "./playObject";
 import lib from "./lib";
 
-export { os, ps, util, PlayObject, lib, window, ims };
+export { os, ps, util, PlayObject, lib, window, ims, capabilities, channel };
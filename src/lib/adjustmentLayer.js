@@ -0,0 +1,652 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import PlayObject from "../playObject";
+import { wrapper, refersTo as referenceOf } from "./reference";
+import * as unitsIn from "./unit";
+import { colorObject } from "./color";
+import { Gradient } from "./gradient";
+import { assert } from "../util";
+
+export const referenceBy = wrapper("adjustmentLayer");
+
+/**
+ * Types of adjustment layers, as the class of their adjustment
+ *
+ * @const
+ * @type {Object.<string, string>}
+ */
+export const adjustmentTypes = Object.defineProperties({}, {
+    LEVELS: {
+        value: "levels",
+        writeable: false,
+        enumerable: true
+    },
+    CURVES: {
+        value: "curves",
+        writeable: false,
+        enumerable: true
+    },
+    HUE_SATURATION: {
+        value: "hueSaturation",
+        writeable: false,
+        enumerable: true
+    },
+    BRIGHTNESS_CONTRAST: {
+        value: "brightnessEvent",
+        writeable: false,
+        enumerable: true
+    },
+    COLOR_BALANCE: {
+        value: "colorBalance",
+        writeable: false,
+        enumerable: true
+    },
+    BLACK_AND_WHITE: {
+        value: "blackAndWhite",
+        writeable: false,
+        enumerable: true
+    },
+    PHOTO_FILTER: {
+        value: "photoFilter",
+        writeable: false,
+        enumerable: true
+    },
+    EXPOSURE: {
+        value: "exposure",
+        writeable: false,
+        enumerable: true
+    },
+    VIBRANCE: {
+        value: "vibrance",
+        writeable: false,
+        enumerable: true
+    },
+    GRADIENT_MAP: {
+        value: "gradientMapClass",
+        writeable: false,
+        enumerable: true
+    },
+    SELECTIVE_COLOR: {
+        value: "selectiveColor",
+        writeable: false,
+        enumerable: true
+    },
+    INVERT: {
+        value: "invert",
+        writeable: false,
+        enumerable: true
+    }
+});
+
+/**
+ * Channels that levels and curves can adjust
+ */
+const _channels = ["composite", "red", "green", "blue"];
+
+/**
+ * Color ranges that selective color can adjust
+ */
+const _selectiveColors = ["reds", "yellows", "greens", "cyans", "blues", "magentas", "whites", "neutrals", "blacks"];
+
+/**
+ * Check that a setting is a number within a range, or undefined.
+ *
+ * @private
+ * @param {string} type
+ * @param {string} name
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @throws {Error} If the value is invalid
+ */
+const _checkRange = function (type, name, value, min, max) {
+    if (value !== undefined && !(typeof value === "number" && value >= min && value <= max)) {
+        throw new Error("Invalid " + name + " for " + type + ": " + value + " is not between " + min + " and " + max);
+    }
+};
+
+/**
+ * Make the preset kind of an adjustment.
+ *
+ * @private
+ * @param {boolean} custom
+ * @return {ActionDescriptor}
+ */
+const _presetKind = function (custom) {
+    return {
+        "_enum": "presetKindType",
+        "_value": custom ? "presetKindCustom" : "presetKindDefault"
+    };
+};
+
+/**
+ * Make the reference to the channel of a levels or curves adjustment.
+ *
+ * @private
+ * @param {string} type
+ * @param {string=} channel One of "composite", "red", "green" or "blue", defaults to "composite"
+ * @return {ActionDescriptor}
+ * @throws {Error} If the channel is unknown
+ */
+const _channelRef = function (type, channel = "composite") {
+    if (_channels.indexOf(channel) < 0) {
+        throw new Error("Invalid channel for " + type + ": " + channel + "; expected one of " + _channels.join(", "));
+    }
+
+    return {
+        "_ref": [
+            {
+                "_ref": "channel",
+                "_enum": "channel",
+                "_value": channel
+            }
+        ]
+    };
+};
+
+/**
+ * Build the settings of a levels adjustment.
+ *
+ * @private
+ * @param {object|Array.<object>} settings One or more channel adjustments
+ * @return {object}
+ */
+const _levels = function (settings) {
+    const adjustments = (Array.isArray(settings) ? settings : [settings]).map(function (adjustment) {
+        const input = adjustment.input || [0, 255],
+            output = adjustment.output || [0, 255],
+            gamma = adjustment.hasOwnProperty("gamma") ? adjustment.gamma : 1;
+
+        input.concat(output).forEach(function (level) {
+            _checkRange("levels", "level", level, 0, 255);
+        });
+        _checkRange("levels", "gamma", gamma, 0.1, 9.99);
+
+        return {
+            "_obj": "levelsAdjustment",
+            "_value": {
+                "channel": _channelRef("levels", adjustment.channel),
+                "input": input,
+                "gamma": gamma,
+                "output": output
+            }
+        };
+    });
+
+    return {
+        "presetKind": _presetKind(true),
+        "adjustment": adjustments
+    };
+};
+
+/**
+ * Build the settings of a curves adjustment.
+ *
+ * @private
+ * @param {object|Array.<object>} settings One or more channel adjustments
+ * @return {object}
+ */
+const _curves = function (settings) {
+    const adjustments = (Array.isArray(settings) ? settings : [settings]).map(function (adjustment) {
+        const points = adjustment.points || [[0, 0], [255, 255]];
+
+        if (points.length < 2) {
+            throw new Error("Invalid points for curves: a curve needs at least 2 points");
+        }
+
+        return {
+            "_obj": "curvesAdjustment",
+            "_value": {
+                "channel": _channelRef("curves", adjustment.channel),
+                "curve": points.map(function (point) {
+                    _checkRange("curves", "point", point[0], 0, 255);
+                    _checkRange("curves", "point", point[1], 0, 255);
+
+                    return {
+                        "_obj": "paint",
+                        "_value": {
+                            "horizontal": point[0],
+                            "vertical": point[1]
+                        }
+                    };
+                })
+            }
+        };
+    });
+
+    return {
+        "presetKind": _presetKind(true),
+        "adjustment": adjustments
+    };
+};
+
+/**
+ * Build the settings of a hue/saturation adjustment.
+ *
+ * @private
+ * @param {{hue: number=, saturation: number=, lightness: number=, colorize: boolean=}} settings
+ * @return {object}
+ */
+const _hueSaturation = function (settings) {
+    const minSaturation = settings.colorize ? 0 : -100,
+        defaultSaturation = settings.colorize ? 25 : 0;
+
+    _checkRange("hueSaturation", "hue", settings.hue, settings.colorize ? 0 : -180, settings.colorize ? 360 : 180);
+    _checkRange("hueSaturation", "saturation", settings.saturation, minSaturation, 100);
+    _checkRange("hueSaturation", "lightness", settings.lightness, -100, 100);
+
+    return {
+        "presetKind": _presetKind(true),
+        "colorize": !!settings.colorize,
+        "adjustment": [
+            {
+                "_obj": "hueSatAdjustmentV2",
+                "_value": {
+                    "hue": settings.hue || 0,
+                    "saturation": settings.saturation === undefined ? defaultSaturation : settings.saturation,
+                    "lightness": settings.lightness || 0
+                }
+            }
+        ]
+    };
+};
+
+/**
+ * Build the settings of a brightness/contrast adjustment.
+ *
+ * @private
+ * @param {{brightness: number=, contrast: number=, useLegacy: boolean=}} settings
+ * @return {object}
+ */
+const _brightnessContrast = function (settings) {
+    _checkRange("brightnessEvent", "brightness", settings.brightness, -150, 150);
+    _checkRange("brightnessEvent", "contrast", settings.contrast, -50, 100);
+
+    return {
+        "brightness": settings.brightness || 0,
+        "center": settings.contrast || 0,
+        "useLegacy": !!settings.useLegacy
+    };
+};
+
+/**
+ * Build the settings of a color balance adjustment.
+ *
+ * @private
+ * @param {{shadows: Array.<number>=, midtones: Array.<number>=, highlights: Array.<number>=,
+ *  preserveLuminosity: boolean=}} settings Levels are [cyan-red, magenta-green, yellow-blue]
+ * @return {object}
+ */
+const _colorBalance = function (settings) {
+    const levelsOf = function (name) {
+        const levels = settings[name] || [0, 0, 0];
+
+        if (levels.length !== 3) {
+            throw new Error("Invalid " + name + " for colorBalance: expected 3 levels");
+        }
+
+        levels.forEach(function (level) {
+            _checkRange("colorBalance", name, level, -100, 100);
+        });
+
+        return levels;
+    };
+
+    return {
+        "shadowLevels": levelsOf("shadows"),
+        "midtoneLevels": levelsOf("midtones"),
+        "highlightLevels": levelsOf("highlights"),
+        "preserveLuminosity": settings.preserveLuminosity !== false
+    };
+};
+
+/**
+ * Build the settings of a black & white adjustment.
+ *
+ * @private
+ * @param {{red: number=, yellow: number=, green: number=, cyan: number=, blue: number=,
+ *  magenta: number=, tint: *=}} settings Percentages, and the tint color, see color.colorObject
+ * @return {object}
+ */
+const _blackAndWhite = function (settings) {
+    const defaults = { red: 40, yellow: 60, green: 40, cyan: 60, blue: 20, magenta: 80 },
+        mix = _.mapValues(defaults, function (value, name) {
+            _checkRange("blackAndWhite", name, settings[name], -200, 300);
+
+            return settings[name] === undefined ? value : settings[name];
+        }),
+        result = {
+            "presetKind": _presetKind(true),
+            "red": mix.red,
+            "yellow": mix.yellow,
+            "grain": mix.green,
+            "cyan": mix.cyan,
+            "blue": mix.blue,
+            "magenta": mix.magenta,
+            "useTint": !!settings.tint
+        };
+
+    if (settings.tint) {
+        result.tintColor = colorObject(settings.tint);
+    }
+
+    return result;
+};
+
+/**
+ * Build the settings of a photo filter adjustment.
+ *
+ * @private
+ * @param {{color: *=, density: number=, preserveLuminosity: boolean=}} settings The color
+ *  defaults to the warming filter's orange, see color.colorObject
+ * @return {object}
+ */
+const _photoFilter = function (settings) {
+    _checkRange("photoFilter", "density", settings.density, 1, 100);
+
+    return {
+        "color": colorObject(settings.color || [236, 138, 0]),
+        "density": settings.density === undefined ? 25 : settings.density,
+        "preserveLuminosity": settings.preserveLuminosity !== false
+    };
+};
+
+/**
+ * Build the settings of an exposure adjustment.
+ *
+ * @private
+ * @param {{exposure: number=, offset: number=, gamma: number=}} settings
+ * @return {object}
+ */
+const _exposure = function (settings) {
+    _checkRange("exposure", "exposure", settings.exposure, -20, 20);
+    _checkRange("exposure", "offset", settings.offset, -0.5, 0.5);
+    _checkRange("exposure", "gamma", settings.gamma, 0.01, 9.99);
+
+    return {
+        "presetKind": _presetKind(true),
+        "exposure": settings.exposure || 0,
+        "offset": settings.offset || 0,
+        "gammaCorrection": settings.gamma === undefined ? 1 : settings.gamma
+    };
+};
+
+/**
+ * Build the settings of a vibrance adjustment.
+ *
+ * @private
+ * @param {{vibrance: number=, saturation: number=}} settings
+ * @return {object}
+ */
+const _vibrance = function (settings) {
+    _checkRange("vibrance", "vibrance", settings.vibrance, -100, 100);
+    _checkRange("vibrance", "saturation", settings.saturation, -100, 100);
+
+    return {
+        "vibrance": settings.vibrance || 0,
+        "saturation": settings.saturation || 0
+    };
+};
+
+/**
+ * Build the settings of a gradient map adjustment.
+ *
+ * @private
+ * @param {{gradient: Gradient=, colors: Array.<{color: *, location: number}>=, reverse: boolean=,
+ *  dither: boolean=}} settings A gradient, or its color stops, with locations from 0 to 100
+ *  percent; defaults to black to white
+ * @return {object}
+ */
+const _gradientMap = function (settings) {
+    const gradient = settings.gradient || new Gradient(settings.colors || [
+        { color: [0, 0, 0], location: 0 },
+        { color: [255, 255, 255], location: 100 }
+    ]);
+
+    return {
+        "gradient": gradient.toDescriptor(),
+        "reverse": !!settings.reverse,
+        "dither": !!settings.dither
+    };
+};
+
+/**
+ * Build the settings of a selective color adjustment.
+ *
+ * @private
+ * @param {{method: string=, colors: Object.<string, object>=}} settings The method is "relative"
+ *  or "absolute", and colors maps color ranges, like "reds" or "neutrals", to their
+ *  {cyan, magenta, yellow, black} percentages
+ * @return {object}
+ */
+const _selectiveColor = function (settings) {
+    const method = settings.method || "relative";
+
+    if (method !== "relative" && method !== "absolute") {
+        throw new Error("Invalid method for selectiveColor: " + method + "; expected relative or absolute");
+    }
+
+    return {
+        "presetKind": _presetKind(true),
+        "method": {
+            "_enum": "correctionMethod",
+            "_value": method
+        },
+        "colorCorrection": _.map(settings.colors, function (correction, colors) {
+            if (_selectiveColors.indexOf(colors) < 0) {
+                throw new Error("Invalid colors for selectiveColor: " + colors + "; expected one of " +
+                    _selectiveColors.join(", "));
+            }
+
+            ["cyan", "magenta", "yellow", "black"].forEach(function (name) {
+                _checkRange("selectiveColor", name, correction[name], -100, 100);
+            });
+
+            return {
+                "_obj": "colorCorrection",
+                "_value": {
+                    "colors": {
+                        "_enum": "colors",
+                        "_value": colors
+                    },
+                    "cyan": unitsIn.percent(correction.cyan || 0),
+                    "magenta": unitsIn.percent(correction.magenta || 0),
+                    "yellowColor": unitsIn.percent(correction.yellow || 0),
+                    "black": unitsIn.percent(correction.black || 0)
+                }
+            };
+        })
+    };
+};
+
+/**
+ * Builders of the settings of each adjustment type, except invert, which has none
+ *
+ * @private
+ * @type {Object.<string, function(object): object>}
+ */
+const _settingsBuilders = {
+    "levels": _levels,
+    "curves": _curves,
+    "hueSaturation": _hueSaturation,
+    "brightnessEvent": _brightnessContrast,
+    "colorBalance": _colorBalance,
+    "blackAndWhite": _blackAndWhite,
+    "photoFilter": _photoFilter,
+    "exposure": _exposure,
+    "vibrance": _vibrance,
+    "gradientMapClass": _gradientMap,
+    "selectiveColor": _selectiveColor
+};
+
+/**
+ * Build the adjustment descriptor of a type.
+ *
+ * @private
+ * @param {string} type One of adjustmentTypes
+ * @param {object=} settings
+ * @return {ActionDescriptor}
+ * @throws {Error} If the type is unknown or the settings are invalid
+ */
+const _adjustmentObject = function (type, settings) {
+    if (type === adjustmentTypes.INVERT) {
+        return {
+            "_obj": "invert"
+        };
+    } else if (!_settingsBuilders.hasOwnProperty(type)) {
+        throw new Error("Unknown adjustment type: " + type);
+    }
+
+    return {
+        "_obj": type,
+        "_value": _settingsBuilders[type](settings || {})
+    };
+};
+
+/**
+ * Create an adjustment layer above the current layer
+ *
+ * @param {string} type One of adjustmentTypes
+ * @param {object=} settings Settings of the adjustment, by type:
+ *      levels: {channel, input: [black, white], gamma, output: [black, white]}, or an array of
+ *          these for several channels. Channels are "composite", "red", "green" or "blue"
+ *      curves: {channel, points: [[input, output], ...]}, or an array of these
+ *      hueSaturation: {hue, saturation, lightness, colorize}
+ *      brightnessEvent: {brightness, contrast, useLegacy}
+ *      colorBalance: {shadows, midtones, highlights, preserveLuminosity}, with levels
+ *          as [cyan-red, magenta-green, yellow-blue]
+ *      blackAndWhite: {red, yellow, green, cyan, blue, magenta, tint}
+ *      photoFilter: {color, density, preserveLuminosity}
+ *      exposure: {exposure, offset, gamma}
+ *      vibrance: {vibrance, saturation}
+ *      gradientMapClass: {gradient, reverse, dither}, with a gradient.Gradient, or
+ *          {colors: [{color, location, midpoint}], reverse, dither}, with locations in percent
+ *      selectiveColor: {method, colors: {reds: {cyan, magenta, yellow, black}, ...}}
+ *      invert: none
+ *  Colors are in any form accepted by color.colorObject. Levels and curves without
+ *  settings use Photoshop's defaults.
+ * @param {boolean=} clip If true, clip the adjustment layer to the layer below
+ * @param {string=} name Name of the new layer
+ *
+ * @return {PlayObject}
+ * @throws {Error} If the type is unknown or the settings are invalid
+ *
+ * Preconditions:
+ * Select a layer
+ *
+ * Examples:
+ * adjustmentLayer.createAdjustmentLayer(adjustmentLayer.adjustmentTypes.HUE_SATURATION, { saturation: -100 }, true);
+ * adjustmentLayer.createAdjustmentLayer("curves", { points: [[0, 0], [64, 48], [192, 208], [255, 255]] });
+ */
+export function createAdjustmentLayer (type, settings, clip, name) {
+    var adjustment;
+
+    if (settings === undefined && (type === adjustmentTypes.LEVELS || type === adjustmentTypes.CURVES)) {
+        adjustment = {
+            "_obj": type,
+            "_value": {
+                "presetKind": _presetKind(false)
+            }
+        };
+    } else {
+        adjustment = _adjustmentObject(type, settings);
+    }
+
+    var layer = {
+        "group": !!clip,
+        "type": adjustment
+    };
+
+    if (name !== undefined) {
+        layer.name = name;
+    }
+
+    return new PlayObject(
+        "make",
+        {
+            "null": {
+                "_ref": "adjustmentLayer"
+            },
+            "using": {
+                "_obj": "adjustmentLayer",
+                "_value": layer
+            }
+        }
+    );
+}
+
+/**
+ * Change the settings of adjustment layers. The settings replace the
+ * current ones, with defaults for the missing ones.
+ *
+ * @see createAdjustmentLayer
+ * @param {ActionDescriptor} sourceRef Reference to adjustment layer(s) to edit
+ * @param {string} type One of adjustmentTypes, except INVERT, which has no settings.
+ *  Must be the type of the layers
+ * @param {object} settings Settings of the adjustment, as in createAdjustmentLayer
+ *
+ * @return {PlayObject}
+ * @throws {Error} If the type is unknown or has no settings, or the settings are invalid
+ *
+ * Examples:
+ * adjustmentLayer.setAdjustment(adjustmentLayer.referenceBy.id(12), "levels", { input: [20, 235] });
+ */
+export function setAdjustment (sourceRef, type, settings) {
+    assert(referenceOf(sourceRef) === "adjustmentLayer", "setAdjustment is passed a non-adjustment layer reference");
+
+    if (type === adjustmentTypes.INVERT) {
+        throw new Error("Invert adjustment layers have no settings");
+    }
+
+    return new PlayObject(
+        "set",
+        {
+            "null": sourceRef,
+            "to": _adjustmentObject(type, settings)
+        }
+    );
+}
+
+/**
+ * Clip layers to the layer below them, or release them from their clipping mask
+ *
+ * @param {ActionDescriptor} sourceRef Reference to layer(s) to edit
+ * @param {boolean} clip
+ *
+ * @return {PlayObject}
+ */
+export function setClipping (sourceRef, clip) {
+    var refClass = referenceOf(sourceRef);
+
+    assert(refClass === "adjustmentLayer" || refClass === "layer", "setClipping is passed a non-layer reference");
+
+    return new PlayObject(
+        clip ? "groupEvent" : "ungroup",
+        {
+            "null": sourceRef
+        }
+    );
+}
@@ -0,0 +1,311 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import PlayObject from "../playObject";
+import { pixels, percent } from "./unit";
+import { formats, saveAs } from "./fileFormat";
+
+/**
+ * Formats that layers can be exported to. Raster formats are rendered into a
+ * temporary document and saved with fileFormat.saveAs; SVG is exported from
+ * the vector contents of the layer, so it doesn't depend on the scale.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+export const exportFormats = ["png", "jpg", "gif", "svg"];
+
+/**
+ * Get the default file name suffix of a scale: none for 1x, "@2x" for 2x.
+ *
+ * @param {number} scale
+ * @return {string}
+ */
+export function defaultSuffix (scale) {
+    return scale === 1 ? "" : "@" + scale + "x";
+}
+
+/**
+ * Make a layer name usable as a file name.
+ *
+ * @private
+ * @param {string} name
+ * @return {string}
+ */
+const _fileNameOf = function (name) {
+    const fileName = String(name || "").replace(/[\/\\:*?"<>|\x00-\x1f]/g, "_").trim();
+
+    return fileName || "layer";
+};
+
+/**
+ * Validate an export specification and fill in its defaults.
+ *
+ * @private
+ * @param {object} spec
+ * @return {{format: string, scale: number, suffix: string, options: object}}
+ * @throws {Error} If the format, the scale or the format options are invalid
+ */
+const _normalizeSpec = function (spec) {
+    const format = spec.format || "png",
+        scale = spec.hasOwnProperty("scale") ? spec.scale : 1,
+        options = spec.options || {};
+
+    if (exportFormats.indexOf(format) < 0) {
+        throw new Error("Can't export to format " + format + "; expected one of " + exportFormats.join(", "));
+    } else if (typeof scale !== "number" || !(scale > 0) || !Number.isFinite(scale)) {
+        throw new Error("Invalid export scale: " + scale);
+    } else if (format === "svg" && !_.isEmpty(options)) {
+        throw new Error("Format svg doesn't support options");
+    }
+
+    return {
+        format: format,
+        scale: format === "svg" ? 1 : scale,
+        suffix: spec.hasOwnProperty("suffix") ? spec.suffix : defaultSuffix(scale),
+        options: options
+    };
+};
+
+/**
+ * Reference a layer of a document by ID.
+ *
+ * @private
+ * @param {number} documentID
+ * @param {number} layerID
+ * @return {object}
+ */
+const _layerRef = function (documentID, layerID) {
+    return {
+        "_ref": [
+            {
+                "_ref": "layer",
+                "_id": layerID
+            },
+            {
+                "_ref": "document",
+                "_id": documentID
+            }
+        ]
+    };
+};
+
+/**
+ * Make the commands that render a layer into a new document, cropped to its
+ * bounds, or to its transparent pixels if it has none, and scaled.
+ *
+ * @private
+ * @param {number} documentID
+ * @param {{layerID: number, name: string, bounds: object=}} target
+ * @param {number} scale
+ * @return {Array.<PlayObject>}
+ */
+const _renderLayer = function (documentID, target, scale) {
+    const playObjects = [
+        new PlayObject("make", {
+            "new": {
+                "_class": "document"
+            },
+            "name": target.name,
+            "using": _layerRef(documentID, target.layerID)
+        })
+    ];
+
+    if (target.bounds) {
+        playObjects.push(new PlayObject("crop", {
+            "to": {
+                "_obj": "rectangle",
+                "_value": {
+                    "top": pixels(target.bounds.top),
+                    "left": pixels(target.bounds.left),
+                    "bottom": pixels(target.bounds.bottom),
+                    "right": pixels(target.bounds.right)
+                }
+            },
+            "angle": 0,
+            "delete": true
+        }));
+    } else {
+        playObjects.push(new PlayObject("trim", {
+            "trimBasedOn": {
+                "_enum": "trimBasedOn",
+                "_value": "transparency"
+            },
+            "top": true,
+            "bottom": true,
+            "left": true,
+            "right": true
+        }));
+    }
+
+    if (scale !== 1) {
+        playObjects.push(new PlayObject("imageSize", {
+            "width": percent(scale * 100),
+            "scaleStyles": true,
+            "constrainProportions": true,
+            "interfaceIconFrameDimmed": {
+                "_enum": "interpolationType",
+                "_value": "bicubicAutomatic"
+            }
+        }));
+    }
+
+    return playObjects;
+};
+
+/**
+ * Close the current document without saving it.
+ *
+ * @private
+ * @return {PlayObject}
+ */
+const _closeWithoutSaving = function () {
+    return new PlayObject("close", {
+        "saving": {
+            "_enum": "yesNo",
+            "_value": "no"
+        }
+    });
+};
+
+/**
+ * Make the commands that export a layer, group or artboard to a file. Raster
+ * formats are rendered into a temporary document, which is cropped to the
+ * bounds of the target if given, e.g. the rectangle of an artboard, and
+ * trimmed to the target's pixels otherwise; then scaled, saved as a copy and
+ * closed. The first command creates the temporary document, and the last one
+ * closes it.
+ *
+ * SVG files are written by Photoshop into the folder of the path, named after
+ * the layer, so the file name of the path is ignored for them.
+ *
+ * Example:
+ *      exportLayer(documentID, { layerID: 3, name: "icon" }, "/tmp/icon@2x.png", { scale: 2 })
+ *
+ * @param {number} documentID Document of the layer
+ * @param {{layerID: number, name: string, bounds: object=}} target The layer, with bounds
+ *  ({top, left, bottom, right} in pixels) to crop to
+ * @param {string} path The full path of the file
+ * @param {{format: string=, scale: number=, options: object=}=} spec The format, one of
+ *  exportFormats, defaults to png; the scale, defaults to 1; the options of the format,
+ *  as in fileFormat.formats
+ * @return {Array.<PlayObject>}
+ * @throws {Error} If the specification is invalid
+ */
+export function exportLayer (documentID, target, path, spec = {}) {
+    const normalized = _normalizeSpec(spec);
+
+    if (normalized.format === "svg") {
+        return [
+            new PlayObject("exportSelectionAsFileTypePressed", {
+                "null": _layerRef(documentID, target.layerID),
+                "fileType": "svg",
+                "quality": 32,
+                "metadata": 0,
+                "destFolder": path.replace(/[\/\\][^\/\\]*$/, ""),
+                "sRGB": true,
+                "openWindow": false
+            })
+        ];
+    }
+
+    return _renderLayer(documentID, target, normalized.scale).concat([
+        saveAs(path, Object.assign({}, normalized.options, {
+            format: normalized.format,
+            copy: true
+        })),
+        _closeWithoutSaving()
+    ]);
+}
+
+/**
+ * Plan the export of layers, groups and artboards at several scales and in
+ * several formats. Each target is exported once per specification, into the
+ * given folder, to a file named after the target, with the suffix of the
+ * specification and the extension of the format. Targets with the same name
+ * are told apart by their layer ID, except in SVG files, which are named by
+ * Photoshop.
+ *
+ * Example:
+ *      planExport(documentID, targets, "/tmp/assets", [
+ *          { scale: 1 }, { scale: 2 }, { scale: 3 },
+ *          { format: "jpg", scale: 2, suffix: "-large", options: { quality: 10 } }
+ *      ]);
+ *
+ * @see exportLayer
+ * @param {number} documentID Document of the targets
+ * @param {Array.<{layerID: number, name: string, bounds: object=}>} targets
+ * @param {string} folder The full path of the folder to export to
+ * @param {Array.<{format: string=, scale: number=, suffix: string=, options: object=}>} specs
+ *  The suffix defaults to defaultSuffix(scale)
+ * @return {Array.<{layerID: number, name: string, format: string, scale: number, path: string,
+ *  width: number=, height: number=, playObjects: Array.<PlayObject>}>} One asset per file, with
+ *  the size in pixels if the target has bounds, and the commands that export it
+ * @throws {Error} If a specification is invalid, or two assets have the same path
+ */
+export function planExport (documentID, targets, folder, specs) {
+    const counts = _.countBy(targets, function (target) {
+            return _fileNameOf(target.name).toLowerCase();
+        }),
+        normalizedSpecs = specs.map(_normalizeSpec),
+        paths = new Set();
+
+    folder = folder.replace(/[\/\\]+$/, "");
+
+    return _.flatten(targets.map(function (target) {
+        let baseName = _fileNameOf(target.name);
+
+        if (counts[baseName.toLowerCase()] > 1) {
+            baseName += "-" + target.layerID;
+        }
+
+        return normalizedSpecs.map(function (spec) {
+            const extension = spec.format === "svg" ? "svg" : formats[spec.format].extensions[0],
+                fileName = spec.format === "svg" ? _fileNameOf(target.name) : baseName + spec.suffix,
+                path = folder + "/" + fileName + "." + extension,
+                asset = {
+                    layerID: target.layerID,
+                    name: target.name,
+                    format: spec.format,
+                    scale: spec.scale,
+                    path: path,
+                    playObjects: exportLayer(documentID, target, path, spec)
+                };
+
+            if (paths.has(path.toLowerCase())) {
+                throw new Error("More than one asset would be exported to " + path);
+            }
+
+            paths.add(path.toLowerCase());
+
+            if (target.bounds) {
+                asset.width = Math.round((target.bounds.right - target.bounds.left) * spec.scale);
+                asset.height = Math.round((target.bounds.bottom - target.bounds.top) * spec.scale);
+            }
+
+            return asset;
+        });
+    }));
+}
@@ -25,6 +25,7 @@ import PlayObject from "../playObject";
 import { wrapper, refersTo as referenceOf } from "./reference";
 import * as unitsIn from "./unit";
 import * as shape from "./shape";
+import { gradientFillObject } from "./gradient";
 import { assert } from "../util";
 
 export const referenceBy = wrapper("contentLayer");
@@ -493,6 +494,44 @@ export function setShapeStrokeWidth (sourceRef, strokeWidth) {
     );
 }
 
+/**
+ * Build the contents of a pattern fill, for fill layers, shape fills and strokes
+ *
+ * @private
+ * @param {string} patternName One of the keys of _patternName
+ * @param {number} scaleVal The scale of the pattern in percent
+ *
+ * @return {ActionDescriptor}
+ * @throws {Error} If the pattern is unknown
+ */
+function _patternFillObject (patternName, scaleVal) {
+    if (!_patternName.hasOwnProperty(patternName)) {
+        throw new Error("Unknown pattern: " + patternName);
+    }
+
+    return {
+        "_obj": "patternLayer",
+        "_value": {
+            "align": true,
+            "pattern": {
+                "_obj": "pattern",
+                "_value": {
+                    "ID": _patternName[patternName][0],
+                    "name": _patternName[patternName][1]
+                }
+            },
+            "phase": {
+                "_obj": "paint",
+                "_value": {
+                    "horizontal": 0,
+                    "vertical": 0
+                }
+            },
+            "scale": unitsIn.percent(scaleVal)
+        }
+    };
+}
+
 /**
  * Set shape stroke fill with pattern
  *
@@ -522,27 +561,7 @@ export function setStrokeFillTypePattern (sourceRef, fillTypePatternName, scaleV
                         "_obj": "strokeStyle",
                         "_value": {
                             "strokeEnabled": true,
-                            "strokeStyleContent": {
-                                "_obj": "patternLayer",
-                                "_value": {
-                                    "align": true,
-                                    "pattern": {
-                                        "_obj": "pattern",
-                                        "_value": {
-                                            "ID": _patternName[fillTypePatternName][0],
-                                            "name": _patternName[fillTypePatternName][1]
-                                        }
-                                    },
-                                    "phase": {
-                                        "_obj": "paint",
-                                        "_value": {
-                                            "horizontal": 0,
-                                            "vertical": 0
-                                        }
-                                    },
-                                    "scale": unitsIn.percent(scaleVal)
-                                }
-                            },
+                            "strokeStyleContent": _patternFillObject(fillTypePatternName, scaleVal),
                             "strokeStyleVersion": 2
                         }
                     }
@@ -577,34 +596,197 @@ export function setShapeFillTypePattern (sourceRef, fillTypePatternName, scaleVa
             "to": {
                 "_obj": "shapeStyle",
                 "_value": {
-                    "fillContents": {
-                        "_obj": "patternLayer",
+                    "fillContents": _patternFillObject(fillTypePatternName, scaleVal),
+                    "strokeStyle": shape.shapeFillObject(true)
+                }
+            }
+        }
+    );
+}
+
+/**
+ * Set shape fill to a gradient
+ *
+ * @param {ActionDescriptor} sourceRef Reference to layer(s) to edit
+ * @param {Gradient|Array.<object>} gradient A gradient.Gradient, or its color stops
+ * @param {object=} settings The type, angle, scale, reverse, dither and align settings,
+ *      see gradient.gradientFillValue
+ *
+ * @return {PlayObject}
+ *
+ * Preconditions:
+ * Select a layer
+ *
+ * Examples:
+ * var stops = [{ color: [255, 0, 0], location: 0 }, { color: [0, 0, 255], location: 100, midpoint: 30 }];
+ * contentLayer.setShapeFillTypeGradient(contentLayer.referenceBy.current, stops, { type: "radial" });
+ */
+export function setShapeFillTypeGradient (sourceRef, gradient, settings) {
+    assert(referenceOf(sourceRef) === "contentLayer", "setShapeFillTypeGradient is passed a non-layer reference");
+    return new PlayObject(
+        "set",
+        {
+            "null": sourceRef,
+            "to": {
+                "_obj": "shapeStyle",
+                "_value": {
+                    "fillContents": gradientFillObject(gradient, settings),
+                    "strokeStyle": shape.shapeFillObject(true)
+                }
+            }
+        }
+    );
+}
+
+/**
+ * Set shape stroke fill to a gradient
+ *
+ * @see setShapeFillTypeGradient
+ * @param {ActionDescriptor} sourceRef Reference to layer(s) to edit
+ * @param {Gradient|Array.<object>} gradient A gradient.Gradient, or its color stops
+ * @param {object=} settings See gradient.gradientFillValue
+ *
+ * @return {PlayObject}
+ */
+export function setStrokeFillTypeGradient (sourceRef, gradient, settings) {
+    assert(referenceOf(sourceRef) === "contentLayer", "setStrokeFillTypeGradient is passed a non-layer reference");
+    return new PlayObject(
+        "set",
+        {
+            "null": sourceRef,
+            "to": {
+                "_obj": "shapeStyle",
+                "_value": {
+                    "strokeStyle": {
+                        "_obj": "strokeStyle",
                         "_value": {
-                            "align": true,
-                            "pattern": {
-                                "_obj": "pattern",
-                                "_value": {
-                                    "ID": _patternName[fillTypePatternName][0],
-                                    "name": _patternName[fillTypePatternName][1]
-                                }
-                            },
-                            "phase": {
-                                "_obj": "paint",
-                                "_value": {
-                                    "horizontal": 0,
-                                    "vertical": 0
-                                }
-                            },
-                            "scale": unitsIn.percent(scaleVal)
+                            "strokeEnabled": true,
+                            "strokeStyleContent": gradientFillObject(gradient, settings),
+                            "strokeStyleVersion": 2
                         }
-                    },
-                    "strokeStyle": shape.shapeFillStrokeStyle(true)
+                    }
                 }
             }
         }
     );
 }
 
+/**
+ * Create a fill layer above the current layer
+ *
+ * @private
+ * @param {ActionDescriptor} contents Fill contents, e.g. a gradientLayer
+ * @param {string=} name Name of the new layer
+ *
+ * @return {PlayObject}
+ */
+function _createFillLayer (contents, name) {
+    var layer = {
+        "type": contents
+    };
+
+    if (name !== undefined) {
+        layer.name = name;
+    }
+
+    return new PlayObject(
+        "make",
+        {
+            "null": {
+                "_ref": "contentLayer"
+            },
+            "using": {
+                "_obj": "contentLayer",
+                "_value": layer
+            }
+        }
+    );
+}
+
+/**
+ * Create a gradient fill layer above the current layer
+ *
+ * @param {Gradient|Array.<object>} gradient A gradient.Gradient, or its color stops
+ * @param {object=} settings The type, angle, scale, reverse, dither and align settings,
+ *      see gradient.gradientFillValue
+ * @param {string=} name Name of the new layer
+ *
+ * @return {PlayObject}
+ *
+ * Preconditions:
+ * Open or create a document.
+ *
+ * Examples:
+ * var fade = gradient.makeGradient([{ color: 0x000000, location: 0 }, { color: 0x000000, location: 100 }],
+ *     [{ opacity: 100, location: 0 }, { opacity: 0, location: 100 }]);
+ * contentLayer.createGradientFillLayer(fade, { angle: -90, scale: 50 }, "Fade");
+ */
+export function createGradientFillLayer (gradient, settings, name) {
+    return _createFillLayer(gradientFillObject(gradient, settings), name);
+}
+
+/**
+ * Change the gradient and its settings of gradient fill layers
+ *
+ * @see createGradientFillLayer
+ * @param {ActionDescriptor} sourceRef Reference to layer(s) to edit
+ * @param {Gradient|Array.<object>} gradient A gradient.Gradient, or its color stops
+ * @param {object=} settings See gradient.gradientFillValue
+ *
+ * @return {PlayObject}
+ */
+export function setGradientFill (sourceRef, gradient, settings) {
+    assert(referenceOf(sourceRef) === "contentLayer", "setGradientFill is passed a non-layer reference");
+    return new PlayObject(
+        "set",
+        {
+            "null": sourceRef,
+            "to": gradientFillObject(gradient, settings)
+        }
+    );
+}
+
+/**
+ * Create a pattern fill layer above the current layer
+ *
+ * @param {string} fillTypePatternName The name of the pattern.
+ *      "pBubbles", "pTieDye", "pLaidhorizontal", "pFineGrain", or "pGrayGranite"
+ * @param {integer} scaleVal The scale of pattern. 0 to 1000
+ * @param {string=} name Name of the new layer
+ *
+ * @return {PlayObject}
+ *
+ * Preconditions:
+ * Open or create a document.
+ *
+ * Examples:
+ * contentLayer.createPatternFillLayer("pTieDye", 50);
+ */
+export function createPatternFillLayer (fillTypePatternName, scaleVal, name) {
+    return _createFillLayer(_patternFillObject(fillTypePatternName, scaleVal), name);
+}
+
+/**
+ * Change the pattern and its scale of pattern fill layers
+ *
+ * @see createPatternFillLayer
+ * @param {ActionDescriptor} sourceRef Reference to layer(s) to edit
+ * @param {string} fillTypePatternName The name of the pattern
+ * @param {integer} scaleVal The scale of pattern. 0 to 1000
+ *
+ * @return {PlayObject}
+ */
+export function setPatternFill (sourceRef, fillTypePatternName, scaleVal) {
+    assert(referenceOf(sourceRef) === "contentLayer", "setPatternFill is passed a non-layer reference");
+    return new PlayObject(
+        "set",
+        {
+            "null": sourceRef,
+            "to": _patternFillObject(fillTypePatternName, scaleVal)
+        }
+    );
+}
+
 /**
  * Remove Stroke Style (AGMStrokeStyle) completely from the provided content layers
  * This has the effect of removing a shape's stroke
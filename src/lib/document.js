@@ -27,6 +27,7 @@ import PlayObject from "../playObject";
 import { wrapper, refersTo } from "./reference";
 import { distance, density, pixels } from "./unit";
 import { assert } from "../util";
+import { formatOf } from "./fileFormat";
 
 export const referenceBy = wrapper("document");
 export const referenceOf = refersTo;
@@ -148,109 +149,120 @@ export function closeDocument (documentID, settings) {
     );
 }
 
+/**
+ * Builders of the "as" descriptor of saveDocument, by file format. These keep
+ * the descriptors saveDocument has always played; fileFormat.saveAs validates
+ * its options, and supports more formats and options.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, function(object): object>}
+ */
+const _SAVE_DOCUMENT_FORMATS = {
+    gif: function (settings) {
+        return {
+            "_obj": "GIFFormat",
+            "_value": {
+                "interfaceIconFrameDimmed": saveDocument.gifRowOrder[settings.gifRowOrder || "normal"]
+            }
+        };
+    },
+    psd: function () {
+        return {
+            "_obj": "photoshop35Format",
+            "_value": {}
+        };
+    },
+    jpg: function (settings) {
+        return {
+            "_obj": "JPEG",
+            "_value": {
+                "extendedQuality": settings.jpgExtendedQuality === undefined ? 8 : settings.jpgExtendedQuality,
+                "matteColor": {
+                    "_enum": "matteColor",
+                    "_value": "none"
+                }
+            }
+        };
+    },
+    png: function (settings) {
+        return {
+            "_obj": "PNGFormat",
+            "_value": {
+                "PNGInterlaceType": {
+                    "_enum": "PNGInterlaceType",
+                    "_value": saveDocument.pngInterlace[settings.pngInterlace || "none"]
+                },
+                "compression": saveDocument.pngCompression[settings.pngCompression || "none"]
+            }
+        };
+    }
+};
+
 /**
  * Save a document
- * 
+ *
+ * The format is inferred from the extension of the path, which must be gif,
+ * psd, jpg or png. Options of other formats are ignored, and so are invalid
+ * combinations of options, e.g. embedProfiles for GIFs, which are always
+ * converted to indexed color and saved as a copy.
+ *
+ * @see fileFormat.saveAs, which supports more formats, and validates their options
  * @param {string} path The full path to save a file.
  * @param {!Object} settings An object with params
  * @param {string} settings.gifColorPalette GIF color palette. See saveDocument.gifColorPalette
  * @param {string} settings.gifForcedColors GIF forced color. See saveDocument.gifForcedColors
- * @param {boolean} settings.gitTransparency GIF Transparency
+ * @param {boolean} settings.gifTransparency GIF Transparency. Also accepted as gitTransparency,
+ *  which is deprecated
  * @param {string} settings.gifRowOrder GIF Format Option.  normal or interlaced
- * @param {number} settings.jpgExtendedQuality JPG Quality. 0 to 10
- * @param {string} settings.jpgFormatOptions JPG Format Option. standard, optimized, or progressive
- * @param {number} settings.jpgProgressiveScans The number of Scans. 3 to 5
+ * @param {number} settings.jpgExtendedQuality JPG Quality. 0 to 12
+ * @param {string} settings.jpgFormatOptions Ignored; see fileFormat.saveAs for optimized
+ *  and progressive JPEGs
+ * @param {number} settings.jpgProgressiveScans Ignored, as jpgFormatOptions
  * @param {number} settings.pngCompression PNG compression. none or smallest
  * @param {number} settings.pngInterlace PNG interlace. none or interlaced
  *
  * @param {boolean} settings.embedProfiles Whether embed color profile
  * 
  * @return {PlayObject}
+ * @throws {Error} If the extension is not one of gif, psd, jpg or png
  */
-export function saveDocument (path, settings) {
-    var strIndex = path.lastIndexOf("."),
-        fileType,
-        desc,
-        saveAs = {},
-        saveTo = {},
-        params = {
-            gifColorPalette: settings.gifColorPalette || "exact",
-            gifRowOrder: settings.gifRowOrder || "normal",
-            gifForcedColors: settings.gifForcedColors || "blackAndWhite",
-            gitTransparency: settings.gitTransparency || true,
-            jpgExtendedQuality: settings.jpgExtendedQuality || 8,
-            jpgFormatOptions: settings.jpgFormatOptions || "standard",
-            jpgProgressiveScans: settings.jpgProgressiveScans || 3,
-            pngCompression: settings.pngCompression,
-            pngInterlace: settings.pngInterlace,
-            embedProfiles: settings.embedProfiles || false
-        };
-    if (strIndex !== -1) {
-        strIndex++;
-        fileType = path.substring(strIndex);
+export function saveDocument (path, settings = {}) {
+    var format = formatOf(path);
+
+    if (!_SAVE_DOCUMENT_FORMATS.hasOwnProperty(format)) {
+        throw new Error("Can't save " + path + ": unknown file extension; use fileFormat.saveAs for formats " +
+            "other than " + Object.keys(_SAVE_DOCUMENT_FORMATS).join(", "));
     }
 
-    if (fileType === "gif") {
-        saveAs = {
-            "_obj": "GIFFormat",
-            "_value": {
-                "interfaceIconFrameDimmed": saveDocument.gifRowOrder[params.gifRowOrder]
+    var transparency = settings.gifTransparency !== undefined ? settings.gifTransparency : settings.gitTransparency,
+        desc = {
+            "as": _SAVE_DOCUMENT_FORMATS[format](settings),
+            "in": {
+                "_path": path
             }
         };
-        saveTo = {
+
+    if (format === "gif") {
+        desc.to = {
             "_obj": "indexedColorMode",
             "_value": {
                 "palette": {
                     "_enum": "colorPalette",
-                    "_value": saveDocument.gifColorPalette[params.gifColorPalette]
+                    "_value": saveDocument.gifColorPalette[settings.gifColorPalette || "exact"]
                 },
                 "forcedColors": {
                     "_enum": "forcedColors",
-                    "_value": saveDocument.gifForcedColors[params.gifForcedColors]
-                },
-                "transparency": params.gitTransparency
-            }
-        };
-    } else if (fileType === "psd") {
-        saveAs = {
-            "_obj": "photoshop35Format",
-            "_value": {}
-        };
-    } else if (fileType === "jpg") {
-        saveAs = {
-            "_obj": "JPEG",
-            "_value": {
-                "extendedQuality": params.jpgExtendedQuality,
-                "matteColor": {
-                    "_enum": "matteColor",
-                    "_value": "none"
-                }
-            }
-        };
-    } else if (fileType === "png") {
-        saveAs = {
-            "_obj": "PNGFormat",
-            "_value": {
-                "PNGInterlaceType": {
-                    "_enum": "PNGInterlaceType",
-                    "_value": saveDocument.pngInterlace[params.pngInterlace]
+                    "_value": saveDocument.gifForcedColors[settings.gifForcedColors || "blackAndWhite"]
                 },
-                "compression": saveDocument.pngCompression[params.pngCompression]
+                "transparency": transparency !== false
             }
         };
-    }
-    desc = {
-        "as": saveAs,
-        "in": {
-            "_path": path
-        }
-    };
-    if (fileType === "gif") {
-        desc.to = saveTo;
         desc.copy = true;
     } else {
-        desc.embedProfiles = params.embedProfiles;
+        desc.embedProfiles = settings.embedProfiles || false;
     }
+
     return new PlayObject(
         "make",
         desc
@@ -0,0 +1,585 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import PlayObject from "../playObject";
+
+/**
+ * Options that apply to every format saved with the "make" command.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, object>}
+ */
+const _SAVE_OPTIONS = {
+    copy: { type: "boolean", default: false },
+    embedProfiles: { type: "boolean", default: false }
+};
+
+/**
+ * Make an enumeration value.
+ *
+ * @private
+ * @param {string} type
+ * @param {string} value
+ * @return {{_enum: string, _value: string}}
+ */
+const _enum = function (type, value) {
+    return {
+        "_enum": type,
+        "_value": value
+    };
+};
+
+/**
+ * Registered formats by name. Each format has:
+ *     - extensions: the file extensions that select the format, lower case
+ *     - options: the schema of its options, by option name. An option has a type
+ *       ("boolean", "number" or "string"), a default, and optionally a min and max,
+ *       or values, a map from the allowed values to their descriptor values
+ *     - saveAs: for formats saved with the "make" command, builds the "as"
+ *       descriptor from the validated options
+ *     - export: for formats exported with the "export" command, builds the
+ *       "using" descriptor from the path and the validated options
+ *     - convertTo: optionally, for saved formats that convert the document, builds
+ *       the "to" descriptor of the mode to convert to
+ *     - validate: optionally, checks combinations of options, throwing if they
+ *       are unsupported. It receives the options with defaults, and the given options
+ * Formats saved with the "make" command also accept the options copy and
+ * embedProfiles.
+ *
+ * @see registerFormat
+ * @type {Object.<string, object>}
+ */
+export const formats = {};
+
+/**
+ * Add a format to the registry, or replace a registered one.
+ *
+ * @param {string} name
+ * @param {{extensions: Array.<string>, options: object, saveAs: function=, export: function=,
+ *  validate: function=}} format
+ */
+export function registerFormat (name, format) {
+    if (!format.saveAs === !format.export) {
+        throw new Error("Format " + name + " must either be saved or exported");
+    }
+
+    formats[name] = Object.assign({
+        name: name,
+        extensions: [],
+        options: {}
+    }, format);
+}
+
+/**
+ * Get the name of the format for the extension of a path.
+ *
+ * @param {string} path
+ * @return {?string} The name of the format, or null if the extension is unknown
+ */
+export function formatOf (path) {
+    const index = path.lastIndexOf("."),
+        extension = index < 0 ? null : path.substring(index + 1).toLowerCase();
+
+    return _.findKey(formats, function (format) {
+        return format.extensions.indexOf(extension) >= 0;
+    }) || null;
+}
+
+/**
+ * Get the option schema of a format, including the common options of saved
+ * formats.
+ *
+ * @private
+ * @param {object} format
+ * @return {Object.<string, object>}
+ */
+const _optionsOf = function (format) {
+    return format.saveAs ? Object.assign({}, _SAVE_OPTIONS, format.options) : format.options;
+};
+
+/**
+ * Validate options for a format, and fill in the defaults of missing ones.
+ *
+ * @param {string} name Name of the format
+ * @param {object=} options
+ * @return {object} The options with defaults, with the raw values of enumerated options
+ * @throws {Error} If the format is unknown, an option is unknown or invalid, or a
+ *  combination of options is unsupported by the format
+ */
+export function validateOptions (name, options = {}) {
+    const format = formats[name];
+
+    if (!format) {
+        throw new Error("Unknown file format: " + name);
+    }
+
+    const schema = _optionsOf(format);
+
+    _.forEach(options, function (value, key) {
+        const spec = schema[key];
+
+        if (!spec) {
+            throw new Error("Format " + name + " doesn't support the option " + key);
+        } else if (value === undefined) {
+            return;
+        } else if (spec.values && !spec.values.hasOwnProperty(value)) {
+            throw new Error("Invalid " + key + " for format " + name + ": " + value +
+                "; expected one of " + Object.keys(spec.values).join(", "));
+        } else if (typeof value !== spec.type) {
+            throw new Error("Invalid " + key + " for format " + name + ": expected a " + spec.type);
+        } else if ((spec.hasOwnProperty("min") && value < spec.min) ||
+            (spec.hasOwnProperty("max") && value > spec.max)) {
+            throw new Error("Invalid " + key + " for format " + name + ": " + value +
+                " is not between " + spec.min + " and " + spec.max);
+        }
+    });
+
+    const result = _.mapValues(schema, function (spec, key) {
+        return options[key] === undefined ? spec.default : options[key];
+    });
+
+    if (format.validate) {
+        format.validate(result, options);
+    }
+
+    return result;
+}
+
+/**
+ * Get the descriptor value of an enumerated option.
+ *
+ * @private
+ * @param {object} format
+ * @param {object} options Validated options
+ * @param {string} key
+ * @return {*}
+ */
+const _valueOf = function (format, options, key) {
+    return format.options[key].values[options[key]];
+};
+
+/**
+ * Resolve the format of a save or export, either from the format setting
+ * or from the extension of the path.
+ *
+ * @private
+ * @param {string} path
+ * @param {object} settings
+ * @return {object}
+ * @throws {Error} If the format is unknown
+ */
+const _resolveFormat = function (path, settings) {
+    const name = settings.format || formatOf(path);
+
+    if (!name) {
+        throw new Error("Can't infer the file format of " + path + "; specify one of " +
+            Object.keys(formats).join(", "));
+    } else if (!formats[name]) {
+        throw new Error("Unknown file format: " + name);
+    }
+
+    return formats[name];
+};
+
+/**
+ * Build the "make" or "export" descriptor for a path and settings.
+ *
+ * @private
+ * @param {string} path
+ * @param {object} settings
+ * @return {{command: string, descriptor: object}}
+ */
+const _saveDescriptor = function (path, settings) {
+    const format = _resolveFormat(path, settings),
+        options = validateOptions(format.name, _.omit(settings, "format"));
+
+    if (format.export) {
+        return {
+            command: "export",
+            descriptor: {
+                "using": format.export(path, options, _valueOf.bind(null, format, options))
+            }
+        };
+    }
+
+    const descriptor = {
+        "as": format.saveAs(options, _valueOf.bind(null, format, options)),
+        "in": {
+            "_path": path
+        }
+    };
+
+    if (format.convertTo) {
+        descriptor.to = format.convertTo(options, _valueOf.bind(null, format, options));
+    }
+
+    if (options.copy) {
+        descriptor.copy = true;
+    }
+
+    if (options.embedProfiles) {
+        descriptor.embedProfiles = true;
+    }
+
+    return {
+        command: "make",
+        descriptor: descriptor
+    };
+};
+
+/**
+ * Save the current document to a file, or export it for the web.
+ *
+ * The format is given by settings.format, one of the names in formats, or
+ * else inferred from the extension of the path. The other settings are the
+ * options of the format, e.g.:
+ *      saveAs("/tmp/image.dat", { format: "webp", quality: 80 })
+ *      saveAs("/tmp/image.tif", { compression: "lzw", copy: true })
+ *
+ * Saved formats are played with the "make" command, as in document.saveDocument,
+ * so that listeners of the notifications of saves handle both alike.
+ *
+ * @param {string} path The full path of the file
+ * @param {object=} settings
+ * @param {string=} settings.format Name of the format
+ * @return {PlayObject}
+ * @throws {Error} If the format is unknown or the options are invalid for the format
+ */
+export function saveAs (path, settings = {}) {
+    const save = _saveDescriptor(path, settings);
+
+    return new PlayObject(save.command, save.descriptor);
+}
+
+registerFormat("psd", {
+    extensions: ["psd"],
+    options: {
+        maximizeCompatibility: { type: "boolean", default: true }
+    },
+    saveAs: function (options) {
+        return {
+            "_obj": "photoshop35Format",
+            "_value": {
+                "maximizeCompatibility": options.maximizeCompatibility
+            }
+        };
+    }
+});
+
+registerFormat("psb", {
+    extensions: ["psb"],
+    options: {
+        maximizeCompatibility: { type: "boolean", default: true }
+    },
+    saveAs: function (options) {
+        return {
+            "_obj": "largeDocumentFormat",
+            "_value": {
+                "maximizeCompatibility": options.maximizeCompatibility
+            }
+        };
+    }
+});
+
+registerFormat("jpg", {
+    extensions: ["jpg", "jpeg"],
+    options: {
+        quality: { type: "number", min: 0, max: 12, default: 8 },
+        formatOptions: {
+            type: "string",
+            values: { standard: "standard", optimized: "optimized", progressive: "progressive" },
+            default: "standard"
+        },
+        scans: { type: "number", min: 3, max: 5, default: 3 }
+    },
+    validate: function (options, given) {
+        if (options.formatOptions !== "progressive" && given.scans !== undefined) {
+            throw new Error("Format jpg only supports scans for progressive JPEGs");
+        }
+    },
+    saveAs: function (options) {
+        const value = {
+            "extendedQuality": options.quality,
+            "matteColor": _enum("matteColor", "none")
+        };
+
+        if (options.formatOptions === "optimized") {
+            value.optimized = true;
+        } else if (options.formatOptions === "progressive") {
+            value.scans = options.scans;
+        }
+
+        return {
+            "_obj": "JPEG",
+            "_value": value
+        };
+    }
+});
+
+registerFormat("png", {
+    extensions: ["png"],
+    options: {
+        compression: { type: "string", values: { none: 0, smallest: 9 }, default: "none" },
+        interlace: {
+            type: "string",
+            values: { none: "PNGInterlaceNone", interlaced: "PNGInterlaceAdam7" },
+            default: "none"
+        }
+    },
+    saveAs: function (options, valueOf) {
+        return {
+            "_obj": "PNGFormat",
+            "_value": {
+                "PNGInterlaceType": _enum("PNGInterlaceType", valueOf("interlace")),
+                "compression": valueOf("compression")
+            }
+        };
+    }
+});
+
+registerFormat("gif", {
+    extensions: ["gif"],
+    options: {
+        palette: {
+            type: "string",
+            values: {
+                exact: "exact",
+                mac: "macintoshSystem",
+                window: "windowsSystem",
+                web: "web",
+                localPerceptual: "perceptual",
+                localSelective: "selective",
+                localAdaptive: "adaptive",
+                previous: "previous"
+            },
+            default: "exact"
+        },
+        forcedColors: {
+            type: "string",
+            values: { none: "none", blackAndWhite: "blackAndWhite", primaries: "primaries", web: "web" },
+            default: "blackAndWhite"
+        },
+        rowOrder: { type: "string", values: { normal: false, interlaced: true }, default: "normal" },
+        transparency: { type: "boolean", default: true },
+        copy: { type: "boolean", default: true }
+    },
+    validate: function (options) {
+        if (!options.copy) {
+            throw new Error("Format gif converts the document to indexed color, so it can only be saved as a copy");
+        } else if (options.embedProfiles) {
+            throw new Error("Format gif doesn't support embedding color profiles");
+        }
+    },
+    saveAs: function (options, valueOf) {
+        return {
+            "_obj": "GIFFormat",
+            "_value": {
+                "interfaceIconFrameDimmed": valueOf("rowOrder")
+            }
+        };
+    },
+    convertTo: function (options, valueOf) {
+        return {
+            "_obj": "indexedColorMode",
+            "_value": {
+                "palette": _enum("colorPalette", valueOf("palette")),
+                "forcedColors": _enum("forcedColors", valueOf("forcedColors")),
+                "transparency": options.transparency
+            }
+        };
+    }
+});
+
+registerFormat("tiff", {
+    extensions: ["tif", "tiff"],
+    options: {
+        byteOrder: { type: "string", values: { ibm: "IBMPC", mac: "macintosh" }, default: "ibm" },
+        compression: {
+            type: "string",
+            values: { none: null, lzw: null, zip: "zip", jpeg: "jpeg" },
+            default: "none"
+        },
+        layers: { type: "boolean", default: true },
+        transparency: { type: "boolean", default: true }
+    },
+    saveAs: function (options, valueOf) {
+        const value = {
+            "byteOrder": _enum("platform", valueOf("byteOrder")),
+            "saveTransparency": options.transparency
+        };
+
+        if (options.compression === "lzw") {
+            value.LZWCompression = true;
+        } else if (options.compression !== "none") {
+            value.encoding = _enum("encoding", valueOf("compression"));
+        }
+
+        if (options.layers) {
+            value.layerCompression = _enum("encoding", "RLE");
+        }
+
+        return {
+            "_obj": "TIFF",
+            "_value": value
+        };
+    }
+});
+
+registerFormat("pdf", {
+    extensions: ["pdf"],
+    options: {
+        preset: { type: "string", default: "[High Quality Print]" },
+        compatibility: {
+            type: "string",
+            values: { pdf13: "pdf13", pdf14: "pdf14", pdf15: "pdf15", pdf16: "pdf16", pdf17: "pdf17" },
+            default: "pdf15"
+        },
+        preserveEditing: { type: "boolean", default: true },
+        embedThumbnails: { type: "boolean", default: true },
+        optimizeForWeb: { type: "boolean", default: false }
+    },
+    validate: function (options) {
+        if (options.preserveEditing && options.compatibility === "pdf13") {
+            throw new Error("Format pdf can't preserve Photoshop editing capabilities in PDF 1.3");
+        }
+    },
+    saveAs: function (options, valueOf) {
+        return {
+            "_obj": "photoshopPDFFormat",
+            "_value": {
+                "pdfPresetFilename": options.preset,
+                "pdfCompatibilityLevel": _enum("pdfCompatibilityLevel", valueOf("compatibility")),
+                "pdfPreserveEditing": options.preserveEditing,
+                "pdfEmbedThumbnails": options.embedThumbnails,
+                "pdfOptimizeForWeb": options.optimizeForWeb
+            }
+        };
+    }
+});
+
+registerFormat("bmp", {
+    extensions: ["bmp"],
+    options: {
+        platform: { type: "string", values: { windows: "windows", os2: "OS2" }, default: "windows" },
+        bitDepth: {
+            type: "number",
+            values: { 1: "bitDepth1", 4: "bitDepth4", 8: "bitDepth8", 16: "bitDepth16", 24: "bitDepth24",
+                32: "bitDepth32" },
+            default: 24
+        },
+        compression: { type: "boolean", default: false }
+    },
+    validate: function (options) {
+        if (options.compression && options.bitDepth !== 4 && options.bitDepth !== 8) {
+            throw new Error("Format bmp only supports RLE compression at a bit depth of 4 or 8");
+        }
+    },
+    saveAs: function (options, valueOf) {
+        return {
+            "_obj": "BMPFormat",
+            "_value": {
+                "platform": _enum("platform", valueOf("platform")),
+                "bitDepth": _enum("bitDepth", valueOf("bitDepth")),
+                "compression": options.compression
+            }
+        };
+    }
+});
+
+registerFormat("webp", {
+    extensions: ["webp"],
+    options: {
+        lossless: { type: "boolean", default: false },
+        quality: { type: "number", min: 0, max: 100, default: 75 },
+        includeMetadata: { type: "boolean", default: false }
+    },
+    validate: function (options, given) {
+        if (options.lossless && given.quality !== undefined) {
+            throw new Error("Format webp doesn't support a quality for lossless compression");
+        }
+    },
+    saveAs: function (options) {
+        const value = {
+            "compression": _enum("WebPCompression", options.lossless ? "compressionLossless" : "compressionLossy"),
+            "includeXMPData": options.includeMetadata,
+            "includeEXIFData": options.includeMetadata
+        };
+
+        if (!options.lossless) {
+            value.quality = options.quality;
+        }
+
+        return {
+            "_obj": "WebPFormat",
+            "_value": value
+        };
+    }
+});
+
+registerFormat("web", {
+    options: {
+        webFormat: {
+            type: "string",
+            values: { png8: "PNG8", png24: "PNG24", jpeg: "JPEG", gif: "CompuServeGIF" },
+            default: "png24"
+        },
+        quality: { type: "number", min: 0, max: 100, default: 60 },
+        transparency: { type: "boolean", default: true },
+        interlaced: { type: "boolean", default: false },
+        optimized: { type: "boolean", default: true },
+        convertToSRGB: { type: "boolean", default: true }
+    },
+    validate: function (options, given) {
+        if (options.webFormat === "jpeg" && given.transparency) {
+            throw new Error("Format web doesn't support transparency for JPEG images");
+        } else if (options.webFormat !== "jpeg" && (given.quality !== undefined || given.optimized !== undefined)) {
+            throw new Error("Format web only supports quality and optimized for JPEG images");
+        }
+    },
+    export: function (path, options, valueOf) {
+        const value = {
+            "op": _enum("SWOpType", "save"),
+            "in": {
+                "_path": path
+            },
+            "format": _enum("IRFormatType", valueOf("webFormat")),
+            "interlaced": options.interlaced,
+            "SWsRGB": options.convertToSRGB
+        };
+
+        if (options.webFormat === "jpeg") {
+            value.quality = options.quality;
+            value.optimized = options.optimized;
+        } else {
+            value.transparency = options.transparency;
+        }
+
+        return {
+            "_obj": "SaveForWeb",
+            "_value": value
+        };
+    }
+});
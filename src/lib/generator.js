@@ -86,3 +86,118 @@ export function setGeneratorStatus (desiredStatus) {
 
     return new PlayObject("set", desc);
 }
+
+/**
+ * _ref object for the "generatorPlugins" property, the list of installed
+ * Generator plug-ins
+ *
+ * @private
+ * @const
+ * @type {object}
+ */
+const _generatorPluginsRef = {
+    _ref: [
+        { _ref: "property", _property: "generatorPlugins" },
+        { _ref: "application", _enum: "ordinal", _value: "targetEnum" }
+    ]
+};
+
+/**
+ * Build a PlayObject that will query the installed Generator plug-ins
+ *
+ * The resolved response lists the plug-ins as:
+ * `response.generatorPlugins = [{ name: string, version: string, enabled: boolean }, ...]`
+ *
+ * @return {PlayObject}
+ */
+export function getGeneratorPlugins () {
+    var desc = {
+        "null": _generatorPluginsRef
+    };
+
+    return new PlayObject("get", desc);
+}
+
+/**
+ * Build a play object that will enable or disable a single Generator plug-in.
+ * Generator restarts the plug-in, so this takes effect while Generator is enabled.
+ *
+ * @param {string} pluginName Name of the plug-in, as in its package.json
+ * @param {boolean} enabled
+ * @return {PlayObject}
+ */
+export function setGeneratorPluginEnabled (pluginName, enabled) {
+    var desc = {
+        null: _pluginPickerRef,
+        to: {
+            _obj: "pluginPicker",
+            _value: {
+                generatorPlugin: {
+                    _obj: "generatorPlugin",
+                    _value: {
+                        name: pluginName,
+                        enabled: !!enabled
+                    }
+                }
+            }
+        }
+    };
+
+    return new PlayObject("set", desc);
+}
+
+/**
+ * Name of the notification with which Generator plug-ins send messages,
+ * including replies, to the panel.
+ *
+ * @const
+ * @type {string}
+ */
+export const PLUGIN_MESSAGE_EVENT = "generatorPluginMessage";
+
+/**
+ * Build a play object that will send a JSON message to a Generator plug-in.
+ * Generator passes the message to the plug-in as the "generatorMessage" Photoshop
+ * event. Plug-ins reply with the PLUGIN_MESSAGE_EVENT notification, carrying the
+ * same messageID.
+ *
+ * @param {string} pluginName Name of the plug-in, as in its package.json
+ * @param {*} message Any JSON-serializable value
+ * @param {number=} messageID Identifies the replies to the message
+ * @return {PlayObject}
+ */
+export function sendGeneratorMessage (pluginName, message, messageID) {
+    var desc = {
+        name: pluginName,
+        json: JSON.stringify(message === undefined ? null : message)
+    };
+
+    if (messageID !== undefined) {
+        desc.messageID = messageID;
+    }
+
+    return new PlayObject("generatorMessage", desc);
+}
+
+/**
+ * Decode the payload of a PLUGIN_MESSAGE_EVENT notification.
+ *
+ * @param {{name: string, json: string, messageID: number=}} payload
+ * @return {{pluginName: string, message: *, messageID: ?number}}
+ * @throws {Error} If the JSON of the message is malformed
+ */
+export function decodePluginMessage (payload) {
+    var message;
+
+    try {
+        message = JSON.parse(payload.json);
+    } catch (err) {
+        throw new Error("Malformed message from Generator plug-in " + payload.name + ": " + err.message);
+    }
+
+    return {
+        pluginName: payload.name,
+        message: message,
+        messageID: typeof payload.messageID === "number" ? payload.messageID : null
+    };
+}
@@ -0,0 +1,330 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import * as unitsIn from "./unit";
+import { colorObject } from "./color";
+
+/**
+ * Gradient types, i.e. the shape of the gradient
+ *
+ * @const
+ * @type {Object.<string, string>}
+ */
+export const gradientTypes = Object.defineProperties({}, {
+    LINEAR: {
+        value: "linear",
+        writeable: false,
+        enumerable: true
+    },
+    RADIAL: {
+        value: "radial",
+        writeable: false,
+        enumerable: true
+    },
+    ANGLE: {
+        value: "angle",
+        writeable: false,
+        enumerable: true
+    },
+    REFLECTED: {
+        value: "reflected",
+        writeable: false,
+        enumerable: true
+    },
+    DIAMOND: {
+        value: "diamond",
+        writeable: false,
+        enumerable: true
+    }
+});
+
+/**
+ * Photoshop stores stop locations as integers from 0 to this value
+ *
+ * @private
+ * @const
+ * @type {number}
+ */
+const _LOCATION_SCALE = 4096;
+
+/**
+ * Check that a stop value is a number from 0 to 100.
+ *
+ * @private
+ * @param {string} name
+ * @param {*} value
+ * @throws {Error} If the value is invalid
+ */
+const _checkPercent = function (name, value) {
+    if (!(typeof value === "number" && value >= 0 && value <= 100)) {
+        throw new Error("Invalid gradient stop " + name + ": " + value + " is not between 0 and 100");
+    }
+};
+
+/**
+ * Validate stops, fill in their midpoints and sort them by location.
+ *
+ * @private
+ * @param {Array.<object>} stops
+ * @param {string} key Key of the value of each stop, "color" or "opacity"
+ * @return {Array.<object>}
+ * @throws {Error} If there are fewer than 2 stops or a stop is invalid
+ */
+const _normalizeStops = function (stops, key) {
+    if (!Array.isArray(stops) || stops.length < 2) {
+        throw new Error("A gradient needs at least 2 " + key + " stops");
+    }
+
+    return _.sortBy(stops.map(function (stop) {
+        const midpoint = stop.midpoint === undefined ? 50 : stop.midpoint;
+
+        if (stop[key] === undefined) {
+            throw new Error("Gradient " + key + " stop is missing its " + key);
+        } else if (key === "opacity") {
+            _checkPercent("opacity", stop.opacity);
+        }
+
+        _checkPercent("location", stop.location);
+        _checkPercent("midpoint", midpoint);
+
+        return _.zipObject([key, "location", "midpoint"], [stop[key], stop.location, midpoint]);
+    }), "location");
+};
+
+/**
+ * Get the value of a descriptor, with or without the _value wrapper.
+ *
+ * @private
+ * @param {object} descriptor
+ * @return {object}
+ */
+const _valueOf = function (descriptor) {
+    return descriptor && descriptor.hasOwnProperty("_value") ? descriptor._value : descriptor;
+};
+
+/**
+ * The Gradient class is an immutable value of the color and opacity stops
+ * of a gradient, as used by gradient fill layers, shape fills and strokes,
+ * gradient overlay effects and gradient map adjustments.
+ *
+ * Stop locations and midpoints are in percent, from 0 to 100. Midpoints,
+ * where the blend between a stop and the next is half way, default to 50.
+ * Colors are in any form accepted by color.colorObject.
+ *
+ * Example:
+ *      const sunset = new Gradient([
+ *          { color: [255, 94, 58], location: 0 },
+ *          { color: [255, 149, 0], location: 100, midpoint: 30 }
+ *      ], [
+ *          { opacity: 100, location: 0 },
+ *          { opacity: 0, location: 100 }
+ *      ]);
+ */
+export class Gradient {
+    /**
+     * @param {Array.<{color: *, location: number, midpoint: number=}>} colorStops
+     * @param {Array.<{opacity: number, location: number, midpoint: number=}>=} opacityStops
+     *  Opacities in percent, defaults to opaque
+     * @param {string=} name
+     * @throws {Error} If there are fewer than 2 color or opacity stops, or a stop is invalid
+     */
+    constructor (colorStops, opacityStops, name) {
+        /**
+         * Color stops, ordered by location.
+         *
+         * @type {Array.<{color: *, location: number, midpoint: number}>}
+         */
+        this.colorStops = _normalizeStops(colorStops, "color");
+
+        /**
+         * Opacity stops, ordered by location.
+         *
+         * @type {Array.<{opacity: number, location: number, midpoint: number}>}
+         */
+        this.opacityStops = _normalizeStops(opacityStops || [
+            { opacity: 100, location: 0 },
+            { opacity: 100, location: 100 }
+        ], "opacity");
+
+        /**
+         * @type {string}
+         */
+        this.name = name || "Custom";
+
+        this.colorStops.forEach(Object.freeze);
+        this.opacityStops.forEach(Object.freeze);
+        Object.freeze(this.colorStops);
+        Object.freeze(this.opacityStops);
+        Object.freeze(this);
+    }
+
+    /**
+     * Build the gradient descriptor, as expected by Photoshop.
+     *
+     * @return {ActionDescriptor}
+     */
+    toDescriptor () {
+        return {
+            "_obj": "gradientClassEvent",
+            "_value": {
+                "name": this.name,
+                "gradientForm": {
+                    "_enum": "gradientForm",
+                    "_value": "customStops"
+                },
+                // Smoothness, at 100%
+                "interfaceIconFrameDimmed": 4096,
+                "colors": this.colorStops.map(function (stop) {
+                    return {
+                        "_obj": "colorStop",
+                        "_value": {
+                            "color": colorObject(stop.color),
+                            "type": {
+                                "_enum": "colorStopType",
+                                "_value": "userStop"
+                            },
+                            "location": Math.round(stop.location * _LOCATION_SCALE / 100),
+                            "midpoint": Math.round(stop.midpoint)
+                        }
+                    };
+                }),
+                "transparency": this.opacityStops.map(function (stop) {
+                    return {
+                        "_obj": "transferSpec",
+                        "_value": {
+                            "opacity": unitsIn.percent(stop.opacity),
+                            "location": Math.round(stop.location * _LOCATION_SCALE / 100),
+                            "midpoint": Math.round(stop.midpoint)
+                        }
+                    };
+                })
+            }
+        };
+    }
+
+    /**
+     * Read a gradient descriptor, e.g. the gradient of a layer effect or fill
+     * layer returned by Photoshop. Colors are kept as color descriptors.
+     *
+     * @param {ActionDescriptor} descriptor
+     * @return {Gradient}
+     * @throws {Error} If the descriptor doesn't have enough stops, e.g. because
+     *  it is a noise gradient
+     */
+    static fromDescriptor (descriptor) {
+        const value = _valueOf(descriptor),
+            locationOf = function (stop) {
+                return stop.location * 100 / _LOCATION_SCALE;
+            },
+            opacityOf = function (opacity) {
+                return opacity && typeof opacity === "object" ? opacity._value : opacity;
+            };
+
+        return new Gradient(
+            (value.colors || []).map(_valueOf).map(function (stop) {
+                return { color: stop.color, location: locationOf(stop), midpoint: stop.midpoint };
+            }),
+            (value.transparency || []).map(_valueOf).map(function (stop) {
+                return { opacity: opacityOf(stop.opacity), location: locationOf(stop), midpoint: stop.midpoint };
+            }),
+            value.name
+        );
+    }
+}
+
+/**
+ * Construct a Gradient from its stops.
+ *
+ * @see Gradient
+ * @param {Array.<object>} colorStops
+ * @param {Array.<object>=} opacityStops
+ * @param {string=} name
+ * @return {Gradient}
+ */
+export function makeGradient (colorStops, opacityStops, name) {
+    const gradient = new Gradient(colorStops, opacityStops, name);
+
+    return gradient;
+}
+
+/**
+ * Build the value of a gradient fill: the gradient and how it is laid out.
+ * Shared by gradient fill layers, shape fills and strokes, and gradient
+ * overlay effects.
+ *
+ * @param {Gradient|Array.<object>} gradient A Gradient, or its color stops
+ * @param {object=} settings
+ * @param {string=} settings.type One of gradientTypes, defaults to linear
+ * @param {number=} settings.angle In degrees, defaults to 90
+ * @param {number=} settings.scale In percent, from 10 to 150, defaults to 100
+ * @param {boolean=} settings.reverse
+ * @param {boolean=} settings.dither
+ * @param {boolean=} settings.align Whether to align the gradient with the layer,
+ *  rather than the document, defaults to true
+ * @return {object} The value of a gradientLayer descriptor
+ * @throws {Error} If the type or scale is invalid
+ */
+export function gradientFillValue (gradient, settings = {}) {
+    const type = settings.type || gradientTypes.LINEAR,
+        scale = settings.scale === undefined ? 100 : settings.scale;
+
+    if (!_.includes(gradientTypes, type)) {
+        throw new Error("Invalid gradient type: " + type + "; expected one of " + _.values(gradientTypes).join(", "));
+    } else if (!(typeof scale === "number" && scale >= 10 && scale <= 150)) {
+        throw new Error("Invalid gradient scale: " + scale + " is not between 10 and 150");
+    }
+
+    if (!(gradient instanceof Gradient)) {
+        gradient = new Gradient(gradient);
+    }
+
+    return {
+        "gradient": gradient.toDescriptor(),
+        "type": {
+            "_enum": "gradientType",
+            "_value": type
+        },
+        "angle": unitsIn.angle(settings.angle === undefined ? 90 : settings.angle),
+        "scale": unitsIn.percent(scale),
+        "reverse": !!settings.reverse,
+        "dither": !!settings.dither,
+        "align": settings.align !== false
+    };
+}
+
+/**
+ * Build the contents of a gradient fill, for fill layers, shape fills and strokes.
+ *
+ * @see gradientFillValue
+ * @param {Gradient|Array.<object>} gradient
+ * @param {object=} settings
+ * @return {ActionDescriptor}
+ */
+export function gradientFillObject (gradient, settings) {
+    return {
+        "_obj": "gradientLayer",
+        "_value": gradientFillValue(gradient, settings)
+    };
+}
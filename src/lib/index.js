@@ -1,14 +1,18 @@
 define(function (require, exports) {
     "use strict";
 
+    exports.adjustmentLayer = require("./adjustmentLayer");
     exports.application = require("./application");
     exports.artboard = require("./artboard");
+    exports.assetExport = require("./assetExport");
     exports.bounds = require("./bounds");
     exports.brushes = require("./brushes");
     exports.color = require("./color");
     exports.contentLayer = require("./contentLayer");
     exports.document = require("./document");
+    exports.fileFormat = require("./fileFormat");
     exports.generator = require("./generator");
+    exports.gradient = require("./gradient");
     exports.history = require("./history");
     exports.hitTest = require("./hitTest");
     exports.layer = require("./layer");
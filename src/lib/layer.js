@@ -22,7 +22,7 @@
  */
     
 import PlayObject from "../playObject";
-import { wrapper, refersTo } from "./reference";
+import { wrapper, refersTo, makeReference } from "./reference";
 import inUnits from "./unit";
 import { assert } from "../util";
 
@@ -694,20 +694,12 @@ var _extensionDataReference = function (docRef, layerRef, namespace) {
         _layerRef = layerRef;
     }
 
-    return {
-        _ref: [
-            {
-                _ref: null,
-                _property: namespace
-            },
-            {
-                _ref: null,
-                _property: "layerExtensionData"
-            },
-            _layerRef,
-            _docRef
-        ]
-    };
+    return makeReference()
+        .property(namespace, null)
+        .property("layerExtensionData", null)
+        .append(_layerRef)
+        .append(_docRef)
+        .build();
 };
 
 /**
@@ -27,6 +27,7 @@ import PlayObject from "../playObject";
 import { wrapper, refersTo as referenceOf } from "./reference";
 import * as inUnits from "./unit";
 import { colorObject} from "./color";
+import { gradientFillValue } from "./gradient";
 import { assert } from "../util";
 
 export const referenceBy = wrapper("layer");
@@ -56,6 +57,7 @@ const _SINGULAR_EFFECT_TYPES = new Set([
 const _INNER_SHADOW = "innerShadow",
     _DROP_SHADOW = "dropShadow",
     _COLOR_OVERLAY = "solidFill",
+    _GRADIENT_OVERLAY = "gradientFill",
     _STROKE = "frameFX";
 
 /**
@@ -213,6 +215,34 @@ function _colorOverlayProperties (properties) {
     return layerEffectPsProperties;
 }
 
+/**
+ * Parse Gradient Overlay JS properties and assign units to make them acceptable to PS
+ *
+ * The gradient is a gradient.Gradient or its color stops, laid out by the type, angle,
+ * scale, reverse, dither and align properties, see gradient.gradientFillValue
+ *
+ * @private
+ * @param {object} properties intermediate object format using Photoshop names, but without units
+ * @return {object} PS friendly Properties
+ */
+function _gradientOverlayProperties (properties) {
+    var layerEffectPsProperties = {
+        enabled: properties.enabled === undefined ? true : properties.enabled
+    };
+
+    if (_.isObject(properties.gradient)) {
+        _.assign(layerEffectPsProperties, gradientFillValue(properties.gradient, properties));
+    }
+    if (_.isNumber(properties.opacity)) {
+        layerEffectPsProperties.opacity = inUnits.percent(properties.opacity);
+    }
+    if (_.isString(properties.blendMode)) {
+        layerEffectPsProperties.mode = _enumerableValue("blendMode", properties.blendMode);
+    }
+
+    return layerEffectPsProperties;
+}
+
 /**
  * Parse Stroke JS properties and assign units to make them acceptable to PS
  * 
@@ -286,6 +316,9 @@ function _effectDescriptor (effectType, properties) {
         case _COLOR_OVERLAY:
             value = _colorOverlayProperties(properties);
             break;
+        case _GRADIENT_OVERLAY:
+            value = _gradientOverlayProperties(properties);
+            break;
         case _STROKE:
             value = _strokeProperties(properties);
             break;
@@ -21,6 +21,10 @@
  * 
  */
 
+import _ from "lodash";
+
+import { parse } from "./reference";
+
 /**
  * Returns the target of the event by parsing the action descriptor
  * 
@@ -39,3 +43,238 @@ export function targetOf (event) {
         return null;
     }
 }
+
+/**
+ * Parse the "null" reference of the event, which refers to its target.
+ *
+ * @private
+ * @param {ActionDescriptor} event
+ * @return {Array.<{class: ?string, form: string, value: *}>} Entries, innermost first, or
+ *  an empty list if the event has no valid target reference
+ */
+const _targetEntriesOf = function (event) {
+    if (!event || typeof event !== "object" || !event.null || typeof event.null !== "object") {
+        return [];
+    }
+
+    try {
+        return parse(event.null);
+    } catch (err) {
+        return [];
+    }
+};
+
+/**
+ * Returns the ID of the document targeted by the event, either from its
+ * documentID key, or from the document in its "null" reference
+ *
+ * @param {ActionDescriptor} event
+ * @return {?number} Document ID, or null if unknown, e.g. for the current document
+ */
+export function documentOf (event) {
+    if (event && typeof event === "object" && typeof event.documentID === "number") {
+        return event.documentID;
+    }
+
+    var documentEntry = _targetEntriesOf(event).filter(function (entry) {
+        return entry.class === "document" && entry.form === "id";
+    })[0];
+
+    return documentEntry && typeof documentEntry.value === "number" ? documentEntry.value : null;
+}
+
+/**
+ * Returns the IDs of the layers affected by the event, either from its
+ * layerID or layerIDs key, or from the layers in its "null" reference
+ *
+ * @param {ActionDescriptor} event
+ * @return {Array.<number>} Layer IDs, empty if unknown, e.g. for the selected layers
+ */
+export function layerIDsOf (event) {
+    if (!event || typeof event !== "object") {
+        return [];
+    }
+
+    var ids = event.hasOwnProperty("layerID") ? event.layerID : event.layerIDs;
+
+    if (typeof ids === "number") {
+        return [ids];
+    } else if (Array.isArray(ids)) {
+        return ids.slice();
+    }
+
+    return _targetEntriesOf(event).filter(function (entry) {
+        return entry.class === "layer" && entry.form === "id";
+    }).map(function (entry) {
+        return entry.value;
+    });
+}
+
+/**
+ * Properties of a descriptor without its class, in either the flat form or
+ * the form that wraps the properties in _value.
+ *
+ * @private
+ * @param {*} descriptor
+ * @return {object}
+ */
+const _propertiesOf = function (descriptor) {
+    if (!descriptor || typeof descriptor !== "object" || descriptor.hasOwnProperty("_ref")) {
+        return {};
+    } else if (descriptor.hasOwnProperty("_obj") && _.isPlainObject(descriptor._value)) {
+        return _.clone(descriptor._value);
+    }
+
+    return _.omit(descriptor, "_obj");
+};
+
+/**
+ * Decode the parts common to all events: the affected document and layers,
+ * and the class of the target.
+ *
+ * @private
+ * @param {string} name
+ * @param {ActionDescriptor} event
+ * @return {{event: string, documentID: ?number, layerIDs: Array.<number>, target: ?string}}
+ */
+const _decodeCommon = function (name, event) {
+    var targetEntry = _targetEntriesOf(event).filter(function (entry) {
+        return entry.form !== "property";
+    })[0];
+
+    return {
+        event: name,
+        documentID: documentOf(event),
+        layerIDs: layerIDsOf(event),
+        target: targetEntry ? targetEntry.class : null
+    };
+};
+
+/**
+ * Decoders of known events by event name. Each decoder receives the
+ * result of _decodeCommon and the event descriptor, and adds the
+ * event-specific properties to the result.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, function(object, ActionDescriptor)>}
+ */
+const _DECODERS = {
+    "make": function (decoded, event) {
+        if (event.hasOwnProperty("new")) {
+            decoded.target = event.new._obj || decoded.target;
+            decoded.properties = _propertiesOf(event.new);
+        } else {
+            decoded.properties = _propertiesOf(event.using);
+        }
+    },
+    "set": function (decoded, event) {
+        var propertyEntry = _targetEntriesOf(event).filter(function (entry) {
+            return entry.form === "property";
+        })[0];
+
+        if (propertyEntry) {
+            var to = event.to;
+
+            // A property is set to a descriptor of the same name, e.g. {_obj: "name", _value: "Title"}
+            if (to && typeof to === "object" && to._obj === propertyEntry.value && to.hasOwnProperty("_value")) {
+                to = to._value;
+            }
+
+            decoded.properties = {};
+            decoded.properties[propertyEntry.value] = to;
+        } else {
+            decoded.properties = _propertiesOf(event.to);
+        }
+    },
+    "delete": _.noop,
+    "hide": function (decoded) {
+        decoded.properties = { visible: false };
+    },
+    "show": function (decoded) {
+        decoded.properties = { visible: true };
+    },
+    "duplicate": function (decoded, event) {
+        decoded.newLayerIDs = Array.isArray(event.ID) ? event.ID.slice() : [];
+    },
+    "select": function (decoded, event) {
+        decoded.modifier = event.selectionModifier ? event.selectionModifier._value : null;
+        decoded.makeVisible = !!event.makeVisible;
+    },
+    "move": function (decoded, event) {
+        var to = event.to || {};
+
+        if (to.hasOwnProperty("_ref")) {
+            var indexEntry = _targetEntriesOf({ null: to }).filter(function (entry) {
+                return entry.form === "index";
+            })[0];
+
+            decoded.index = indexEntry ? indexEntry.value : null;
+            decoded.offset = null;
+        } else {
+            decoded.index = null;
+            decoded.offset = to._obj === "offset" || to._obj === "point" ? _propertiesOf(to) : null;
+        }
+
+        decoded.duplicate = !!event.duplicate;
+    },
+    "transform": function (decoded, event) {
+        decoded.properties = _.pick(event, ["offset", "width", "height", "angle", "freeTransformCenterState"]);
+    },
+    "historyStateChanged": function (decoded, event) {
+        decoded.historyStateID = event.ID;
+        decoded.name = event.name;
+        decoded.index = event.itemIndex;
+        decoded.count = event.count;
+    },
+    "selectNoLayers": _.noop,
+    "layersFiltered": _.noop,
+    "close": _.noop
+};
+
+/**
+ * Names of the events that decode can normalize.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+export const decodableEvents = Object.keys(_DECODERS);
+
+/**
+ * Decode a notification from Photoshop into a normalized object, so that
+ * state can be patched without querying Photoshop again:
+ *     - event: the name of the event
+ *     - documentID: the affected document, or null if unknown, e.g. the current document
+ *     - layerIDs: the affected layers, empty if unknown, e.g. the selected layers
+ *     - target: the class of the target, e.g. "layer" or "document", or null if unknown
+ * Depending on the event, it has the following properties:
+ *     - make, set, hide, show, transform: properties, the new values of the changed properties
+ *     - duplicate: newLayerIDs, the IDs of the copies
+ *     - select: modifier, e.g. "addToSelection", and makeVisible
+ *     - move: index, the new index of the layers; offset, the translation of the
+ *       layers, with horizontal and vertical unit values; and duplicate
+ *     - historyStateChanged: historyStateID, name, index and count
+ *
+ * Example:
+ *     descriptor.on("all", function (name, payload) {
+ *         var decoded = decode(name, payload);
+ *         ...
+ *     });
+ *
+ * @param {string} name Name of the event
+ * @param {ActionDescriptor} event Payload of the event
+ * @return {?object} Decoded event, or null if the event is not decodable
+ */
+export function decode (name, event) {
+    var decoder = _DECODERS[name];
+
+    if (!decoder || !event || typeof event !== "object") {
+        return null;
+    }
+
+    var decoded = _decodeCommon(name, event);
+
+    decoder(decoded, event);
+
+    return decoded;
+}
@@ -21,31 +21,382 @@
  *
  */
  
+import _ from "lodash";
+
 // This is a wrapper to create reference action descriptors
 // It accepts the class name and will return functions that create
 // descriptors for references by different proparties
 
 /**
- * Given a reference object created by one of the wrapper functions
- * this function will return the object name out
+ * Classes of layer references, all of which may own paths and channels,
+ * e.g. vector masks and layer masks.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _LAYER_CLASSES = ["layer", "contentLayer", "textLayer", "adjustmentLayer"];
+
+/**
+ * Reference classes that are validated when chained, mapped to the classes
+ * that may directly contain them. Unlisted classes may appear anywhere.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, Array.<string>>}
+ */
+const _CONTAINERS = {
+    "layer": ["document"],
+    "contentLayer": ["document"],
+    "textLayer": ["document"],
+    "adjustmentLayer": ["document"],
+    "channel": _LAYER_CLASSES.concat("document"),
+    "path": _LAYER_CLASSES.concat("document"),
+    "guide": ["document"],
+    "historyState": ["document"],
+    "snapshotClass": ["document"],
+    "document": ["application"],
+    "application": []
+};
+
+/**
+ * Keys that determine how a reference entry selects its target.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _FORM_KEYS = ["_id", "_index", "_name", "_offset", "_enum", "_property"];
+
+/**
+ * Expand a reference into its list of reference entries, innermost first.
+ * Arrays are interpreted as in Descriptor.prototype.get, outermost first,
+ * and class name strings refer to the current target of that class.
+ *
+ * @private
+ * @param {string|object|Array.<string|object>} reference
+ * @return {Array.<object>}
+ */
+const _entriesOf = function (reference) {
+    if (Array.isArray(reference)) {
+        return reference.slice().reverse().reduce(function (entries, ref) {
+            return entries.concat(_entriesOf(ref));
+        }, []);
+    } else if (typeof reference === "string") {
+        return [{ _ref: reference, _enum: "ordinal", _value: "targetEnum" }];
+    } else if (reference && Array.isArray(reference._ref)) {
+        return reference._ref.reduce(function (entries, ref) {
+            return entries.concat(_entriesOf(ref));
+        }, []);
+    } else {
+        return [reference];
+    }
+};
+
+/**
+ * Get the class of a reference entry. Entries for a class as a whole may
+ * name it with _class instead of _ref, as in document.insertGuide, which
+ * lists its entries outermost first.
+ *
+ * @private
+ * @param {object} entry
+ * @return {?string}
+ */
+const _classOf = function (entry) {
+    return entry.hasOwnProperty("_ref") ? entry._ref : entry._class;
+};
+
+/**
+ * Whether the entry refers to a property rather than to a class.
  *
- * @param {Array.<ActionDescriptor>|ActionDescriptor} reference Reference to an object
+ * @private
+ * @param {object} entry
+ * @return {boolean}
+ */
+const _isPropertyEntry = function (entry) {
+    return entry.hasOwnProperty("_property") && (entry._ref === "property" || entry._ref === null);
+};
+
+/**
+ * Given a reference object created by one of the wrapper functions, or a
+ * chain of them, this function will return the class of the referenced
+ * object. Property entries of a chain are skipped, so the class of a
+ * property reference is the class of the object that owns the property.
+ *
+ * @param {string|Array.<ActionDescriptor>|ActionDescriptor} reference Reference to an object
  * or an array of references, where last one is the object
- * @returns {string} Object type
+ * @returns {?string} Object type
  */
 export function refersTo (reference) {
     if (Array.isArray(reference)) {
         return refersTo(reference[reference.length - 1]);
+    } else if (typeof reference === "string") {
+        return reference;
+    } else if (reference.hasOwnProperty("_multiGetRef")) {
+        return refersTo({ _ref: reference._multiGetRef.slice(1) });
+    }
+
+    var entries = _entriesOf(reference).filter(function (entry) {
+        return !_isPropertyEntry(entry) && !entry.hasOwnProperty("_propertyList");
+    });
+
+    if (entries.length === 0) {
+        return _classOf(_entriesOf(reference)[0]);
+    } else if (entries[0].hasOwnProperty("_range")) {
+        return entries[0]._range;
     } else {
-        var refValue = reference._ref;
-        if (Array.isArray(refValue)) {
-            return refValue[0]._ref;
+        return _classOf(entries[0]);
+    }
+}
+
+/**
+ * Parse a reference into its entries, innermost first, e.g. the property,
+ * then the layer that owns it, then the document that contains the layer.
+ *
+ * @param {string|Array.<ActionDescriptor>|ActionDescriptor} reference
+ * @return {Array.<{class: ?string, form: string, value: *, type: string=}>} The form is one
+ *  of "id", "index", "name", "offset", "enum", "property" or, for references to a class as
+ *  a whole, "class". Enumerations also have the enumeration type.
+ */
+export function parse (reference) {
+    return _entriesOf(reference).map(function (entry) {
+        var parsed = { class: _classOf(entry) },
+            key = _.find(_FORM_KEYS, function (key) {
+                return entry.hasOwnProperty(key);
+            });
+
+        if (!key) {
+            parsed.form = "class";
+            parsed.value = null;
+        } else if (key === "_enum") {
+            parsed.form = "enum";
+            parsed.type = entry._enum;
+            parsed.value = entry._value;
         } else {
-            return reference._ref;
+            parsed.form = key.substr(1);
+            parsed.value = entry[key];
+        }
+
+        return parsed;
+    });
+}
+
+/**
+ * Check that a reference is well-formed: each entry has a class and at most
+ * one form, properties come before the classes that own them, and known
+ * classes are contained by classes that can contain them. Consecutive entries
+ * of the same class, as in references to several layers, are siblings, and
+ * share the container that follows them.
+ *
+ * @param {string|Array.<ActionDescriptor>|ActionDescriptor} reference
+ * @throws {Error} If the reference is malformed
+ */
+export function validate (reference) {
+    var entries = _entriesOf(reference),
+        owner = null;
+
+    entries.forEach(function (entry, index) {
+        if (!entry || typeof entry !== "object" ||
+            !(entry.hasOwnProperty("_ref") || entry.hasOwnProperty("_class"))) {
+            throw new Error("Malformed reference entry at " + index + ": " + JSON.stringify(entry));
+        }
+
+        var keys = _FORM_KEYS.filter(function (key) {
+            return entry.hasOwnProperty(key);
+        });
+
+        if (keys.length > 1) {
+            throw new Error("Reference entry has multiple forms (" + keys.join(", ") + "): " +
+                JSON.stringify(entry));
+        } else if (keys[0] === "_enum" && !entry.hasOwnProperty("_value")) {
+            throw new Error("Enumerated reference entry is missing a value: " + JSON.stringify(entry));
+        }
+
+        if (_isPropertyEntry(entry)) {
+            if (owner) {
+                throw new Error("Property " + entry._property + " must precede the " + owner +
+                    " reference that owns it");
+            }
+            return;
+        }
+
+        var refClass = _classOf(entry);
+        if (typeof refClass !== "string") {
+            throw new Error("Reference entry has no class: " + JSON.stringify(entry));
+        } else if (!entry.hasOwnProperty("_ref")) {
+            // Entries named by _class don't follow the order of containment
+            return;
+        }
+
+        if (owner && owner !== refClass &&
+            _CONTAINERS.hasOwnProperty(owner) && _CONTAINERS[owner].indexOf(refClass) < 0) {
+            throw new Error("A " + owner + " reference cannot be contained in a " + refClass + " reference");
+        }
+
+        owner = refClass;
+    });
+}
+
+/**
+ * The ReferenceBuilder class builds ActionReference chains fluently, from the
+ * innermost entry outwards, e.g. the name property of a layer by ID in a
+ * document by index:
+ *
+ *     makeReference().property("name").of("layer").id(layerID).of("document").index(1).build()
+ */
+export class ReferenceBuilder {
+    constructor () {
+        /**
+         * @private
+         * @type {Array.<object>}
+         */
+        this._entries = [];
+    }
+
+    /**
+     * Add a property entry.
+     *
+     * @param {string} property
+     * @param {?string=} className Class of the property entry, "property" by default
+     * @return {ReferenceBuilder}
+     */
+    property (property, className = "property") {
+        this._entries.push({ _ref: className, _property: property });
+        return this;
+    }
+
+    /**
+     * Add an entry for the given class. Unless followed by one of the form
+     * methods (id, index, etc.), it refers to the class as a whole.
+     *
+     * @param {string} className
+     * @return {ReferenceBuilder}
+     */
+    of (className) {
+        this._entries.push({ _ref: className });
+        return this;
+    }
+
+    /**
+     * Add the entries of an existing reference, e.g. one created by the
+     * wrapper functions.
+     *
+     * @param {string|Array.<ActionDescriptor>|ActionDescriptor} reference
+     * @return {ReferenceBuilder}
+     */
+    append (reference) {
+        this._entries = this._entries.concat(_.cloneDeep(_entriesOf(reference)));
+        return this;
+    }
+
+    /**
+     * Set the form of the last class entry.
+     *
+     * @private
+     * @param {string} key
+     * @param {*} value
+     * @return {ReferenceBuilder}
+     */
+    _setForm (key, value) {
+        var entry = this._entries[this._entries.length - 1];
+
+        if (!entry || _isPropertyEntry(entry)) {
+            throw new Error("Call of(className) before setting " + key);
+        } else if (_FORM_KEYS.some(entry.hasOwnProperty, entry)) {
+            throw new Error("The " + entry._ref + " reference already has a form");
+        }
+
+        entry[key] = value;
+        return this;
+    }
+
+    /**
+     * @param {number} id
+     * @return {ReferenceBuilder}
+     */
+    id (id) {
+        return this._setForm("_id", id);
+    }
+
+    /**
+     * @param {number} index
+     * @return {ReferenceBuilder}
+     */
+    index (index) {
+        return this._setForm("_index", index);
+    }
+
+    /**
+     * @param {string} name
+     * @return {ReferenceBuilder}
+     */
+    name (name) {
+        return this._setForm("_name", name);
+    }
+
+    /**
+     * @param {number} offset
+     * @return {ReferenceBuilder}
+     */
+    offset (offset) {
+        return this._setForm("_offset", offset);
+    }
+
+    /**
+     * @param {string} type Enumeration type
+     * @param {string} value Enumeration value
+     * @return {ReferenceBuilder}
+     */
+    enumerated (type, value) {
+        this._setForm("_enum", type);
+        this._entries[this._entries.length - 1]._value = value;
+        return this;
+    }
+
+    /**
+     * @param {string} value Ordinal value, e.g. "targetEnum"
+     * @return {ReferenceBuilder}
+     */
+    ordinal (value) {
+        return this.enumerated("ordinal", value);
+    }
+
+    /**
+     * @return {ReferenceBuilder}
+     */
+    target () {
+        return this.ordinal("targetEnum");
+    }
+
+    /**
+     * Validate and build the reference.
+     *
+     * @return {ActionDescriptor} The single entry, or a chain of entries
+     */
+    build () {
+        if (this._entries.length === 0) {
+            throw new Error("Empty reference");
         }
+
+        var reference = this._entries.length === 1 ?
+            _.cloneDeep(this._entries[0]) :
+            { _ref: _.cloneDeep(this._entries) };
+
+        validate(reference);
+
+        return reference;
     }
 }
 
+/**
+ * Start building a reference.
+ *
+ * @return {ReferenceBuilder}
+ */
+export function makeReference () {
+    return new ReferenceBuilder();
+}
+
 /**
  * FIXME: Needs explanation.
  *
@@ -23,13 +23,15 @@
 
 import { colorObject } from "./color";
 import { pixels } from "./unit";
+import { gradientFillObject } from "./gradient";
 
 /**
  * Creates a fill contents object
  *
- * @param {string} type The type of shape fill content. "solidColorLayer" or "patternLayer"
- * @param {array} value
+ * @param {string} type The type of shape fill content. "solidColorLayer", "gradientLayer" or "patternLayer"
+ * @param {array|object} value
  *      The array of RGB color [red,green,blue] for "solidColorLayer". 0 to 255
+ *      The settings of gradient.gradientFillValue, with the gradient, for "gradientLayer".
  *      The array of Pattern ID and name for "patternLayer".
  *
  * @return {ActionDescriptor} Fill content object
@@ -42,6 +44,8 @@ export function fillContentsObject (type, value) {
                 "color": colorObject(value)
             }
         };
+    } else if (type === "gradientLayer") {
+        return gradientFillObject(value.gradient, value);
     } else if (type === "patternLayer") {
         return {
             "_obj": "patternLayer",
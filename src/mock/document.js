@@ -0,0 +1,1325 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import { errorCodes, makeBridgeError } from "./spaces";
+import { pixels, distance, density } from "../lib/unit";
+
+/**
+ * Layer kind values. Mirrors layer.layerKinds, which can't be imported here
+ * because the lib modules require the bridge to be installed first.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, number>}
+ */
+const _LAYER_KINDS = {
+    PIXEL: 1,
+    GROUP: 7,
+    BACKGROUND: 12,
+    GROUPEND: 13
+};
+
+/**
+ * Layer section values, as reported by the "layerSection" property.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, string>}
+ */
+const _SECTION_START = "layerSectionStart",
+    _SECTION_END = "layerSectionEnd",
+    _SECTION_CONTENT = "layerSectionContent";
+
+/**
+ * Reference classes that resolve to layers.
+ *
+ * @private
+ * @const
+ * @type {Set.<string>}
+ */
+const _LAYER_CLASSES = new Set(["layer", "contentLayer", "textLayer"]);
+
+/**
+ * Build the error passed to the bridge callback when a command can't be
+ * performed against the model.
+ *
+ * @private
+ * @param {string} message
+ * @return {{number: number, message: string}}
+ */
+const _commandError = function (message) {
+    return makeBridgeError(errorCodes.SUITEPEA_ERROR, message);
+};
+
+/**
+ * Flatten an action reference into its list of reference entries, innermost
+ * entry first, which is the order in which they are sent to Photoshop.
+ *
+ * @private
+ * @param {object|Array.<object>} reference
+ * @return {Array.<object>}
+ */
+const _flattenReference = function (reference) {
+    if (Array.isArray(reference)) {
+        return _.flatten(reference.map(_flattenReference));
+    } else if (reference && Array.isArray(reference._ref)) {
+        return _flattenReference(reference._ref);
+    } else {
+        return [reference];
+    }
+};
+
+/**
+ * Unwrap a unit value descriptor into a number.
+ *
+ * @private
+ * @param {number|{_value: number}} value
+ * @return {number}
+ */
+const _unitValue = function (value) {
+    return value !== null && typeof value === "object" ? value._value : value;
+};
+
+/**
+ * The DocumentModel class keeps a small in-memory tree of documents and
+ * layers behind a MockSpaces bridge. It scripts the "get" command and the
+ * commands emitted by lib/layer and lib/document so that they read and mutate
+ * the model, and emits the corresponding Photoshop notifications.
+ *
+ * As in Photoshop, the layers of a document are kept in a flat list ordered
+ * from bottom to top, in which each group is represented by a group layer
+ * above its children and a group end marker below them. Layer references by
+ * index count from 1 at the bottom, or from 0 if the document has a
+ * background layer.
+ */
+export class DocumentModel {
+    /**
+     * @param {MockSpaces} mock The bridge to install the model into
+     * @param {object=} options
+     * @param {boolean=} options.notifications Whether to emit Photoshop notifications
+     *  for commands played against the model. Defaults to true.
+     */
+    constructor (mock, options = {}) {
+        /**
+         * @private
+         * @type {MockSpaces}
+         */
+        this._mock = mock;
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this._notifications = options.notifications !== false;
+
+        /**
+         * Open documents, in the order they were opened.
+         *
+         * @type {Array.<object>}
+         */
+        this.documents = [];
+
+        /**
+         * ID of the active document, or null if there are no open documents.
+         *
+         * @type {?number}
+         */
+        this.activeDocumentID = null;
+
+        /**
+         * Counter for document and layer IDs.
+         *
+         * @private
+         * @type {number}
+         */
+        this._idCounter = 1;
+
+        /**
+         * Counter for history state IDs.
+         *
+         * @private
+         * @type {number}
+         */
+        this._historyCounter = 1;
+
+        const commands = {
+            "get": this._get,
+            "select": this._select,
+            "selectNoLayers": this._selectNoLayers,
+            "hide": this._setVisibility.bind(this, false),
+            "show": this._setVisibility.bind(this, true),
+            "set": this._set,
+            "move": this._move,
+            "delete": this._delete,
+            "duplicate": this._duplicate,
+            "make": this._make,
+            "close": this._close
+        };
+
+        Object.keys(commands).forEach(function (command) {
+            mock.respondToCommand(command, commands[command].bind(this));
+        }, this);
+    }
+
+    /**
+     * The active document, if any.
+     *
+     * @type {?object}
+     */
+    get activeDocument () {
+        return this.getDocument(this.activeDocumentID);
+    }
+
+    /**
+     * Add a document to the model and make it active.
+     *
+     * The layers are specified from top to bottom, as in the Layers panel.
+     * Each layer specification may have the keys name, visible, background,
+     * selected, bounds ({top, left, bottom, right} in pixels), layerKind and,
+     * for groups, layers. Any other keys are reported as layer properties.
+     *
+     * @param {object=} spec
+     * @param {string=} spec.title
+     * @param {number=} spec.width
+     * @param {number=} spec.height
+     * @param {number=} spec.resolution
+     * @param {Array.<object>=} spec.layers
+     * @return {object} The added document
+     */
+    addDocument (spec = {}) {
+        const document = {
+            documentID: this._idCounter++,
+            title: spec.title || "Untitled-" + (this.documents.length + 1),
+            width: spec.width || 500,
+            height: spec.height || 500,
+            resolution: spec.resolution || 72,
+            layers: [],
+            properties: {}
+        };
+
+        this._addLayerSpecs(document, (spec.layers || []).slice().reverse());
+
+        this.documents.push(document);
+        this.activeDocumentID = document.documentID;
+
+        return document;
+    }
+
+    /**
+     * Append layers from the given specifications, ordered from bottom to top.
+     *
+     * @private
+     * @param {object} document
+     * @param {Array.<object>} specs
+     */
+    _addLayerSpecs (document, specs) {
+        specs.forEach(function (spec) {
+            if (spec.layers) {
+                document.layers.push(this._makeGroupEnd());
+                this._addLayerSpecs(document, spec.layers.slice().reverse());
+            }
+
+            const layer = this._makeLayer(spec);
+            if (spec.layers) {
+                layer.layerKind = _LAYER_KINDS.GROUP;
+                layer.layerSection = _SECTION_START;
+            }
+
+            document.layers.push(layer);
+        }, this);
+    }
+
+    /**
+     * Make a new layer record.
+     *
+     * @private
+     * @param {object=} spec
+     * @return {object}
+     */
+    _makeLayer (spec = {}) {
+        const layerID = this._idCounter++;
+
+        return {
+            layerID: layerID,
+            name: spec.name || "Layer " + layerID,
+            visible: spec.visible !== false,
+            background: !!spec.background,
+            selected: !!spec.selected,
+            layerKind: spec.layerKind || (spec.background ? _LAYER_KINDS.BACKGROUND : _LAYER_KINDS.PIXEL),
+            layerSection: _SECTION_CONTENT,
+            bounds: Object.assign({ top: 0, left: 0, bottom: 0, right: 0 }, spec.bounds),
+            properties: _.omit(spec, ["name", "visible", "background", "selected", "layerKind",
+                "bounds", "layers"])
+        };
+    }
+
+    /**
+     * Make a new group end marker record.
+     *
+     * @private
+     * @return {object}
+     */
+    _makeGroupEnd () {
+        return Object.assign(this._makeLayer({ name: "</Layer group>", layerKind: _LAYER_KINDS.GROUPEND }), {
+            layerSection: _SECTION_END
+        });
+    }
+
+    /**
+     * Get an open document by ID.
+     *
+     * @param {?number} documentID
+     * @return {?object}
+     */
+    getDocument (documentID) {
+        return _.find(this.documents, { documentID: documentID }) || null;
+    }
+
+    /**
+     * Get a layer of the given document by ID.
+     *
+     * @param {object} document
+     * @param {number} layerID
+     * @return {?object}
+     */
+    getLayer (document, layerID) {
+        return _.find(document.layers, { layerID: layerID }) || null;
+    }
+
+    /**
+     * Get the selected layers of the given document, from bottom to top.
+     *
+     * @param {object} document
+     * @return {Array.<object>}
+     */
+    getSelectedLayers (document) {
+        return document.layers.filter(function (layer) {
+            return layer.selected;
+        });
+    }
+
+    /**
+     * Get the layers of the given document as a tree, from top to bottom,
+     * without group end markers. Handy for assertions.
+     *
+     * @param {object} document
+     * @return {Array.<{name: string, layerID: number, layers: Array=}>}
+     */
+    getLayerTree (document) {
+        const root = [],
+            stack = [root];
+
+        document.layers.slice().reverse().forEach(function (layer) {
+            const node = {
+                name: layer.name,
+                layerID: layer.layerID
+            };
+
+            if (layer.layerSection === _SECTION_END) {
+                stack.shift();
+                return;
+            }
+
+            stack[0].push(node);
+
+            if (layer.layerSection === _SECTION_START) {
+                node.layers = [];
+                stack.unshift(node.layers);
+            }
+        });
+
+        return root;
+    }
+
+    /**
+     * Get the index with which the given layer is referenced by Photoshop.
+     *
+     * @private
+     * @param {object} document
+     * @param {object} layer
+     * @return {number}
+     */
+    _indexOf (document, layer) {
+        return document.layers.indexOf(layer) + (this._hasBackground(document) ? 0 : 1);
+    }
+
+    /**
+     * @private
+     * @param {object} document
+     * @return {boolean}
+     */
+    _hasBackground (document) {
+        return document.layers.length > 0 && document.layers[0].background;
+    }
+
+    /**
+     * Get the positions in the layer list spanned by the layer at the given
+     * position, which for groups includes the children and the end marker.
+     *
+     * @private
+     * @param {object} document
+     * @param {number} position
+     * @return {{start: number, end: number}} Inclusive, bottom to top
+     */
+    _spanOf (document, position) {
+        const layers = document.layers;
+        let start = position;
+
+        if (layers[position].layerSection === _SECTION_START) {
+            let depth = 1;
+
+            while (depth > 0) {
+                start--;
+                if (layers[start].layerSection === _SECTION_START) {
+                    depth++;
+                } else if (layers[start].layerSection === _SECTION_END) {
+                    depth--;
+                }
+            }
+        }
+
+        return { start: start, end: position };
+    }
+
+    /**
+     * Get the group layer that contains the given layer, if any.
+     *
+     * @private
+     * @param {object} document
+     * @param {object} layer
+     * @return {?object}
+     */
+    _parentOf (document, layer) {
+        const layers = document.layers;
+        let depth = 0;
+
+        for (let position = layers.indexOf(layer) + 1; position < layers.length; position++) {
+            const section = layers[position].layerSection;
+
+            if (section === _SECTION_END) {
+                depth++;
+            } else if (section === _SECTION_START) {
+                if (depth === 0) {
+                    return layers[position];
+                }
+                depth--;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove the given layers, along with their children, from the document.
+     *
+     * @private
+     * @param {object} document
+     * @param {Array.<object>} layers
+     * @return {Array.<Array.<object>>} The removed spans, bottom to top
+     */
+    _removeLayers (document, layers) {
+        const spans = [];
+
+        _.sortBy(layers, function (layer) {
+            return -document.layers.indexOf(layer);
+        }).forEach(function (layer) {
+            const position = document.layers.indexOf(layer);
+
+            // Already removed as part of an enclosing group
+            if (position < 0) {
+                return;
+            }
+
+            const span = this._spanOf(document, position);
+
+            spans.unshift(document.layers.splice(span.start, span.end - span.start + 1));
+        }, this);
+
+        return spans;
+    }
+
+    /**
+     * Resolve an action reference against the model.
+     *
+     * @private
+     * @param {object|Array.<object>} reference
+     * @return {{type: string, document: ?object, layers: Array.<object>, property: ?Array.<string>}}
+     *  The property path is ordered from the outermost property inwards.
+     */
+    _resolve (reference) {
+        const entries = _flattenReference(reference),
+            properties = [],
+            layerEntries = [];
+
+        let documentEntry = null,
+            type = null;
+
+        entries.forEach(function (entry) {
+            const refClass = entry._ref;
+
+            if (entry.hasOwnProperty("_property")) {
+                properties.unshift(entry._property);
+            }
+
+            if (refClass === "property" || refClass === null || refClass === undefined) {
+                return;
+            }
+
+            if (_LAYER_CLASSES.has(refClass)) {
+                layerEntries.push(entry);
+                type = "layer";
+            } else if (refClass === "document") {
+                documentEntry = entry;
+                type = type || "document";
+            } else {
+                type = type || refClass;
+            }
+        });
+
+        const document = this._resolveDocument(documentEntry);
+
+        return {
+            type: type,
+            document: document,
+            layers: type === "layer" ? this._resolveLayers(document, layerEntries) : [],
+            property: properties.length > 0 ? properties : null
+        };
+    }
+
+    /**
+     * Resolve a document reference entry, defaulting to the active document.
+     *
+     * @private
+     * @param {?object} entry
+     * @return {?object}
+     */
+    _resolveDocument (entry) {
+        let document;
+
+        if (!entry || entry._enum === "ordinal") {
+            document = this.activeDocument;
+        } else if (entry.hasOwnProperty("_id")) {
+            document = this.getDocument(entry._id);
+        } else if (entry.hasOwnProperty("_index")) {
+            document = this.documents[entry._index - 1];
+        } else if (entry.hasOwnProperty("_name")) {
+            document = _.find(this.documents, { title: entry._name });
+        }
+
+        if (!document) {
+            throw _commandError("No such document: " + JSON.stringify(entry));
+        }
+
+        return document;
+    }
+
+    /**
+     * Resolve layer reference entries within the given document.
+     *
+     * @private
+     * @param {object} document
+     * @param {Array.<object>} entries
+     * @return {Array.<object>} Layers, in reference order
+     */
+    _resolveLayers (document, entries) {
+        return _.flatten(entries.map(function (entry) {
+            let layer;
+
+            if (entry._enum === "ordinal") {
+                switch (entry._value) {
+                case "targetEnum":
+                    return this.getSelectedLayers(document);
+                case "allEnum":
+                    return document.layers.filter(function (layer) {
+                        return layer.layerSection !== _SECTION_END;
+                    });
+                case "front":
+                    return document.layers.slice(-1);
+                case "back":
+                    return document.layers.slice(0, 1);
+                default:
+                    throw _commandError("Unsupported layer ordinal: " + entry._value);
+                }
+            } else if (entry.hasOwnProperty("_id")) {
+                layer = this.getLayer(document, entry._id);
+            } else if (entry.hasOwnProperty("_index")) {
+                layer = document.layers[entry._index - (this._hasBackground(document) ? 0 : 1)];
+            } else if (entry.hasOwnProperty("_name")) {
+                layer = _.find(document.layers, { name: entry._name });
+            } else if (entry.hasOwnProperty("_property")) {
+                return this.getSelectedLayers(document);
+            }
+
+            if (!layer) {
+                throw _commandError("No such layer: " + JSON.stringify(entry));
+            }
+
+            return [layer];
+        }, this));
+    }
+
+    /**
+     * Get the descriptor properties of a layer.
+     *
+     * @private
+     * @param {object} document
+     * @param {object} layer
+     * @return {object}
+     */
+    _layerProperties (document, layer) {
+        const bounds = layer.bounds,
+            parent = this._parentOf(document, layer);
+
+        return Object.assign({
+            layerID: layer.layerID,
+            name: layer.name,
+            visible: layer.visible,
+            background: layer.background,
+            layerKind: layer.layerKind,
+            layerSection: {
+                _enum: "layerSectionType",
+                _value: layer.layerSection
+            },
+            itemIndex: this._indexOf(document, layer),
+            parentLayerID: parent ? parent.layerID : -1,
+            documentID: document.documentID,
+            bounds: {
+                _obj: "rectangle",
+                _value: {
+                    top: pixels(bounds.top),
+                    left: pixels(bounds.left),
+                    bottom: pixels(bounds.bottom),
+                    right: pixels(bounds.right),
+                    width: pixels(bounds.right - bounds.left),
+                    height: pixels(bounds.bottom - bounds.top)
+                }
+            }
+        }, layer.properties);
+    }
+
+    /**
+     * Get the descriptor properties of a document.
+     *
+     * @private
+     * @param {object} document
+     * @return {object}
+     */
+    _documentProperties (document) {
+        const selected = this.getSelectedLayers(document),
+            hasBackground = this._hasBackground(document);
+
+        return Object.assign({
+            documentID: document.documentID,
+            title: document.title,
+            itemIndex: this.documents.indexOf(document) + 1,
+            width: distance(document.width),
+            height: distance(document.height),
+            resolution: density(document.resolution),
+            hasBackgroundLayer: hasBackground,
+            numberOfLayers: document.layers.length - (hasBackground ? 1 : 0),
+            targetLayers: selected.map(function (layer) {
+                return {
+                    _ref: "layer",
+                    _index: this._indexOf(document, layer)
+                };
+            }, this),
+            targetLayersIDs: selected.map(function (layer) {
+                return {
+                    _ref: "layer",
+                    _id: layer.layerID
+                };
+            })
+        }, document.properties);
+    }
+
+    /**
+     * Get the descriptor properties of the target of a resolved reference.
+     *
+     * @private
+     * @param {{type: string, document: ?object, layers: Array.<object>}} target
+     * @return {Array.<object>}
+     */
+    _targetProperties (target) {
+        switch (target.type) {
+        case "layer":
+            return target.layers.map(this._layerProperties.bind(this, target.document));
+        case "document":
+            return [this._documentProperties(target.document)];
+        case "application":
+            return [{
+                numberOfDocuments: this.documents.length
+            }];
+        default:
+            throw _commandError("Unsupported reference class: " + target.type);
+        }
+    }
+
+    /**
+     * Pick a property path out of a properties object.
+     *
+     * @private
+     * @param {object} properties
+     * @param {Array.<string>} path Outermost property first
+     * @return {object} Object with the innermost property name as its only key
+     */
+    _pickProperty (properties, path) {
+        const value = path.reduce(function (object, property) {
+                if (!object || !object.hasOwnProperty(property)) {
+                    throw _commandError("No such property: " + property);
+                }
+
+                return object[property];
+            }, properties),
+            result = {};
+
+        result[path[path.length - 1]] = value;
+
+        return result;
+    }
+
+    /**
+     * Emit a notification for a command played against the model.
+     *
+     * @private
+     * @param {string} event
+     * @param {object} payload
+     */
+    _notify (event, payload) {
+        if (this._notifications) {
+            this._mock.notify(this._mock.spaces.notifierGroup.PHOTOSHOP, event, payload);
+        }
+    }
+
+    /**
+     * Record a new history state for a command that changed the document.
+     *
+     * @private
+     * @param {object} document
+     * @param {string} name
+     */
+    _addHistoryState (document, name) {
+        this._notify("historyStateChanged", {
+            documentID: document.documentID,
+            ID: this._historyCounter++,
+            name: name
+        });
+    }
+
+    /**
+     * Responder for "get", covering simple, property and multi-get references.
+     *
+     * @private
+     * @param {object} descriptor
+     * @param {object} options
+     * @return {object}
+     */
+    _get (descriptor, options) {
+        const reference = descriptor["null"];
+
+        if (reference && reference.hasOwnProperty("_multiGetRef")) {
+            return this._multiGet(reference._multiGetRef, options);
+        }
+
+        const target = this._resolve(reference),
+            properties = this._targetProperties(target);
+
+        if (properties.length === 0) {
+            throw _commandError("Reference has no targets");
+        }
+
+        if (target.property) {
+            return this._pickProperty(properties[0], target.property);
+        }
+
+        return properties[0];
+    }
+
+    /**
+     * Get a list of properties from one or more targets.
+     *
+     * @private
+     * @param {Array.<object>} multiGetRef
+     * @param {object} options
+     * @return {object} The properties of the target, or {list} for multiple targets
+     */
+    _multiGet (multiGetRef, options) {
+        const propertyList = multiGetRef[0]._propertyList,
+            failOnMissing = options.failOnMissingProperty !== false;
+
+        let rest = multiGetRef.slice(1),
+            range = null;
+
+        if (rest.length > 0 && rest[0].hasOwnProperty("_range")) {
+            range = rest[0];
+            rest = rest.slice(1);
+        }
+
+        let target = this._resolve(rest),
+            targets;
+
+        if (range) {
+            const document = target.document,
+                start = range._index - (this._hasBackground(document) ? 0 : 1),
+                end = range._count < 0 ? document.layers.length : start + range._count;
+
+            if (range._range !== "layer") {
+                throw _commandError("Unsupported range class: " + range._range);
+            }
+
+            target = {
+                type: "layer",
+                document: document,
+                layers: document.layers.slice(start, end)
+            };
+        }
+
+        targets = this._targetProperties(target).map(function (properties) {
+            return propertyList.reduce(function (result, property) {
+                if (properties.hasOwnProperty(property)) {
+                    result[property] = properties[property];
+                } else if (failOnMissing) {
+                    throw _commandError("No such property: " + property);
+                }
+
+                return result;
+            }, {});
+        });
+
+        if (range || targets.length !== 1) {
+            return { list: targets };
+        }
+
+        return targets[0];
+    }
+
+    /**
+     * Responder for "select", for layers and documents.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _select (descriptor) {
+        const target = this._resolve(descriptor["null"]);
+
+        if (target.type === "document") {
+            this.activeDocumentID = target.document.documentID;
+            this._notify("select", descriptor);
+            return {};
+        } else if (target.type !== "layer") {
+            return {};
+        }
+
+        const document = target.document,
+            modifier = descriptor.selectionModifier ? descriptor.selectionModifier._value : "0";
+
+        switch (modifier) {
+        case "addToSelection":
+            target.layers.forEach(function (layer) {
+                layer.selected = true;
+            });
+            break;
+        case "removeFromSelection":
+            target.layers.forEach(function (layer) {
+                layer.selected = false;
+            });
+            break;
+        case "addToSelectionContinuous":
+            this._selectContinuous(document, target.layers);
+            break;
+        default:
+            document.layers.forEach(function (layer) {
+                layer.selected = target.layers.indexOf(layer) >= 0;
+            });
+        }
+
+        if (descriptor.makeVisible) {
+            target.layers.forEach(function (layer) {
+                layer.visible = true;
+            });
+        }
+
+        this._notify("select", Object.assign({
+            layerID: target.layers.map(function (layer) {
+                return layer.layerID;
+            })
+        }, descriptor));
+
+        return {};
+    }
+
+    /**
+     * Extend the selection to every layer between the currently selected
+     * layers and the given ones.
+     *
+     * @private
+     * @param {object} document
+     * @param {Array.<object>} layers
+     */
+    _selectContinuous (document, layers) {
+        const positions = this.getSelectedLayers(document).concat(layers).map(function (layer) {
+                return document.layers.indexOf(layer);
+            }),
+            low = Math.min.apply(null, positions),
+            high = Math.max.apply(null, positions);
+
+        document.layers.forEach(function (layer, position) {
+            layer.selected = position >= low && position <= high && layer.layerSection !== _SECTION_END;
+        });
+    }
+
+    /**
+     * Responder for "selectNoLayers".
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _selectNoLayers (descriptor) {
+        const document = this._resolve(descriptor["null"]).document;
+
+        document.layers.forEach(function (layer) {
+            layer.selected = false;
+        });
+
+        this._notify("selectNoLayers", descriptor);
+
+        return {};
+    }
+
+    /**
+     * Responder for "hide" and "show".
+     *
+     * @private
+     * @param {boolean} visible
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _setVisibility (visible, descriptor) {
+        const target = this._resolve(descriptor["null"]);
+
+        target.layers.forEach(function (layer) {
+            layer.visible = visible;
+        });
+
+        this._notify(visible ? "show" : "hide", descriptor);
+        this._addHistoryState(target.document, visible ? "Show Layer" : "Hide Layer");
+
+        return {};
+    }
+
+    /**
+     * Responder for "set" on layers and documents. Properties in the "to"
+     * value are merged into the target.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _set (descriptor) {
+        const target = this._resolve(descriptor["null"]),
+            to = descriptor.to,
+            values = to && to.hasOwnProperty("_value") ? to._value : to;
+
+        let changes = values;
+
+        if (target.property) {
+            changes = {};
+            changes[target.property[0]] = values;
+        }
+
+        if (changes !== null && typeof changes === "object") {
+            if (target.type === "layer") {
+                target.layers.forEach(function (layer) {
+                    _.forEach(changes, function (value, key) {
+                        if (key === "name" || key === "visible") {
+                            layer[key] = value;
+                        } else {
+                            layer.properties[key] = value;
+                        }
+                    });
+                });
+            } else if (target.type === "document") {
+                Object.assign(target.document.properties, changes);
+            }
+        }
+
+        this._notify("set", descriptor);
+
+        if (target.document) {
+            this._addHistoryState(target.document, "Set");
+        }
+
+        return {};
+    }
+
+    /**
+     * Responder for "move", which either reorders layers, given a layer
+     * reference in "to", or translates them, given a point.
+     *
+     * When reordering to a layer index, the topmost of the moved layers ends
+     * up at that index. When reordering to a layer ID, the moved layers end
+     * up directly above that layer.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _move (descriptor) {
+        const target = this._resolve(descriptor["null"]),
+            document = target.document,
+            to = descriptor.to;
+
+        if (to && to._obj === "point") {
+            const dx = _unitValue(to.horizontal),
+                dy = _unitValue(to.vertical);
+
+            target.layers.forEach(function (layer) {
+                const bounds = layer.bounds;
+
+                layer.bounds = {
+                    top: bounds.top + dy,
+                    left: bounds.left + dx,
+                    bottom: bounds.bottom + dy,
+                    right: bounds.right + dx
+                };
+            });
+        } else {
+            const spans = this._removeLayers(document, target.layers),
+                moved = _.flatten(spans),
+                offset = this._hasBackground(document) ? 0 : 1;
+
+            let position;
+
+            if (to.hasOwnProperty("_index")) {
+                position = to._index - offset - moved.length + 1;
+            } else {
+                const anchor = this._resolveLayers(document, [to])[0];
+
+                if (!anchor || moved.indexOf(anchor) >= 0) {
+                    throw _commandError("Invalid move target");
+                }
+
+                position = document.layers.indexOf(anchor) + 1;
+            }
+
+            position = Math.max(this._hasBackground(document) ? 1 : 0, Math.min(position, document.layers.length));
+            document.layers.splice(position, 0, ...moved);
+        }
+
+        this._notify("move", descriptor);
+        this._addHistoryState(document, "Move");
+
+        return {};
+    }
+
+    /**
+     * Responder for "delete" on layers.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _delete (descriptor) {
+        const target = this._resolve(descriptor["null"]);
+
+        if (target.type !== "layer") {
+            return {};
+        }
+
+        const ids = target.layers.map(function (layer) {
+            return layer.layerID;
+        });
+
+        this._removeLayers(target.document, target.layers);
+
+        this._notify("delete", Object.assign({ layerID: ids }, descriptor));
+        this._addHistoryState(target.document, "Delete Layer");
+
+        return {};
+    }
+
+    /**
+     * Responder for "duplicate" on layers, into the same or another document.
+     * The copies are added at the top of the target document.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {{ID: Array.<number>}}
+     */
+    _duplicate (descriptor) {
+        const source = this._resolve(descriptor["null"]),
+            targetDocument = descriptor.to ? this._resolve(descriptor.to).document : source.document,
+            copies = [];
+
+        source.layers.forEach(function (layer) {
+            const position = source.document.layers.indexOf(layer),
+                span = this._spanOf(source.document, position);
+
+            source.document.layers.slice(span.start, span.end + 1).forEach(function (original) {
+                const copy = _.cloneDeep(original);
+
+                copy.layerID = this._idCounter++;
+                copy.selected = false;
+                copy.background = false;
+                copies.push(copy);
+            }, this);
+        }, this);
+
+        if (descriptor.name !== undefined && copies.length > 0) {
+            copies[copies.length - 1].name = descriptor.name;
+        }
+
+        targetDocument.layers.push(...copies);
+
+        const ids = copies.filter(function (copy) {
+            return copy.layerSection !== _SECTION_END;
+        }).map(function (copy) {
+            return copy.layerID;
+        });
+
+        this._notify("duplicate", Object.assign({ ID: ids }, descriptor));
+        this._addHistoryState(targetDocument, "Duplicate Layer");
+
+        return { ID: ids };
+    }
+
+    /**
+     * Responder for "make", which creates documents, groups and layers.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _make (descriptor) {
+        const created = descriptor["new"];
+
+        if (created && created._obj === "document") {
+            return this._makeDocument(descriptor, created._value || {});
+        } else if (created && created._class === "document" && descriptor.using) {
+            return this._makeDocumentFromLayers(descriptor);
+        }
+
+        const reference = descriptor["null"];
+        if (!reference || !reference.hasOwnProperty("_ref")) {
+            // e.g., saving a document, which the model doesn't simulate
+            return {};
+        }
+
+        if (reference._ref === "layerSection") {
+            return this._makeGroup(descriptor);
+        } else if (reference._ref === "layer") {
+            return this._makeLayerCommand(descriptor);
+        }
+
+        return {};
+    }
+
+    /**
+     * Create a document from the "new" value of a "make" command.
+     *
+     * @private
+     * @param {object} descriptor
+     * @param {object} settings
+     * @return {{documentID: number}}
+     */
+    _makeDocument (descriptor, settings) {
+        const document = this.addDocument({
+            title: settings.name,
+            width: _unitValue(settings.width),
+            height: _unitValue(settings.height),
+            resolution: _unitValue(settings.resolution),
+            layers: settings.fill && settings.fill._value === "transparency" ? [] : [{
+                name: "Background",
+                background: true
+            }]
+        });
+
+        this._notify("make", Object.assign({ documentID: document.documentID }, descriptor));
+
+        return { documentID: document.documentID };
+    }
+
+    /**
+     * Create a document with copies of the layers referenced by the "using"
+     * key of a "make" command, and the size of their document.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {{documentID: number}}
+     */
+    _makeDocumentFromLayers (descriptor) {
+        const source = this._resolve(descriptor.using),
+            document = this.addDocument({
+                title: descriptor.name,
+                width: source.document.width,
+                height: source.document.height,
+                resolution: source.document.resolution
+            });
+
+        source.layers.forEach(function (layer) {
+            const position = source.document.layers.indexOf(layer),
+                span = this._spanOf(source.document, position);
+
+            source.document.layers.slice(span.start, span.end + 1).forEach(function (original) {
+                document.layers.push(Object.assign(_.cloneDeep(original), {
+                    layerID: this._idCounter++,
+                    background: false
+                }));
+            }, this);
+        }, this);
+
+        this._notify("make", Object.assign({ documentID: document.documentID }, descriptor));
+
+        return { documentID: document.documentID };
+    }
+
+    /**
+     * Group the layers referenced by the "from" key of a "make" command,
+     * placing the group where the topmost of the grouped layers was.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {{layerSectionStart: number, layerSectionEnd: number, name: string}}
+     */
+    _makeGroup (descriptor) {
+        const target = this._resolve(descriptor.from || { _ref: "layer", _enum: "ordinal", _value: "targetEnum" }),
+            document = target.document,
+            top = _.last(_.sortBy(target.layers, function (layer) {
+                return document.layers.indexOf(layer);
+            })),
+            above = document.layers[document.layers.indexOf(top) + 1],
+            spans = this._removeLayers(document, target.layers),
+            groupCount = document.layers.filter(function (layer) {
+                return layer.layerSection === _SECTION_START;
+            }).length,
+            group = this._makeLayer({ name: "Group " + (groupCount + 1) }),
+            end = this._makeGroupEnd(),
+            position = above ? document.layers.indexOf(above) : document.layers.length;
+
+        group.layerKind = _LAYER_KINDS.GROUP;
+        group.layerSection = _SECTION_START;
+        group.selected = true;
+
+        if (descriptor.artboardRect) {
+            group.properties.artboardEnabled = true;
+            group.properties.artboard = descriptor.artboardRect;
+        }
+
+        document.layers.forEach(function (layer) {
+            layer.selected = false;
+        });
+
+        document.layers.splice(position, 0, end, ..._.flatten(spans), group);
+
+        this._notify("make", Object.assign({
+            layerSectionStart: group.layerID,
+            layerSectionEnd: end.layerID
+        }, descriptor));
+        this._addHistoryState(document, "Group Layers");
+
+        return {
+            layerSectionStart: group.layerID,
+            layerSectionEnd: end.layerID,
+            name: group.name
+        };
+    }
+
+    /**
+     * Create a pixel layer above the topmost selected layer, and select it.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {{layerID: number}}
+     */
+    _makeLayerCommand (descriptor) {
+        const document = this.activeDocument;
+
+        if (!document) {
+            throw _commandError("No active document");
+        }
+
+        const selected = this.getSelectedLayers(document),
+            position = selected.length > 0 ?
+                document.layers.indexOf(selected[selected.length - 1]) + 1 :
+                document.layers.length,
+            settings = descriptor.using && descriptor.using._value || {},
+            layer = this._makeLayer({ name: settings.name });
+
+        document.layers.forEach(function (other) {
+            other.selected = false;
+        });
+
+        layer.selected = true;
+        document.layers.splice(position, 0, layer);
+
+        this._notify("make", Object.assign({ layerID: layer.layerID }, descriptor));
+        this._addHistoryState(document, "New Layer");
+
+        return { layerID: layer.layerID };
+    }
+
+    /**
+     * Responder for "close". The most recently opened remaining document
+     * becomes active.
+     *
+     * @private
+     * @param {object} descriptor
+     * @return {object}
+     */
+    _close (descriptor) {
+        const document = descriptor.hasOwnProperty("documentID") ?
+            this.getDocument(descriptor.documentID) :
+            this.activeDocument;
+
+        if (!document) {
+            throw _commandError("No such document: " + descriptor.documentID);
+        }
+
+        _.pull(this.documents, document);
+
+        if (this.activeDocumentID === document.documentID) {
+            const last = this.documents[this.documents.length - 1];
+
+            this.activeDocumentID = last ? last.documentID : null;
+        }
+
+        this._notify("close", Object.assign({ documentID: document.documentID }, descriptor));
+
+        return {};
+    }
+}
+
+/**
+ * Construct a DocumentModel and install it into the given mock bridge.
+ *
+ * @param {MockSpaces} mock
+ * @param {object=} options
+ * @param {boolean=} options.notifications
+ * @return {DocumentModel}
+ */
+export function makeDocumentModel (mock, options = {}) {
+    return new DocumentModel(mock, options);
+}
@@ -0,0 +1,1000 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import Promise from "bluebird";
+
+/**
+ * Error codes reported by the native bridge.
+ * @see docs/SpacesExtension.js
+ *
+ * @const
+ * @type {Object.<string, number>}
+ */
+export const errorCodes = {
+    NO_ERROR: 0,
+    UNKNOWN_ERROR: 1,
+    CANT_DISPATCH_MESSAGE_TO_HOST: 101,
+    ARGUMENT_ERROR: 1000,
+    MISSING_NOTIFIER: 1001,
+    REQUEST_REJECTED: 1002,
+    CONVERSION_ERROR: 1050,
+    UNKNOWN_FUNCTION_ERROR: 1051,
+    SUITEPEA_ERROR: 1100,
+    REENTRANCY_ERROR: 1500
+};
+
+/**
+ * Notifier groups known to the native bridge.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, string>}
+ */
+const _NOTIFIER_GROUP = {
+    PHOTOSHOP: "notifierGroupPhotoshop",
+    OS: "notifierGroupOS",
+    MENU: "notifierGroupMenu",
+    INTERACTION: "notifierGroupInteraction",
+    TOUCH: "notifierGroupTouch",
+    DIRECT: "notifierGroupDirect"
+};
+
+/**
+ * Bridge functions whose callbacks receive more than one result. Responders
+ * for these functions return an array, which is spread over the callback.
+ *
+ * @private
+ * @const
+ * @type {Set.<string>}
+ */
+const _MULTI_RESULT_FUNCTIONS = new Set([
+    "ps.descriptor.batchPlay"
+]);
+
+/**
+ * Responder that does nothing, for bridge functions with no interesting result.
+ *
+ * @private
+ */
+const _noop = function () {};
+
+/**
+ * Default responders for the asynchronous bridge functions, keyed by their
+ * path in _spaces. Responders are called in the context of the MockSpaces
+ * instance with the arguments of the call, minus the trailing callback.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, function>}
+ */
+const _DEFAULT_RESPONDERS = {
+    "abort": _noop,
+    "openURLInDefaultBrowser": _noop,
+    "getPropertyValue": function (name) {
+        return this.state.properties[name];
+    },
+    "setPropertyValue": function (name, value) {
+        this.state.properties[name] = value;
+    },
+    "sendNotification": function (notifierGroup, notification, notificationInfo) {
+        this.notify(notifierGroup, notification, notificationInfo);
+    },
+
+    "ps.getActiveTool": function () {
+        return this.state.activeTool;
+    },
+    "ps.endModalToolState": _noop,
+    "ps.performMenuCommand": function () {
+        return true;
+    },
+    "ps.processQueuedCommands": _noop,
+    "ps.requestImage": function () {
+        return this.state.image;
+    },
+    "ps.logHeadlightsEvent": _noop,
+    "ps.logHeadlightsDataGroup": _noop,
+    "ps.readPreferences": function () {
+        return this.state.preferences;
+    },
+    "ps.writePreferences": function (data) {
+        this.state.preferences = data;
+    },
+
+    "ps.descriptor.batchPlay": function (commands, options) {
+        return this._batchPlay(commands, options || {});
+    },
+    "ps.descriptor.get": function (reference, options) {
+        return this._playCommand({
+            name: "get",
+            descriptor: { "null": reference },
+            options: options
+        }, {});
+    },
+    "ps.descriptor.sendDirectMessage": function () {
+        return {};
+    },
+
+    "ps.ui.setWidgetTypeVisibility": function (widgetTypes, visibility) {
+        const hidden = this.state.hiddenWidgetTypes | widgetTypes;
+
+        this.state.hiddenWidgetTypes = visibility ? hidden ^ widgetTypes : hidden;
+    },
+    "ps.ui.setPointerPropagationMode": function (mode) {
+        this.state.pointerPropagationMode = mode;
+    },
+    "ps.ui.getPointerPropagationMode": function () {
+        return this.state.pointerPropagationMode;
+    },
+    "ps.ui.setPointerEventPropagationPolicy": function (options) {
+        this.state.pointerEventPropagationPolicy = options;
+    },
+    "ps.ui.setKeyboardPropagationMode": function (mode) {
+        this.state.keyboardPropagationMode = mode;
+    },
+    "ps.ui.getKeyboardPropagationMode": function () {
+        return this.state.keyboardPropagationMode;
+    },
+    "ps.ui.setKeyboardEventPropagationPolicy": function (options) {
+        this.state.keyboardEventPropagationPolicy = options;
+    },
+    "ps.ui.setOverscrollMode": function (options) {
+        this.state.overscrollMode = options.mode;
+    },
+    "ps.ui.getOverscrollMode": function () {
+        return this.state.overscrollMode;
+    },
+    "ps.ui.setSuppressScrollbars": function (value) {
+        this.state.suppressScrollbars = value;
+    },
+    "ps.ui.getSuppressScrollbars": function () {
+        return this.state.suppressScrollbars;
+    },
+    "ps.ui.setSuppressTargetPaths": function (value) {
+        this.state.suppressTargetPaths = value;
+    },
+    "ps.ui.getSuppressTargetPaths": function () {
+        return this.state.suppressTargetPaths;
+    },
+    "ps.ui.setOverlayOffsets": function (options) {
+        const previous = this.state.overlayOffsets;
+
+        this.state.overlayOffsets = options.offset;
+
+        return { offset: previous };
+    },
+    "ps.ui.getOverlayOffsets": function () {
+        return { offset: this.state.overlayOffsets };
+    },
+    "ps.ui.startEditWithCurrentModalTool": _noop,
+    "ps.ui.installMenu": function (options, description) {
+        this.state.menu = description;
+    },
+    "ps.ui.performIdentify": _noop,
+
+    "os.postEvent": _noop,
+    "os.setTooltip": function (options) {
+        this.state.tooltip = options.label;
+    },
+    "os.resetCursor": _noop,
+    "os.getTempFilename": function (options) {
+        return this.state.tempDirectory + (options.name || "tmp");
+    },
+    "os.getDisplayConfiguration": function () {
+        return this.state.displayConfiguration;
+    },
+    "os.isConvertibleSlateMode": function () {
+        return this.state.convertibleSlateMode;
+    },
+    "os.writeFile": function (options) {
+        this.state.files[options.filePath] = options.contents;
+    },
+    "os.readFile": function (options) {
+        if (!this.state.files.hasOwnProperty(options.filePath)) {
+            throw makeBridgeError(errorCodes.ARGUMENT_ERROR, "No such file: " + options.filePath);
+        }
+
+        return this.state.files[options.filePath];
+    },
+    "os.getStandardFolderPath": function (options) {
+        return { path: this.state.standardFolders[options.kind] };
+    },
+    "os.getExternalEventNotificationMode": function () {
+        return this.state.externalEventNotificationMode;
+    },
+    "os.setExternalEventNotificationMode": function (options) {
+        this.state.externalEventNotificationMode = options.mode;
+    },
+    "os.clipboard.read": function () {
+        return this.state.clipboard;
+    },
+    "os.clipboard.write": function (options) {
+        this.state.clipboard = {
+            data: options.data,
+            format: options.format
+        };
+    },
+    "os.keyboardFocus.acquire": function () {
+        this.state.keyboardFocus = true;
+    },
+    "os.keyboardFocus.release": function () {
+        this.state.keyboardFocus = false;
+    },
+    "os.keyboardFocus.isActive": function () {
+        return this.state.keyboardFocus;
+    },
+
+    "window.getRenderMode": function () {
+        return { renderMode: this.state.renderMode };
+    },
+    "window.getVisibility": function () {
+        return this.state.visibility;
+    },
+    "window.setVisibility": function (visibility) {
+        this.state.visibility = visibility;
+    },
+    "window.getBounds": function () {
+        return {
+            bounds: this.state.bounds,
+            globalBounds: this.state.globalBounds
+        };
+    },
+    "window.setBounds": function (info) {
+        if (info.bounds) {
+            this.state.bounds = info.bounds;
+        }
+
+        if (info.globalBounds) {
+            this.state.globalBounds = info.globalBounds;
+        }
+    },
+    "window.changeBounds": function (info, options) {
+        return _DEFAULT_RESPONDERS["window.setBounds"].call(this, info, options);
+    },
+    "window.setOverlayCloaking": function (info) {
+        this.state.overlayCloaking = info;
+    },
+
+    "ims.getAccessToken": function () {
+        return {
+            accessToken: this.state.accessToken,
+            environment: this.state.imsEnvironment
+        };
+    }
+};
+
+/**
+ * Build the initial simulated host state.
+ *
+ * @private
+ * @return {object}
+ */
+const _makeDefaultState = function () {
+    return {
+        version: { major: 3, minor: 0, patch: 0 },
+        featureFlags: {},
+        scaleFactor: 1,
+        properties: {},
+        preferences: {},
+        activeTool: { title: "Move Tool", isModal: false, key: "moveTool" },
+        image: "",
+        hiddenWidgetTypes: 0,
+        pointerPropagationMode: 0,
+        pointerEventPropagationPolicy: null,
+        keyboardPropagationMode: 0,
+        keyboardEventPropagationPolicy: null,
+        overscrollMode: 0,
+        suppressScrollbars: false,
+        suppressTargetPaths: false,
+        overlayOffsets: { left: 0, top: 0, right: 0, bottom: 0 },
+        overlayCloaking: null,
+        menu: null,
+        tooltip: "",
+        tempDirectory: "/tmp/",
+        displayConfiguration: [],
+        convertibleSlateMode: false,
+        files: {},
+        standardFolders: {
+            UserApplicationSupport: "/Users/mock/Library/Application Support"
+        },
+        externalEventNotificationMode: 0,
+        clipboard: { data: "", format: "string" },
+        keyboardFocus: false,
+        mouseLocation: [0, 0],
+        renderMode: "direct",
+        visibility: true,
+        bounds: { left: 0, top: 0, right: 0, bottom: 0 },
+        globalBounds: { left: 0, top: 0, right: 0, bottom: 0 },
+        accessToken: "mock-access-token",
+        imsEnvironment: "mock"
+    };
+};
+
+/**
+ * Normalize a value thrown by a responder into the error object shape used by
+ * the native bridge: an object with a "number" and a "message".
+ *
+ * @private
+ * @param {*} error
+ * @return {{number: number, message: string}}
+ */
+const _toBridgeError = function (error) {
+    if (error && typeof error.number === "number") {
+        return error;
+    }
+
+    return makeBridgeError(errorCodes.UNKNOWN_ERROR, error instanceof Error ? error.message : String(error));
+};
+
+/**
+ * Determine whether a notifier registered with the given options receives
+ * the given event.
+ *
+ * @private
+ * @param {object} options Notifier options given to setNotifier
+ * @param {string} event
+ * @return {boolean}
+ */
+const _isEventEnabled = function (options, event) {
+    if (!options || !options.events) {
+        return true;
+    }
+
+    return options.events.some(function (enabled) {
+        return (typeof enabled === "object" ? enabled.event : enabled) === event;
+    });
+};
+
+/**
+ * Build an error object of the shape passed to bridge callbacks.
+ *
+ * @param {number} number One of the errorCodes
+ * @param {string=} message
+ * @return {{number: number, message: string}}
+ */
+export function makeBridgeError (number, message) {
+    return {
+        number: number,
+        message: message || ""
+    };
+}
+
+/**
+ * The MockSpaces class is an in-process stand-in for the _spaces native
+ * bridge. It must be installed as the global _spaces before the adapter is
+ * imported, because the adapter modules promisify the bridge at import time.
+ *
+ * Every call into the bridge is recorded. Responses can be scripted per
+ * bridge function (e.g., "ps.descriptor.get") or, for batchPlay and get,
+ * per Photoshop command (e.g., "select"), and notifier events can be
+ * emitted to whichever handler the adapter has registered.
+ */
+export class MockSpaces {
+    /**
+     * @param {object=} options
+     * @param {object=} options.state Overrides for the simulated host state
+     */
+    constructor (options = {}) {
+        /**
+         * Simulated host state read and written by the default responders.
+         *
+         * @type {object}
+         */
+        this.state = Object.assign(_makeDefaultState(), options.state);
+
+        /**
+         * Recorded bridge calls, in order. Trailing callbacks are omitted.
+         *
+         * @type {Array.<{name: string, args: Array.<*>}>}
+         */
+        this.calls = [];
+
+        /**
+         * Recorded commands played via batchPlay or get, in order.
+         *
+         * @type {Array.<{name: string, descriptor: object, options: object=}>}
+         */
+        this.commands = [];
+
+        /**
+         * Scripted responders by bridge function path.
+         *
+         * @private
+         * @type {Map.<string, function>}
+         */
+        this._responders = new Map();
+
+        /**
+         * Scripted responders by Photoshop command name.
+         *
+         * @private
+         * @type {Map.<string, function>}
+         */
+        this._commandResponders = new Map();
+
+        /**
+         * Registered notifiers by notifier group.
+         *
+         * @private
+         * @type {Map.<string, {options: object, callback: function}>}
+         */
+        this._notifiers = new Map();
+
+        /**
+         * The global object this mock is installed on, if any.
+         *
+         * @private
+         * @type {?object}
+         */
+        this._target = null;
+
+        /**
+         * The value of _spaces before this mock was installed.
+         *
+         * @private
+         * @type {*}
+         */
+        this._previous = undefined;
+
+        /**
+         * The mock _spaces object.
+         *
+         * @type {object}
+         */
+        this.spaces = this._makeSpaces();
+    }
+
+    /**
+     * Build the _spaces object exposed by this mock.
+     *
+     * @private
+     * @return {object}
+     */
+    _makeSpaces () {
+        const state = this.state,
+            spaces = {
+                errorCodes: errorCodes,
+                notifierGroup: _NOTIFIER_GROUP,
+                notifierOptions: {
+                    interaction: {
+                        PROGRESS: 1,
+                        ERROR: 2,
+                        OPTIONS: 4,
+                        CONTEXT: 8,
+                        USER: 16
+                    }
+                },
+                ps: {
+                    descriptor: {
+                        interactionMode: {
+                            DONT_DISPLAY: 1,
+                            DISPLAY: 2,
+                            SILENT: 3
+                        }
+                    },
+                    ui: {
+                        widgetTypes: {
+                            TOOLBAR: 1,
+                            CONTROLBAR: 2,
+                            PALETTE: 4,
+                            DOCUMENT: 8,
+                            APPLICATIONBAR: 16,
+                            DOCUMENT_TABS: 32,
+                            ALL: 63
+                        },
+                        pointerPropagationMode: {
+                            PROPAGATE_BY_ALPHA: 0,
+                            PROPAGATE_TO_PHOTOSHOP: 1,
+                            PROPAGATE_TO_BROWSER: 2,
+                            PROPAGATE_BY_ALPHA_AND_NOTIFY: 3
+                        },
+                        keyboardPropagationMode: {
+                            PROPAGATE_BY_FOCUS: 0,
+                            PROPAGATE_TO_PHOTOSHOP: 1,
+                            PROPAGATE_TO_BROWSER: 2
+                        },
+                        policyAction: {
+                            PROPAGATE_BY_ALPHA: 0,
+                            PROPAGATE_BY_FOCUS: 0,
+                            PROPAGATE_TO_PHOTOSHOP: 1,
+                            PROPAGATE_TO_BROWSER: 2
+                        },
+                        overscrollMode: {
+                            NORMAL_OVERSCROLL: 0,
+                            ALWAYS_OVERSCROLL: 1,
+                            NEVER_OVERSCROLL: 2
+                        },
+                        commandKind: {
+                            USER_DEFINED: 0,
+                            CUT: 1,
+                            COPY: 2,
+                            PASTE: 3,
+                            SELECT_ALL: 4,
+                            UNDO: 5,
+                            REDO: 6,
+                            DELETE: 7,
+                            HIDE_APPLICATION: 8,
+                            HIDE_OTHER_APPLICATIONS: 9,
+                            HIDE_SHOW_ALL_APPLICATIONS: 10
+                        }
+                    }
+                },
+                os: {
+                    eventKind: {
+                        LEFT_MOUSE_DOWN: 1,
+                        KEY_DOWN: 2,
+                        KEY_UP: 3,
+                        FLAGS_CHANGED: 4,
+                        MOUSE_WHEEL: 5,
+                        MOUSE_MOVE: 6,
+                        RIGHT_MOUSE_DOWN: 7
+                    },
+                    eventModifiers: {
+                        NONE: 0,
+                        SHIFT: 1,
+                        CONTROL: 2,
+                        ALT: 4,
+                        COMMAND: 8
+                    },
+                    eventKeyCode: {
+                        NONE: 0,
+                        BACKSPACE: 8,
+                        TAB: 9,
+                        ENTER: 13,
+                        ESCAPE: 27,
+                        PAGE_UP: 33,
+                        PAGE_DOWN: 34,
+                        END: 35,
+                        HOME: 36,
+                        ARROW_LEFT: 37,
+                        ARROW_UP: 38,
+                        ARROW_RIGHT: 39,
+                        ARROW_DOWN: 40,
+                        INSERT: 45,
+                        DELETE: 46
+                    },
+                    notifierKind: {
+                        MOUSE_CAPTURE_LOST: "mouseCaptureLost",
+                        ACTIVATION_CHANGED: "activationChanged",
+                        KEYBOARDFOCUS_CHANGED: "keyboardFocusChanged",
+                        EXTERNAL_MOUSE_MOVE: "externalMouseMove",
+                        EXTERNAL_MOUSE_DOWN: "externalMouseDown",
+                        EXTERNAL_RMOUSE_DOWN: "externalRMouseDown",
+                        EXTERNAL_MOUSE_WHEEL: "externalMouseWheel",
+                        EXTERNAL_KEYEVENT: "externalKeyEvent",
+                        TOUCH: "touch",
+                        CONVERTIBLE_SLATE_MODE_CHANGED: "convertibleSlateModeChanged",
+                        DISPLAY_CONFIGURATION_CHANGED: "displayConfigurationChanged"
+                    },
+                    externalEventNotificationMode: {
+                        EXTERNAL_EVENT_NOTIFICATION_NONE: 0,
+                        EXTERNAL_EVENT_NOTIFICATION_LEFT_MOUSEDOWN: 1,
+                        EXTERNAL_EVENT_NOTIFICATION_RIGHT_MOUSEDOWN: 2,
+                        EXTERNAL_EVENT_NOTIFICATION_MOUSEMOVE: 4,
+                        EXTERNAL_EVENT_NOTIFICATION_MOUSEWHEEL: 8
+                    },
+                    clipboard: {},
+                    keyboardFocus: {}
+                },
+                window: {},
+                ims: {}
+            };
+
+        // Native properties are getters, so they reflect later changes to the state
+        Object.defineProperties(spaces, {
+            version: {
+                enumerable: true,
+                get: function () { return state.version; }
+            },
+            "feature_flags": {
+                enumerable: true,
+                get: function () { return state.featureFlags; }
+            },
+            globalBounds: {
+                enumerable: true,
+                get: function () { return state.globalBounds; }
+            }
+        });
+
+        Object.defineProperty(spaces.ps.ui, "scaleFactor", {
+            enumerable: true,
+            get: function () { return state.scaleFactor; }
+        });
+
+        Object.keys(_DEFAULT_RESPONDERS).forEach(function (name) {
+            const path = name.split("."),
+                key = path.pop(),
+                owner = path.reduce(function (object, property) {
+                    return object[property];
+                }, spaces);
+
+            owner[key] = this._makeAsyncFunction(name);
+        }, this);
+
+        spaces.setNotifier = this._setNotifier.bind(this);
+        spaces.os.getMouseLocation = function (...args) {
+            this._record("os.getMouseLocation", args);
+
+            return this.state.mouseLocation;
+        }.bind(this);
+
+        return spaces;
+    }
+
+    /**
+     * Make a bridge function that records the call and asynchronously invokes
+     * its trailing callback with the result of the current responder.
+     *
+     * @private
+     * @param {string} name Path of the function in _spaces
+     * @return {function}
+     */
+    _makeAsyncFunction (name) {
+        const self = this;
+
+        return function (...args) {
+            const callback = args.pop();
+
+            if (typeof callback !== "function") {
+                throw new Error("Missing callback in call to _spaces." + name);
+            }
+
+            self._record(name, args);
+
+            const responder = self._responders.get(name) || _DEFAULT_RESPONDERS[name];
+
+            Promise.try(function () {
+                return responder.apply(self, args);
+            }).then(function (result) {
+                if (_MULTI_RESULT_FUNCTIONS.has(name)) {
+                    callback(undefined, ...result);
+                } else {
+                    callback(undefined, result);
+                }
+            }, function (error) {
+                callback(_toBridgeError(error));
+            });
+        };
+    }
+
+    /**
+     * Record a call into the bridge.
+     *
+     * @private
+     * @param {string} name
+     * @param {Array.<*>} args
+     */
+    _record (name, args) {
+        this.calls.push({
+            name: name,
+            args: args
+        });
+    }
+
+    /**
+     * Mock implementation of _spaces.setNotifier. Like the native bridge,
+     * there is a single notifier slot per group, and an undefined callback
+     * unsets the notifier.
+     *
+     * @private
+     * @param {string} notifierGroup
+     * @param {object} options
+     * @param {function=} callback
+     */
+    _setNotifier (notifierGroup, options, callback) {
+        this._record("setNotifier", [notifierGroup, options, callback]);
+
+        if (callback) {
+            this._notifiers.set(notifierGroup, {
+                options: options,
+                callback: callback
+            });
+        } else {
+            this._notifiers.delete(notifierGroup);
+        }
+    }
+
+    /**
+     * Play a list of batchPlay commands against the command responders.
+     *
+     * @private
+     * @param {Array.<{name: string, descriptor: object, options: object=}>} commands
+     * @param {object} options batchPlay options
+     * @return {Promise.<Array.<Array.<object>>>} Resolves with results and errors
+     */
+    _batchPlay (commands, options) {
+        const results = [],
+            errors = [];
+
+        let failed = false;
+
+        return Promise.each(commands, function (command) {
+            if (failed && !options.continueOnError) {
+                return;
+            }
+
+            return Promise.try(function () {
+                return this._playCommand(command, options);
+            }.bind(this)).then(function (result) {
+                results.push(result);
+                errors.push(undefined);
+            }, function (error) {
+                failed = true;
+                results.push(undefined);
+                errors.push(_toBridgeError(error));
+            });
+        }.bind(this)).then(function () {
+            // Without continueOnError, only the first error is reported
+            const firstError = errors.findIndex(function (error) {
+                return error !== undefined;
+            });
+
+            if (firstError >= 0 && !options.continueOnError) {
+                return [results.slice(0, firstError + 1), errors.slice(0, firstError + 1)];
+            }
+
+            return [results, errors];
+        });
+    }
+
+    /**
+     * Play a single command against the command responders.
+     *
+     * @private
+     * @param {{name: string, descriptor: object, options: object=}} command
+     * @param {object} options batchPlay options
+     * @return {*} Result descriptor, or a promise for it
+     */
+    _playCommand (command, options) {
+        this.commands.push(command);
+
+        const responder = this._commandResponders.get(command.name);
+        if (responder) {
+            return responder.call(this, command.descriptor, command.options || {}, options);
+        }
+
+        return {};
+    }
+
+    /**
+     * Install this mock as the global _spaces object.
+     *
+     * @param {object=} target The global object. Defaults to the global scope.
+     * @return {MockSpaces} This instance, for chaining
+     */
+    install (target) {
+        if (target === undefined) {
+            target = typeof window !== "undefined" ? window : global;
+        }
+
+        this._target = target;
+        this._previous = target._spaces;
+        target._spaces = this.spaces;
+
+        return this;
+    }
+
+    /**
+     * Restore the global _spaces object that was replaced by install.
+     * Adapter modules imported while the mock was installed keep using it.
+     *
+     * @return {MockSpaces} This instance, for chaining
+     */
+    uninstall () {
+        if (this._target) {
+            this._target._spaces = this._previous;
+            this._target = null;
+            this._previous = undefined;
+        }
+
+        return this;
+    }
+
+    /**
+     * Script the response of a bridge function. The responder is called with
+     * the arguments of each call, minus the callback, and may return a value,
+     * return a promise or throw. Thrown values are passed to the callback as
+     * bridge errors. Responders for batchPlay must resolve with the pair
+     * [descriptors, errors].
+     *
+     * @param {string} name Path of the function in _spaces, e.g. "window.getBounds"
+     * @param {?function} responder Null to restore the default behavior
+     * @return {MockSpaces} This instance, for chaining
+     */
+    respond (name, responder) {
+        if (!_DEFAULT_RESPONDERS.hasOwnProperty(name)) {
+            throw new Error("Unknown bridge function: " + name);
+        }
+
+        if (responder) {
+            this._responders.set(name, responder);
+        } else {
+            this._responders.delete(name);
+        }
+
+        return this;
+    }
+
+    /**
+     * Script the response of a Photoshop command played via batchPlay, or of
+     * "get", which is also used for _spaces.ps.descriptor.get. The responder
+     * is called with the command descriptor, the command options and the
+     * batchPlay options. Unscripted commands resolve with an empty descriptor.
+     *
+     * @param {string} command Command name, e.g. "select"
+     * @param {?function} responder Null to restore the default behavior
+     * @return {MockSpaces} This instance, for chaining
+     */
+    respondToCommand (command, responder) {
+        if (responder) {
+            this._commandResponders.set(command, responder);
+        } else {
+            this._commandResponders.delete(command);
+        }
+
+        return this;
+    }
+
+    /**
+     * Make a bridge function fail with the given error code.
+     *
+     * @param {string} name Path of the function in _spaces
+     * @param {number=} number Error code, defaults to UNKNOWN_ERROR
+     * @param {string=} message
+     * @return {MockSpaces} This instance, for chaining
+     */
+    fail (name, number, message) {
+        const error = makeBridgeError(number === undefined ? errorCodes.UNKNOWN_ERROR : number, message);
+
+        return this.respond(name, function () {
+            throw error;
+        });
+    }
+
+    /**
+     * Emit a notifier event to the handler registered for the given group,
+     * if any, respecting the events filter it was registered with.
+     *
+     * @param {string} notifierGroup A value of _spaces.notifierGroup
+     * @param {string} event
+     * @param {*=} payload
+     * @return {boolean} Whether the event was delivered
+     */
+    notify (notifierGroup, event, payload) {
+        const notifier = this._notifiers.get(notifierGroup);
+
+        if (!notifier || !_isEventEnabled(notifier.options, event)) {
+            return false;
+        }
+
+        notifier.callback(undefined, event, payload);
+
+        return true;
+    }
+
+    /**
+     * Pass an error to the handler registered for the given group, if any.
+     *
+     * @param {string} notifierGroup A value of _spaces.notifierGroup
+     * @param {*} error
+     * @return {boolean} Whether the error was delivered
+     */
+    notifyError (notifierGroup, error) {
+        const notifier = this._notifiers.get(notifierGroup);
+
+        if (!notifier) {
+            return false;
+        }
+
+        notifier.callback(_toBridgeError(error));
+
+        return true;
+    }
+
+    /**
+     * Get the options of the notifier registered for the given group.
+     *
+     * @param {string} notifierGroup
+     * @return {?object} Null if no notifier is registered
+     */
+    getNotifierOptions (notifierGroup) {
+        const notifier = this._notifiers.get(notifierGroup);
+
+        return notifier ? notifier.options : null;
+    }
+
+    /**
+     * Get the recorded calls, optionally only those to the given function.
+     *
+     * @param {string=} name Path of the function in _spaces
+     * @return {Array.<{name: string, args: Array.<*>}>}
+     */
+    getCalls (name) {
+        if (name === undefined) {
+            return this.calls.slice();
+        }
+
+        return this.calls.filter(function (call) {
+            return call.name === name;
+        });
+    }
+
+    /**
+     * Get the recorded commands, optionally only those with the given name.
+     *
+     * @param {string=} command
+     * @return {Array.<{name: string, descriptor: object, options: object=}>}
+     */
+    getCommands (command) {
+        if (command === undefined) {
+            return this.commands.slice();
+        }
+
+        return this.commands.filter(function (played) {
+            return played.name === command;
+        });
+    }
+
+    /**
+     * Forget all recorded calls and commands.
+     *
+     * @return {MockSpaces} This instance, for chaining
+     */
+    clearCalls () {
+        this.calls = [];
+        this.commands = [];
+
+        return this;
+    }
+
+    /**
+     * Restore the default host state and responders, and forget all recorded
+     * calls and commands. Registered notifiers are kept, because the adapter
+     * registers them once, at import time.
+     *
+     * @param {object=} options
+     * @param {object=} options.state Overrides for the simulated host state
+     * @return {MockSpaces} This instance, for chaining
+     */
+    reset (options = {}) {
+        Object.keys(this.state).forEach(function (key) {
+            delete this.state[key];
+        }, this);
+        Object.assign(this.state, _makeDefaultState(), options.state);
+
+        this._responders.clear();
+        this._commandResponders.clear();
+
+        return this.clearCalls();
+    }
+}
+
+/**
+ * Construct a MockSpaces object and install it as the global _spaces.
+ *
+ * @param {object=} options
+ * @param {object=} options.state Overrides for the simulated host state
+ * @return {MockSpaces}
+ */
+export function makeMockSpaces (options = {}) {
+    return new MockSpaces(options).install();
+}
@@ -25,20 +25,24 @@
 import EventEmitter from "events";
 import Promise from "bluebird";
 
+import { gateAsync } from "./capabilities";
+import { fromBridgeError } from "./util/errors";
+import { promisifier } from "./util/timeout";
+
 /**
  * Promisified version of low-level os functions
  */
-var _os = Promise.promisifyAll(_spaces.os);
+var _os = Promise.promisifyAll(_spaces.os, { promisifier: promisifier });
 
 /**
  * Promisified version of low-level keyboard focus functions
  */
-var _keyboardFocus = Promise.promisifyAll(_spaces.os.keyboardFocus);
+var _keyboardFocus = Promise.promisifyAll(_spaces.os.keyboardFocus, { promisifier: promisifier });
 
 /**
  * Promisified version of low-level keyboard focus functions
  */
-var _clipboard = Promise.promisifyAll(_spaces.os.clipboard);
+var _clipboard = Promise.promisifyAll(_spaces.os.clipboard, { promisifier: promisifier });
 
 /**
  * External events map to their event notification mode.
@@ -106,7 +110,7 @@ export class OS extends EventEmitter {
      */
     _eventHandler (err, event, payload) {
         if (err) {
-            this.emit("error", "Failed to handle OS event: " + err);
+            this.emit("error", fromBridgeError(err, { notifierGroup: _spaces.notifierGroup.OS }));
             return;
         }
 
@@ -247,6 +251,18 @@ export class OS extends EventEmitter {
         return _spaces.os.getDisplayConfigurationAsync(options);
     }
 
+    /**
+     * Determine whether the device is in tablet mode, e.g. a convertible
+     * device whose keyboard is detached. Always false on Mac. Changes of the
+     * mode are emitted as "convertibleSlateModeChanged" events with the
+     * payload {convertibleSlateMode: boolean}.
+     *
+     * @return {Promise.<boolean>} Rejects with an UnsupportedError if the host doesn't provide the mode
+     */
+    isConvertibleSlateMode () {
+        return _os.isConvertibleSlateModeAsync();
+    }
+
     /**
      * Write contents to a file.
      *
@@ -366,6 +382,8 @@ export class OS extends EventEmitter {
 
 }
 
+OS.prototype.isConvertibleSlateMode = gateAsync("convertibleSlateMode", OS.prototype.isConvertibleSlateMode);
+
 /**
  * Construct an OS object with the given options.
  *
@@ -21,9 +21,12 @@
  *
  */
 
-/* global _spaces */
+/* global _spaces, atob, Blob, Uint8Array */
 
 import Promise from "bluebird";
+import _ from "lodash";
+
+import { gateAsync } from "./capabilities";
 
 /**
  * Promisified version of _spaces.ps functions.
@@ -61,6 +64,17 @@ export function performMenuCommand (commandID) {
     return _ps.performMenuCommandAsync(commandID);
 }
 
+/**
+ * Get the tool that is currently selected in Photoshop.
+ *
+ * @return {Promise.<{title: string, isModal: boolean, key: string}>} Resolves with the title
+ *  of the tool, whether it is modal, and its OSType key. Rejects with an UnsupportedError if
+ *  the host doesn't provide the active tool
+ */
+export const getActiveTool = gateAsync("activeTool", function () {
+    return _ps.getActiveToolAsync();
+});
+
 /**
  * Read preferences. This method will only work if the
  * initialized Spaces plug-in has set up a preference ID
@@ -84,6 +98,74 @@ export function writePreferences (data, options = {}) {
     return _ps.writePreferencesAsync(data, options);
 }
 
+/**
+ * Image formats to which requestImage can decode the base64 encoded JPEG
+ * sent by Photoshop.
+ *
+ * @const
+ * @type {Object.<string, string>}
+ */
+export const imageFormat = {
+    BASE64: "base64",
+    DATA_URL: "dataURL",
+    BYTES: "bytes",
+    BLOB: "blob"
+};
+
+/**
+ * Decode a base64 encoded JPEG image, as sent by Photoshop.
+ *
+ * @param {string} base64
+ * @param {string} format One of imageFormat
+ * @return {string|Uint8Array|Blob}
+ * @throws {Error} If the format is unknown
+ */
+export function decodeImage (base64, format) {
+    if (format === imageFormat.BASE64) {
+        return base64;
+    } else if (format === imageFormat.DATA_URL) {
+        return "data:image/jpeg;base64," + base64;
+    } else if (format !== imageFormat.BYTES && format !== imageFormat.BLOB) {
+        throw new Error("Unknown image format: " + format);
+    }
+
+    const binary = atob(base64),
+        bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return format === imageFormat.BLOB ? new Blob([bytes], { type: "image/jpeg" }) : bytes;
+}
+
+/**
+ * Request a JPEG image of a document, e.g. a thumbnail.
+ *
+ * NOTE: requestImage is an experimental API of the Spaces plug-in.
+ *
+ * @see Thumbnails.prototype.getThumbnail, which caches images per history state
+ * @param {number=} documentID The document's ID; defaults to the current document
+ * @param {object=} options
+ * @param {string=} options.format One of imageFormat; defaults to a data URL
+ * @return {Promise.<string|Uint8Array|Blob>} Rejects with an UnsupportedError if the host
+ *  doesn't provide images
+ */
+export const requestImage = gateAsync("requestImage", function (documentID = -1, options = {}) {
+    const format = options.format || imageFormat.DATA_URL;
+
+    if (!_.includes(imageFormat, format)) {
+        return Promise.reject(new Error("Unknown image format: " + format));
+    }
+
+    return _ps.requestImageAsync({
+        documentId: documentID,
+        encoding: "base64"
+    }).then(function (base64) {
+        return decodeImage(base64, format);
+    });
+});
+
 /**
  * Log an analytics event using the Adobe Headlights API.
  *
@@ -129,5 +211,13 @@ export function logHeadlightsDataGroup (info, options = {}) {
 import * as ui from "./ps/ui";
 import * as descriptor from "./ps/descriptor";
 import * as messages from "./ps/messages";
+import * as schema from "./ps/schema";
+import * as propertyCache from "./ps/propertyCache";
+import * as thumbnails from "./ps/thumbnails";
+import * as documentStore from "./ps/documentStore";
+import * as layerTree from "./ps/layerTree";
+import * as assets from "./ps/assets";
+import * as generatorClient from "./ps/generatorClient";
 
-export { ui, descriptor, messages };
+export { ui, descriptor, messages, schema, propertyCache, thumbnails, documentStore, layerTree, assets,
+    generatorClient };
@@ -0,0 +1,254 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import Promise from "bluebird";
+import _ from "lodash";
+
+import { planExport } from "../lib/assetExport";
+
+/**
+ * Layer properties requested to find the bounds of export targets.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _TARGET_PROPERTIES = ["layerID", "name", "bounds", "artboardEnabled", "artboard"];
+
+/**
+ * Convert a rectangle descriptor, with or without units, into pixel values.
+ *
+ * @private
+ * @param {object} rectangle
+ * @return {{top: number, left: number, bottom: number, right: number}}
+ */
+const _rectangleOf = function (rectangle) {
+    const value = rectangle.hasOwnProperty("_value") && typeof rectangle._value === "object" ?
+        rectangle._value : rectangle;
+
+    return _.mapValues(_.pick(value, ["top", "left", "bottom", "right"]), function (side) {
+        return side && typeof side === "object" ? side._value : side;
+    });
+};
+
+/**
+ * Get the bounds to export a layer with: the rectangle of an artboard, or
+ * else the bounds of the layer's pixels.
+ *
+ * @private
+ * @param {object} properties
+ * @return {?{top: number, left: number, bottom: number, right: number}}
+ */
+const _boundsOf = function (properties) {
+    if (properties.artboardEnabled && properties.artboard) {
+        return _rectangleOf(properties.artboard.artboardRect || properties.artboard);
+    }
+
+    return properties.bounds ? _rectangleOf(properties.bounds) : null;
+};
+
+/**
+ * Request the names and bounds of layers, groups and artboards to export,
+ * without failing on layers that can't be exported.
+ *
+ * @private
+ * @param {Descriptor} descriptor
+ * @param {number} documentID
+ * @param {Array.<number>} layerIDs
+ * @return {Promise.<Array.<{layerID: number, name: string=, bounds: object=, error: Error=}>>}
+ *  Layers that can't be exported, e.g. empty ones, have an error instead of bounds
+ */
+const _resolveTargets = function (descriptor, documentID, layerIDs) {
+    // Played rather than requested with batchMultiGetProperties, which drops the errors of missing layers
+    const commands = layerIDs.map(function (layerID) {
+        return {
+            name: "get",
+            descriptor: {
+                "null": {
+                    _multiGetRef: [
+                        { _propertyList: _TARGET_PROPERTIES },
+                        { _ref: "layer", _id: layerID },
+                        { _ref: "document", _id: documentID }
+                    ]
+                }
+            },
+            options: {
+                useMultiGet: true,
+                failOnMissingProperty: false
+            }
+        };
+    });
+
+    return descriptor.batchPlay(commands, { continueOnError: true })
+        .then(function (response) {
+            return layerIDs.map(function (layerID, index) {
+                const properties = response[0][index],
+                    error = response[1][index],
+                    bounds = properties && _boundsOf(properties),
+                    target = { layerID: layerID };
+
+                if (properties && properties.name !== undefined) {
+                    target.name = properties.name;
+                }
+
+                if (error) {
+                    target.error = error;
+                } else if (!bounds || bounds.right <= bounds.left || bounds.bottom <= bounds.top) {
+                    target.error = new Error("Can't export layer " + layerID + ", which has no pixels");
+                } else {
+                    target.bounds = bounds;
+                }
+
+                return target;
+            });
+        });
+};
+
+/**
+ * Request the names and bounds of layers, groups and artboards to export.
+ *
+ * @param {Descriptor} descriptor
+ * @param {number} documentID
+ * @param {Array.<number>} layerIDs
+ * @return {Promise.<Array.<{layerID: number, name: string, bounds: object}>>}
+ *  Rejects if a layer is empty
+ */
+export function getExportTargets (descriptor, documentID, layerIDs) {
+    return _resolveTargets(descriptor, documentID, layerIDs)
+        .then(function (targets) {
+            const failed = _.find(targets, "error");
+
+            if (failed) {
+                throw failed.error;
+            }
+
+            return targets;
+        });
+}
+
+/**
+ * Close the temporary document of an asset whose commands failed at an
+ * unknown point, e.g. because they timed out. Photoshop makes the temporary
+ * document current, so it is still open if the current document isn't the
+ * exported one.
+ *
+ * @private
+ * @param {Descriptor} descriptor
+ * @param {number} documentID The exported document
+ * @param {PlayObject} close The command that closes the temporary document
+ * @param {object} options Options of batchPlay
+ * @return {Promise}
+ */
+const _closeTemporaryDocument = function (descriptor, documentID, close, options) {
+    return descriptor.getProperty("document", "documentID", options)
+        .then(function (currentID) {
+            if (currentID !== documentID) {
+                return descriptor.playObject(close, options);
+            }
+        });
+};
+
+/**
+ * Play the commands of an asset. If they fail after creating the temporary
+ * document of the asset, but before closing it, it is closed.
+ *
+ * @private
+ * @param {Descriptor} descriptor
+ * @param {number} documentID
+ * @param {object} asset An asset from lib/assetExport.planExport
+ * @param {object} options Options of batchPlay
+ * @return {Promise}
+ */
+const _playAsset = function (descriptor, documentID, asset, options) {
+    const last = asset.playObjects.length - 1;
+
+    return descriptor.batchPlayObjects(asset.playObjects, options)
+        .catch(function (err) {
+            let closed;
+
+            if (asset.format === "svg" || err.index === 0 || err.index === last) {
+                throw err;
+            } else if (err.index > 0 && err.index < last) {
+                closed = descriptor.playObject(asset.playObjects[last], options);
+            } else {
+                closed = _closeTemporaryDocument(descriptor, documentID, asset.playObjects[last], options);
+            }
+
+            return closed
+                .catch(_.noop)
+                .throw(err);
+        });
+};
+
+/**
+ * Export layers, groups and artboards of a document at several scales and in
+ * several formats, one asset at a time, with one batchPlay call per asset.
+ * Layers are cropped to their bounds, and artboards to their rectangle.
+ *
+ * Example:
+ *      exportAssets(descriptor, documentID, [artboardID, iconID], "/tmp/assets", [
+ *          { scale: 1 }, { scale: 2 }, { scale: 3 }, { format: "svg" }
+ *      ]).then(function (manifest) { ... });
+ *
+ * @see lib/assetExport.planExport
+ * @param {Descriptor} descriptor
+ * @param {number} documentID
+ * @param {Array.<number>} layerIDs Layers to export
+ * @param {string} folder The full path of the folder to export to
+ * @param {Array.<{format: string=, scale: number=, suffix: string=, options: object=}>} specs
+ * @param {object=} options
+ * @param {boolean=} options.continueOnError If true, record failed assets in the manifest
+ *  with an error instead of rejecting. Layers that can't be exported, e.g. empty ones, are
+ *  recorded first, once each, with only their layerID, name if known, and error
+ * @param {number=} options.timeout Timeout of each asset in milliseconds
+ * @return {Promise.<Array.<{layerID: number, name: string, format: string, scale: number,
+ *  path: string, width: number, height: number, error: Error=}>>} Resolves with the manifest
+ *  of the exported files, in the order they were exported
+ */
+export function exportAssets (descriptor, documentID, layerIDs, folder, specs, options = {}) {
+    const playOptions = _.pick(options, "timeout");
+
+    return (options.continueOnError ? _resolveTargets : getExportTargets)(descriptor, documentID, layerIDs)
+        .then(function (targets) {
+            const resolved = _.reject(targets, "error"),
+                failed = _.filter(targets, "error");
+
+            return Promise.mapSeries(planExport(documentID, resolved, folder, specs), function (asset) {
+                const entry = _.omit(asset, "playObjects");
+
+                return _playAsset(descriptor, documentID, asset, playOptions)
+                    .return(entry)
+                    .catch(function (err) {
+                        if (!options.continueOnError) {
+                            throw err;
+                        }
+
+                        entry.error = err;
+
+                        return entry;
+                    });
+            }).then(function (manifest) {
+                return failed.concat(manifest);
+            });
+        });
+}
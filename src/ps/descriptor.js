@@ -27,6 +27,10 @@ import Promise from "bluebird";
 import _ from "lodash";
 
 import NotifierProxy from "../util/notifierproxy";
+import { fromBridgeError } from "../util/errors";
+import { splitTimeout, withTimeout } from "../util/timeout";
+import { makeReference } from "../lib/reference";
+import * as schema from "./schema";
 
 /** 
  * Wraps certain type of parameters making it easier to call Descriptor.prototype.get
@@ -81,17 +85,72 @@ const _wrap = function (reference, multiGetProperties) {
  * @private
  * @param {(string|Array.<object>|object)} reference
  * @param {string} property
- * @return {Array.<object>}
+ * @return {object}
  */
 const _makePropertyReference = function (reference, property) {
-    const propertyDescriptor = {
-        _ref: "property",
-        _property: property
-    };
-
-    return Array.isArray(reference) ?
-            reference.concat(propertyDescriptor) :
-            [reference, propertyDescriptor];
+    return makeReference()
+        .property(property)
+        .append(reference)
+        .build();
+};
+
+/**
+ * Batch options that can't be combined with asynchronous play.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _ASYNC_UNSUPPORTED_OPTIONS = ["continueOnError", "historyStateInfo", "paintOptions", "ignoreTargetWhenModal"];
+
+/**
+ * List the features used by a batch that asynchronous play doesn't support:
+ * some batch options, multi-get references and extended references.
+ *
+ * @private
+ * @param {Array.<{name: string, descriptor: object, options: object=}>} commands
+ * @param {object} options Batch options
+ * @return {Array.<string>} Descriptions of the unsupported features; empty if the batch
+ *  can be played asynchronously
+ */
+const _asyncIncompatibilities = function (commands, options) {
+    const incompatibilities = _ASYNC_UNSUPPORTED_OPTIONS.filter(function (key) {
+        return options.hasOwnProperty(key) && options[key] !== undefined && options[key] !== false;
+    });
+
+    if (options.useExtendedReference) {
+        incompatibilities.push("useExtendedReference");
+    }
+
+    commands.forEach(function (command, index) {
+        const commandOptions = command.options || {},
+            target = command.descriptor && command.descriptor["null"];
+
+        if (commandOptions.useMultiGet || (target && target.hasOwnProperty("_multiGetRef"))) {
+            incompatibilities.push("multi-get reference in command " + index);
+        }
+
+        if (commandOptions.useExtendedReference) {
+            incompatibilities.push("extended reference in command " + index);
+        }
+    });
+
+    return incompatibilities;
+};
+
+/**
+ * Make the error for a batch that can't be played asynchronously.
+ *
+ * @private
+ * @param {Array.<string>} incompatibilities
+ * @return {Error} With the incompatibilities property
+ */
+const _makeAsyncError = function (incompatibilities) {
+    const error = new Error("Asynchronous batchPlay does not support: " + incompatibilities.join(", "));
+
+    error.incompatibilities = incompatibilities;
+
+    return error;
 };
 
 /**
@@ -127,28 +186,75 @@ export class Descriptor extends NotifierProxy {
         /**
          * Map of active transactions by transaction ID
          * @private
-         * @type {Map.<number, {commands: Array.<object>, options: object}>}
+         * @type {Map.<number, {requests: Array.<{commands: Array.<object>, deadline: ?number}>,
+         *  options: object, txOptions: object, parent: ?number, children: Set.<number>}>}
          */
         this._transactions = new Map();
 
+        /**
+         * Coalescing options, or null if get requests are not coalesced.
+         * @private
+         * @type {?{delay: number}}
+         */
+        this._coalescing = null;
+
+        /**
+         * Get requests waiting to be issued together.
+         * @private
+         * @type {Array.<{key: string, reference: object, properties: Array.<string>, resolve: function,
+         *  reject: function}>}
+         */
+        this._pendingGets = [];
+
+        /**
+         * Whether the pending get requests are scheduled to be issued.
+         * @private
+         * @type {boolean}
+         */
+        this._flushScheduled = false;
+
         /**
          * Low-level promisified batchPlay function.
          * @private
          * @type {function():Promise}
          */
-        this._batchPlayAsync = Promise.promisify(_spaces.ps.descriptor.batchPlay, {
+        this._batchPlayAsync = this._traceCalls("batchPlay", Promise.promisify(_spaces.ps.descriptor.batchPlay, {
             context: _spaces.ps.descriptor,
             multiArgs: true
-        });
+        }));
         
         /**
          * Low-level promisified get function.
          * @private
          * @type {function():Promise}
          */
-        this._getAsync = Promise.promisify(_spaces.ps.descriptor.get, {
+        this._getAsync = this._traceCalls("get", Promise.promisify(_spaces.ps.descriptor.get, {
             context: _spaces.ps.descriptor
-        });
+        }));
+    }
+
+    /**
+     * Executes the low-level "get" call, rejecting with a BridgeError.
+     *
+     * @private
+     * @param {object} reference Wrapped reference
+     * @param {object} options
+     * @param {number=} options.timeout In milliseconds, overrides the default timeout
+     * @return {Promise.<object>}
+     */
+    _get (reference, options) {
+        const split = splitTimeout(options),
+            details = {
+                command: "get",
+                descriptor: { "null": reference }
+            };
+
+        const request = this._getAsync(reference, split.options)
+            .catch(function (err) {
+                throw fromBridgeError(err, details);
+            });
+
+        return withTimeout(request, split.timeout, details);
     }
 
     /**
@@ -169,6 +275,7 @@ export class Descriptor extends NotifierProxy {
      *     - Object representation of ActionReference key/value pairs
      *     - An array of a combination of the above, which will get turned into the appropriate ActionReference
      * @param {object=} options
+     * @param {number=} options.timeout In milliseconds, overrides the default timeout
      * @return {Promise.<?>} The value of the reference, dependent on reference type
      */
     get (reference, options) {
@@ -178,7 +285,7 @@ export class Descriptor extends NotifierProxy {
 
         const wrappedReference = _wrap(reference);
 
-        return this._getAsync(wrappedReference, options);
+        return this._get(wrappedReference, options);
     }
 
     /**
@@ -190,9 +297,11 @@ export class Descriptor extends NotifierProxy {
      * @return {Promise.<?>} The value of the property, dependent on reference type
      */
     getProperty (reference, property, options) {
-        const propertyReference = _makePropertyReference(reference, property);
+        const request = this._canCoalesce(options) ?
+            this._queueGet(reference, [property]) :
+            this.get(_makePropertyReference(reference, property), options);
 
-        return this.get(propertyReference, options)
+        return request
             .then(function (obj) {
                 if (!obj || !obj.hasOwnProperty(property)) {
                     throw new Error("No such property: " + property);
@@ -216,14 +325,12 @@ export class Descriptor extends NotifierProxy {
             throw new Error("You must pass a full reference to setProperty or else PS will crash!");
         }
 
-        // We need to reverse this because for play calls _makePropertyReference orders it wrong
-        const propertyReference = _makePropertyReference(reference, property).reverse(),
-            propertyValue = {
+        const propertyValue = {
                 "_obj": property,
                 "_value": value
             },
             propertyDescriptor = {
-                "null": { "_ref": propertyReference },
+                "null": _makePropertyReference(reference, property),
                 "to": propertyValue
             };
 
@@ -265,7 +372,7 @@ export class Descriptor extends NotifierProxy {
             ]
         };
 
-        return this._getAsync(multiRef, options).get("list");
+        return this._get(multiRef, options).get("list");
     }
 
     /**
@@ -324,25 +431,62 @@ export class Descriptor extends NotifierProxy {
      *
      * @param {Array.<{name: string, descriptor: object, options: object=}>} commands Array of 
      *  ActionDescriptors to play
-     * @param {{continueOnError: boolean=}=} options Options applied to the execution of the batchPlay
+     * @param {{continueOnError: boolean=, timeout: number=, synchronous: boolean=,
+     *  allowSynchronousFallback: boolean=}=} options Options applied to the execution of the batchPlay
      * @return {Promise.<Array.<object>>} Resolves with the list of ActionDescriptor results, or rejects
      *      with either an adapter error, or a single command error if not continueOnError mode. In
-     *      continueOnError mode, always resolve with both the results and errors arrays.
+     *      continueOnError mode, always resolve with both the results and errors arrays. Errors are
+     *      BridgeErrors; command errors carry the failing command, descriptor and index.
      */
     _batchPlayImmediate (commands, options) {
+        const split = splitTimeout(options),
+            details = commands.length === 1 ? {
+                command: commands[0].name,
+                descriptor: commands[0].descriptor
+            } : {};
+
+        options = split.options;
+
+        if (options.synchronous === false) {
+            const incompatibilities = _asyncIncompatibilities(commands, options);
+
+            if (incompatibilities.length > 0) {
+                if (!options.allowSynchronousFallback) {
+                    return Promise.reject(_makeAsyncError(incompatibilities));
+                }
+
+                options = _.omit(options, "synchronous");
+            }
+        }
+
+        if (options.hasOwnProperty("allowSynchronousFallback")) {
+            options = _.omit(options, "allowSynchronousFallback");
+        }
+
         if (!options.hasOwnProperty("interactionMode")) {
             options.interactionMode = Descriptor.interactionMode.SILENT;
         }
 
-        return this._batchPlayAsync(commands, options)
+        const request = this._batchPlayAsync(commands, options)
+            .catch(function (err) {
+                throw fromBridgeError(err, details);
+            })
             .then(function (response) {
+                var errors = response[1].map(function (error, index) {
+                    return error && fromBridgeError(error, {
+                        command: commands[index].name,
+                        descriptor: commands[index].descriptor,
+                        index: index
+                    });
+                });
+
                 // Never reject in continueOnError mode; the caller must always check the results
                 if (options.continueOnError) {
-                    return response;
+                    return [response[0], errors];
                 }
 
                 var theError;
-                response[1].some(function (error) {
+                errors.some(function (error) {
                     if (error) {
                         theError = error;
                         return true;
@@ -357,27 +501,20 @@ export class Descriptor extends NotifierProxy {
                 // if there are no errors, resolve with just the results
                 return response[0];
             });
+
+        return withTimeout(request, split.timeout, details);
     }
 
     /**
-     * Adds the given commands with the options to the given existing transaction
+     * Merges the options of a batchPlay call into the options of the given transaction.
      * If any of the options already exist in the transactionOptions (txOptions)
      * it will not throw
      *
      * @private
-     * @param {number} tid Transaction ID, must have been started with beginTransaction
-     * @param {Array.<{name: string, descriptor: object, options: object=}>} commands Array of 
-     *  ActionDescriptors to play
-     * @param {{continueOnError: boolean=}=} options Options applied to the execution of the batchPlay
-     * @return {Promise.<Array>} An empty array with the expected length for selection dance
-     * to function correctly
+     * @param {object} transactionInfo
+     * @param {object} options Options applied to the execution of the batchPlay
      */
-    _addToTransaction (tid, commands, options) {
-        var transactionInfo = this._transactions.get(tid);
-        if (!transactionInfo) {
-            throw new Error("Invalid transaction ID: " + tid);
-        }
-
+    _mergeTransactionOptions (transactionInfo, options) {
         // If any of the batchPlay calls in the transaction disagree on some options
         // and those options are not defined in the beginTransaction function's options
         // we will throw an error
@@ -385,8 +522,12 @@ export class Descriptor extends NotifierProxy {
         // We still accept the existing options, but at the endTransaction method, whatever is
         // in txOptions is the final truth. For example, most of the time, historyStateInfo
         // will disagree between batchPlay options, so it needs to be declared at beginTransaction level
+        //
+        // Play modes of the queued calls don't apply, and their timeouts only drop their commands;
+        // the transaction is played with its own
         var txOptions = transactionInfo.txOptions,
-            nextOptions = _.merge(transactionInfo.options, options, function (a, b, key) {
+            callOptions = _.omit(options, ["transaction", "timeout", "synchronous", "allowSynchronousFallback"]),
+            nextOptions = _.merge(transactionInfo.options, callOptions, function (a, b, key) {
                 if (a === undefined) {
                     return b;
                 } else if (b === undefined) {
@@ -399,7 +540,35 @@ export class Descriptor extends NotifierProxy {
             });
 
         transactionInfo.options = nextOptions;
-        transactionInfo.commands = transactionInfo.commands.concat(commands);
+    }
+
+    /**
+     * Adds the given commands with the options to the given existing transaction.
+     * The commands are dropped from the transaction if it isn't ended within the
+     * timeout of the call.
+     *
+     * @private
+     * @param {number} tid Transaction ID, must have been started with beginTransaction
+     * @param {Array.<{name: string, descriptor: object, options: object=}>} commands Array of 
+     *  ActionDescriptors to play
+     * @param {{continueOnError: boolean=, timeout: number=}=} options Options applied to the execution
+     *  of the batchPlay
+     * @return {Promise.<Array>} An empty array with the expected length for selection dance
+     * to function correctly
+     */
+    _addToTransaction (tid, commands, options) {
+        var transactionInfo = this._transactions.get(tid);
+        if (!transactionInfo) {
+            throw new Error("Invalid transaction ID: " + tid);
+        }
+
+        this._mergeTransactionOptions(transactionInfo, options);
+
+        // Only an explicit timeout applies; the default timeout applies to playing the transaction
+        transactionInfo.requests.push({
+            commands: commands,
+            deadline: options.timeout ? Date.now() + options.timeout : null
+        });
 
         return Promise.resolve(new Array(commands.length));
     }
@@ -408,45 +577,170 @@ export class Descriptor extends NotifierProxy {
      * Initiates a transaction, saving all batchPlay calls being added to this transaction
      * from being played until @see endTransaction is called
      *
-     * @param {{historyStateInfo: object}=} options contains a single history state information for this
-     * transaction to apply
+     * Transactions can be nested by passing the ID of an active transaction as
+     * options.transaction. When a nested transaction ends, its commands and
+     * options are added to its parent instead of being played.
+     *
+     * A transaction begun with synchronous: false is played asynchronously,
+     * which is checked when it ends, since any queued command may be
+     * incompatible, and fails immediately if its own options are.
+     *
+     * @param {{historyStateInfo: object=, transaction: number=, timeout: number=, synchronous: boolean=,
+     *  allowSynchronousFallback: boolean=}=} options contains a single history state information for this
+     *  transaction to apply, optionally the parent transaction ID, the timeout of playing the transaction
+     *  in milliseconds, and its play mode
      * @return {number} Initiated transaction ID
      */
     beginTransaction (options) {
+        var txOptions = _.omit(options || {}, "transaction"),
+            parent = options && options.hasOwnProperty("transaction") ? options.transaction : null;
+
+        if (txOptions.synchronous === false && !txOptions.allowSynchronousFallback) {
+            var incompatibilities = _asyncIncompatibilities([], txOptions);
+            if (incompatibilities.length > 0) {
+                throw _makeAsyncError(incompatibilities);
+            }
+        }
+
+        if (parent !== null) {
+            var parentInfo = this._transactions.get(parent);
+            if (!parentInfo) {
+                throw new Error("Invalid transaction ID: " + parent);
+            }
+        }
+
         var transactionID = this._transactionIDCounter++,
             transactionInfo = {
-                txOptions: options || {},
+                txOptions: txOptions,
                 options: {},
-                commands: []
+                requests: [],
+                parent: parent,
+                children: new Set()
             };
 
         this._transactions.set(transactionID, transactionInfo);
 
+        if (parentInfo) {
+            parentInfo.children.add(transactionID);
+        }
+
         return transactionID;
     }
 
+    /**
+     * Removes a transaction from the map of active transactions, and from its parent.
+     *
+     * @private
+     * @param {number} tid Transaction ID
+     * @return {object} The removed transaction info
+     */
+    _removeTransaction (tid) {
+        var transactionInfo = this._transactions.get(tid);
+        if (!transactionInfo) {
+            throw new Error("Invalid transaction ID: " + tid);
+        }
+
+        this._transactions.delete(tid);
+
+        if (transactionInfo.parent !== null) {
+            var parentInfo = this._transactions.get(transactionInfo.parent);
+            if (parentInfo) {
+                parentInfo.children.delete(tid);
+            }
+        }
+
+        return transactionInfo;
+    }
+
     /**
      * Finalizes a transaction, playing all accumulated batchPlay objects
-     * under the same history state
+     * under the same history state. A nested transaction is instead folded into
+     * its parent. The transaction is removed whether or not playing succeeds.
+     * The commands of batchPlay calls whose timeout elapsed are not played.
      *
      * @param {number} tid Transaction ID
      * @return {Promise.<Array.<object>>} Resolves with the list of ActionDescriptor results, or rejects
      *      with either an adapter error, or a single command error if not continueOnError mode. In
-     *      continueOnError mode, always resolve with both the results and errors arrays.
+     *      continueOnError mode, always resolve with both the results and errors arrays. For nested
+     *      transactions, resolves with an empty array with the length of the folded commands.
      */
     endTransaction (tid) {
         var transactionInfo = this._transactions.get(tid);
         if (!transactionInfo) {
             throw new Error("Invalid transaction ID: " + tid);
+        } else if (transactionInfo.children.size > 0) {
+            throw new Error("Transaction " + tid + " has active nested transactions: " +
+                Array.from(transactionInfo.children).join(", "));
         }
 
-        var finalOptions = _.merge(transactionInfo.options, transactionInfo.txOptions);
+        this._removeTransaction(tid);
 
-        return this._batchPlayImmediate(transactionInfo.commands, finalOptions)
-            .bind(this)
-            .tap(function () {
-                this._transactions.delete(tid);
-            });
+        var finalOptions = _.merge(transactionInfo.options, transactionInfo.txOptions),
+            now = Date.now(),
+            requests = transactionInfo.requests.filter(function (request) {
+                return request.deadline === null || request.deadline >= now;
+            }),
+            commands = _.flatten(_.map(requests, "commands"));
+
+        if (transactionInfo.parent !== null) {
+            // The requests keep their deadlines until the parent ends
+            var parentInfo = this._transactions.get(transactionInfo.parent);
+
+            this._mergeTransactionOptions(parentInfo, finalOptions);
+            parentInfo.requests = parentInfo.requests.concat(requests);
+
+            return Promise.resolve(new Array(commands.length));
+        }
+
+        if (commands.length === 0) {
+            return Promise.resolve(finalOptions.continueOnError ? [[], []] : []);
+        }
+
+        return this._batchPlayImmediate(commands, finalOptions);
+    }
+
+    /**
+     * Discards a transaction and its nested transactions without playing any
+     * of their commands.
+     *
+     * @param {number} tid Transaction ID
+     */
+    abortTransaction (tid) {
+        var transactionInfo = this._removeTransaction(tid);
+
+        transactionInfo.children.forEach(function (child) {
+            this.abortTransaction(child);
+        }, this);
+    }
+
+    /**
+     * Runs the body within a new transaction, which is ended once the promise
+     * returned by the body resolves, or aborted if it rejects or, if Bluebird
+     * cancellation is enabled, the returned promise is cancelled.
+     *
+     * @param {function(number):Promise} body Receives the transaction ID, to be passed
+     *  as options.transaction to batchPlay or beginTransaction
+     * @param {{historyStateInfo: object=, transaction: number=}=} options @see beginTransaction
+     * @return {Promise.<Array.<object>>} Resolves with the results of @see endTransaction
+     */
+    transaction (body, options) {
+        var tid = this.beginTransaction(options);
+
+        return Promise.bind(this)
+            .then(function () {
+                return body(tid);
+            })
+            .then(function () {
+                return this.endTransaction(tid);
+            })
+            .finally(function () {
+                // Abort the transaction if the body failed, or if the returned promise was
+                // cancelled. A transaction that was ended has already been removed.
+                if (this._transactions.has(tid)) {
+                    this.abortTransaction(tid);
+                }
+            })
+            .bind();
     }
 
     /**
@@ -457,9 +751,20 @@ export class Descriptor extends NotifierProxy {
      * @param {object=} options Options applied to the execution of the batchPlay
      * @param {boolean=} options.continueOnError If true, will not stop playing all commands
      * @param {number=} options.transaction If provided, will save the commands into the transaction
+     * @param {number=} options.timeout In milliseconds, overrides the default timeout. Rejects with a
+     *      TimeoutError and ignores the eventual result if the commands aren't played in time. Commands
+     *      saved into a transaction are dropped from it if it doesn't end in time.
+     * @param {boolean=} options.synchronous If false, the commands are queued for Photoshop to play
+     *      while the UI stays live. Rejects without playing any command if the batch uses a feature
+     *      that asynchronous play doesn't support (continueOnError, historyStateInfo, paintOptions,
+     *      ignoreTargetWhenModal, multi-get or extended references). Ignored for commands saved into
+     *      a transaction, whose own options determine how it is played.
+     * @param {boolean=} options.allowSynchronousFallback If true, a batch that can't be played
+     *      asynchronously is played synchronously instead of rejecting.
      * @return {Promise.<Array.<object>>} Resolves with the list of ActionDescriptor results, or rejects
      *      with either an adapter error, or a single command error if not continueOnError mode. In
-     *      continueOnError mode, always resolve with both the results and errors arrays.
+     *      continueOnError mode, always resolve with both the results and errors arrays. If schema
+     *      validation is enabled, rejects without playing any command if a descriptor is invalid.
      */
     batchPlay (commands, options) {
         options = options || {};
@@ -471,6 +776,14 @@ export class Descriptor extends NotifierProxy {
             return Promise.resolve(options.continueOnError ? [[], []] : []);
         }
 
+        if (schema.isEnabled()) {
+            try {
+                schema.validateCommands(commands);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        }
+
         if (options.hasOwnProperty("transaction")) {
             return this._addToTransaction(options.transaction, commands, options);
         } else {
@@ -680,11 +993,18 @@ export class Descriptor extends NotifierProxy {
             return Promise.resolve({});
         }
 
+        if (this._canCoalesce(options)) {
+            return this._queueGet(reference, properties)
+                .then(function (obj) {
+                    return _.pick(obj, properties);
+                });
+        }
+
         if (options === undefined) {
             options = {};
         }
 
-        return this._getAsync(_wrap(reference, properties), options);
+        return this._get(_wrap(reference, properties), options);
     }
 
     /**
@@ -697,14 +1017,19 @@ export class Descriptor extends NotifierProxy {
      * @return {Promise.<Object.<string, *>>}
      */
     multiGetProperties (reference, properties, options) {
-        if (options === undefined) {
-            options = {};
-        }
+        if (this._canCoalesce(options)) {
+            // Missing properties are checked below
+            options = undefined;
+        } else {
+            if (options === undefined) {
+                options = {};
+            }
 
-        // FIXME: This following option doesn't work when properties ===
-        // ["targetLayers"], which is why the .tap below is needed.
-        // See Watson 4010314 for details.
-        options.failOnMissingProperty = true;
+            // FIXME: This following option doesn't work when properties ===
+            // ["targetLayers"], which is why the .tap below is needed.
+            // See Watson 4010314 for details.
+            options.failOnMissingProperty = true;
+        }
 
         return this.multiGetOptionalProperties(reference, properties, options)
             .tap(function (obj) {
@@ -715,6 +1040,127 @@ export class Descriptor extends NotifierProxy {
                 });
             });
     }
+
+    /**
+     * Turn coalescing of get requests on or off. While on, getProperty,
+     * multiGetProperties and multiGetOptionalProperties requests issued
+     * without options are collected and issued together, like
+     * batchMultiGetProperties, as a single batchPlay with one multi-get
+     * command per distinct reference.
+     *
+     * @param {?{delay: number=}} options Null to turn coalescing off. Requests are
+     *  collected for delay milliseconds, or until the end of the current tick by default.
+     */
+    setCoalescing (options) {
+        this._coalescing = options ? { delay: options.delay || 0 } : null;
+    }
+
+    /**
+     * Whether a get request with the given options can be coalesced.
+     *
+     * @private
+     * @param {object=} options
+     * @return {boolean}
+     */
+    _canCoalesce (options) {
+        return this._coalescing !== null && _.isEmpty(options);
+    }
+
+    /**
+     * Queue a request for properties of a reference, to be issued with the
+     * other pending requests.
+     *
+     * @private
+     * @param {object|string|Array.<object>} reference
+     * @param {Array.<string>} properties
+     * @return {Promise.<object>} Resolves with the properties that were found, which may
+     *  include properties requested by other callers
+     */
+    _queueGet (reference, properties) {
+        return new Promise(function (resolve, reject) {
+            this._pendingGets.push({
+                key: JSON.stringify(_wrap(reference)),
+                reference: reference,
+                properties: properties,
+                resolve: resolve,
+                reject: reject
+            });
+
+            if (!this._flushScheduled) {
+                this._flushScheduled = true;
+
+                if (this._coalescing.delay > 0) {
+                    setTimeout(this._flushGets.bind(this), this._coalescing.delay);
+                } else {
+                    Promise.resolve().bind(this).then(this._flushGets);
+                }
+            }
+        }.bind(this));
+    }
+
+    /**
+     * Issue the pending get requests as a single batchPlay, and settle each
+     * request with the result or error of the command for its reference.
+     *
+     * @private
+     */
+    _flushGets () {
+        var pending = this._pendingGets,
+            groups = new Map();
+
+        this._pendingGets = [];
+        this._flushScheduled = false;
+
+        pending.forEach(function (request) {
+            var group = groups.get(request.key);
+
+            if (!group) {
+                group = {
+                    reference: request.reference,
+                    properties: new Set(),
+                    requests: []
+                };
+                groups.set(request.key, group);
+            }
+
+            request.properties.forEach(group.properties.add, group.properties);
+            group.requests.push(request);
+        });
+
+        var groupList = Array.from(groups.values()),
+            commands = groupList.map(function (group) {
+                return {
+                    name: "get",
+                    descriptor: {
+                        "null": _wrap(group.reference, Array.from(group.properties))
+                    },
+                    options: {
+                        useMultiGet: true,
+                        failOnMissingProperty: false
+                    }
+                };
+            });
+
+        this.batchPlay(commands, { continueOnError: true })
+            .then(function (response) {
+                groupList.forEach(function (group, index) {
+                    var error = response[1][index],
+                        result = response[0][index];
+
+                    group.requests.forEach(function (request) {
+                        if (error) {
+                            request.reject(error);
+                        } else {
+                            request.resolve(result);
+                        }
+                    });
+                });
+            }, function (err) {
+                pending.forEach(function (request) {
+                    request.reject(err);
+                });
+            });
+    }
 }
 
 /**
@@ -0,0 +1,660 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import EventEmitter from "events";
+import Promise from "bluebird";
+import _ from "lodash";
+
+import { decode } from "../lib/photoshopEvent";
+import { makeLayerTree, LAYER_PROPERTIES } from "./layerTree";
+
+/**
+ * Events that the store applies to its model.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _EVENTS = ["make", "set", "delete", "select", "selectNoLayers", "move", "transform", "hide", "show",
+    "duplicate", "close"];
+
+/**
+ * Document properties requested to populate a document.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _DOCUMENT_PROPERTIES = ["documentID", "title", "numberOfLayers", "hasBackgroundLayer", "targetLayersIDs"];
+
+/**
+ * Layer properties requested to populate the layers of a document.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _LAYER_PROPERTIES = _.union(LAYER_PROPERTIES, ["visible", "bounds"]);
+
+/**
+ * Targets of the notifications that may change the layers of a document:
+ * layers, groups and, when selected, history states and snapshots. Null
+ * stands for notifications without a target reference.
+ *
+ * @private
+ * @const
+ * @type {Set.<?string>}
+ */
+const _LAYER_TARGETS = new Set(["layer", "layerSection", "contentLayer", "textLayer", "adjustmentLayer",
+    "historyState", "snapshotClass", null]);
+
+/**
+ * Unwrap a unit value descriptor into a number.
+ *
+ * @private
+ * @param {number|{_value: number}} value
+ * @return {number}
+ */
+const _unitValue = function (value) {
+    return value !== null && typeof value === "object" ? value._value : value;
+};
+
+/**
+ * Convert a bounds descriptor into pixel values.
+ *
+ * @private
+ * @param {?object} bounds
+ * @return {{top: number, left: number, bottom: number, right: number}}
+ */
+const _boundsOf = function (bounds) {
+    const rectangle = bounds && bounds.hasOwnProperty("_value") ? bounds._value : bounds || {};
+
+    return {
+        top: _unitValue(rectangle.top) || 0,
+        left: _unitValue(rectangle.left) || 0,
+        bottom: _unitValue(rectangle.bottom) || 0,
+        right: _unitValue(rectangle.right) || 0
+    };
+};
+
+/**
+ * Build a document model from its properties and the properties of its
+ * layers, which are ordered from bottom to top.
+ *
+ * @private
+ * @param {object} properties
+ * @param {Array.<object>} layerProperties
+ * @return {object}
+ */
+const _makeDocument = function (properties, layerProperties) {
+    const tree = makeLayerTree(layerProperties, properties.hasBackgroundLayer),
+        propertiesByID = layerProperties.reduce(function (byID, layer) {
+            byID[layer.layerID] = layer;
+            return byID;
+        }, {}),
+        document = {
+            documentID: properties.documentID,
+            title: properties.title,
+            layers: new Map(),
+            rootLayerIDs: _.map(tree.roots, "layerID"),
+            selectedLayerIDs: (properties.targetLayersIDs || []).map(function (ref) {
+                return ref._id;
+            })
+        };
+
+    tree.toArray().forEach(function (node) {
+        const layerProperties = propertiesByID[node.layerID];
+
+        document.layers.set(node.layerID, {
+            layerID: node.layerID,
+            name: node.name,
+            kind: node.kind,
+            visible: layerProperties.visible,
+            bounds: _boundsOf(layerProperties.bounds),
+            selected: document.selectedLayerIDs.indexOf(node.layerID) >= 0,
+            parentID: node.parent ? node.parent.layerID : null,
+            childIDs: _.map(node.children, "layerID")
+        });
+    });
+
+    return document;
+};
+
+/**
+ * The DocumentStore class maintains a model of the open documents and their
+ * layer trees, populated with batched multi-get requests and kept up to date
+ * with notifications from Photoshop.
+ *
+ * A document model has the keys documentID, title, selectedLayerIDs, layers,
+ * a map from layer ID to layer, and rootLayerIDs, the top-level layers from
+ * top to bottom. A layer has the keys layerID, name, kind (one of
+ * layer.layerKinds), visible, bounds ({top, left, bottom, right} in pixels),
+ * selected, parentID (null for top-level layers) and childIDs, from top to
+ * bottom.
+ *
+ * Notifications that carry the change, like renaming, showing, selecting
+ * or translating layers, are applied to the model directly. Others, like
+ * making or reordering layers, cause the document to be requested again.
+ * The store emits "change" with the ID of the document whenever a document
+ * changes, is added or is removed, and "activeDocumentChanged" with the ID
+ * of the new active document, or null. Requests that fail while updating
+ * the model are emitted as "error", if there are listeners.
+ *
+ * Example:
+ *      const store = makeDocumentStore(descriptor);
+ *      store.initialize().then(function () {
+ *          const document = store.getDocument(store.activeDocumentID);
+ *          ...
+ *      });
+ *      store.on("change", function (documentID) { ... });
+ */
+export class DocumentStore extends EventEmitter {
+    /**
+     * @param {Descriptor} descriptor Must receive the "make", "set", "delete", "select",
+     *  "selectNoLayers", "move", "transform", "hide", "show", "duplicate" and "close"
+     *  events, unless it manages its events
+     */
+    constructor (descriptor) {
+        super();
+
+        /**
+         * @private
+         * @type {Descriptor}
+         */
+        this._descriptor = descriptor;
+
+        /**
+         * Models of the open documents by ID.
+         *
+         * @private
+         * @type {Map.<number, object>}
+         */
+        this._documents = new Map();
+
+        /**
+         * Counter of the requests for each document, so that only the
+         * response to the latest request is applied.
+         *
+         * @private
+         * @type {Map.<number, number>}
+         */
+        this._generations = new Map();
+
+        /**
+         * ID of the active document, or null if there are no open documents
+         * or the store isn't initialized.
+         *
+         * @type {?number}
+         */
+        this.activeDocumentID = null;
+
+        /**
+         * @private
+         * @type {?Promise}
+         */
+        this._initialized = null;
+
+        /**
+         * @private
+         * @type {function(string, object)}
+         */
+        this._handleEvent = this._handleEvent.bind(this);
+
+        /**
+         * @private
+         * @type {function(Error)}
+         */
+        this._handleError = this._handleError.bind(this);
+
+        descriptor.on("all", this._handleEvent);
+        descriptor.acquireEvents(_EVENTS);
+    }
+
+    /**
+     * Request the open documents and the active document. Repeated calls
+     * return the same promise.
+     *
+     * @return {Promise} Resolves once the store is populated
+     */
+    initialize () {
+        if (!this._initialized) {
+            this._initialized = this._descriptor.getProperty("application", "numberOfDocuments")
+                .bind(this)
+                .then(function (count) {
+                    if (count === 0) {
+                        return [];
+                    }
+
+                    const references = _.range(1, count + 1).map(function (index) {
+                        return { _ref: "document", _index: index };
+                    });
+
+                    return this._descriptor.batchMultiGetProperties(references, ["documentID"]);
+                })
+                .then(function (documents) {
+                    return Promise.all(documents.map(function (document) {
+                        return this.refresh(document.documentID);
+                    }, this));
+                })
+                .then(this._refreshActiveDocument);
+        }
+
+        return this._initialized;
+    }
+
+    /**
+     * @return {Array.<object>} Models of the open documents
+     */
+    getDocuments () {
+        return Array.from(this._documents.values());
+    }
+
+    /**
+     * @param {number} documentID
+     * @return {?object} Model of the document, or null if it isn't open
+     */
+    getDocument (documentID) {
+        return this._documents.get(documentID) || null;
+    }
+
+    /**
+     * @param {number} documentID
+     * @param {number} layerID
+     * @return {?object} Model of the layer, or null if it doesn't exist
+     */
+    getLayer (documentID, layerID) {
+        const document = this.getDocument(documentID);
+
+        return document && document.layers.get(layerID) || null;
+    }
+
+    /**
+     * @param {number} documentID
+     * @return {Array.<object>} Models of the selected layers of the document
+     */
+    getSelectedLayers (documentID) {
+        const document = this.getDocument(documentID);
+
+        if (!document) {
+            return [];
+        }
+
+        return document.selectedLayerIDs.map(function (layerID) {
+            return document.layers.get(layerID);
+        }).filter(_.identity);
+    }
+
+    /**
+     * Request a document and its layers again, replacing its model.
+     *
+     * @param {number} documentID
+     * @return {Promise.<object>} Resolves with the new model of the document
+     */
+    refresh (documentID) {
+        const generation = (this._generations.get(documentID) || 0) + 1,
+            reference = { _ref: "document", _id: documentID };
+
+        this._generations.set(documentID, generation);
+
+        return this._descriptor.multiGetProperties(reference, _DOCUMENT_PROPERTIES)
+            .bind(this)
+            .then(function (properties) {
+                const start = properties.hasBackgroundLayer ? 0 : 1,
+                    references = _.range(start, properties.numberOfLayers + 1).map(function (index) {
+                        return [reference, { _ref: "layer", _index: index }];
+                    });
+
+                if (references.length === 0) {
+                    return [properties, []];
+                }
+
+                return Promise.all([
+                    properties,
+                    this._descriptor.batchMultiGetProperties(references, _LAYER_PROPERTIES)
+                ]);
+            })
+            .spread(function (properties, layerProperties) {
+                if (this._generations.get(documentID) !== generation) {
+                    return this.getDocument(documentID);
+                }
+
+                const document = _makeDocument(properties, layerProperties);
+
+                this._documents.set(documentID, document);
+                this.emit("change", documentID);
+
+                return document;
+            });
+    }
+
+    /**
+     * Request the ID of the active document.
+     *
+     * @private
+     * @return {Promise}
+     */
+    _refreshActiveDocument () {
+        return this._descriptor.getProperty("application", "numberOfDocuments")
+            .bind(this)
+            .then(function (count) {
+                return count === 0 ? null : this._descriptor.getProperty("document", "documentID");
+            })
+            .then(this._setActiveDocument);
+    }
+
+    /**
+     * @private
+     * @param {?number} documentID
+     */
+    _setActiveDocument (documentID) {
+        if (this.activeDocumentID !== documentID) {
+            this.activeDocumentID = documentID;
+            this.emit("activeDocumentChanged", documentID);
+        }
+    }
+
+    /**
+     * Forget a document, e.g. because it was closed.
+     *
+     * @private
+     * @param {number} documentID
+     */
+    _removeDocument (documentID) {
+        this._generations.set(documentID, (this._generations.get(documentID) || 0) + 1);
+
+        if (this._documents.delete(documentID)) {
+            this.emit("change", documentID);
+        }
+    }
+
+    /**
+     * Apply a notification to the model of the affected document, or request
+     * the document again if the notification doesn't carry the change.
+     *
+     * @private
+     * @param {string} event
+     * @param {object} payload
+     */
+    _handleEvent (event, payload) {
+        const decoded = decode(event, payload);
+
+        if (!decoded || _EVENTS.indexOf(event) < 0) {
+            return;
+        }
+
+        if (decoded.target === "document") {
+            this._handleDocumentEvent(decoded);
+            return;
+        }
+
+        const documentID = decoded.documentID === null ? this.activeDocumentID : decoded.documentID,
+            document = this.getDocument(documentID);
+
+        if (!document || !_LAYER_TARGETS.has(decoded.target)) {
+            return;
+        }
+
+        if (event === "close") {
+            this._removeDocument(documentID);
+            this._refreshActiveDocument().catch(this._handleError);
+        } else if (!this._applyEvent(document, decoded)) {
+            this.refresh(documentID).catch(this._handleError);
+        } else {
+            this.emit("change", documentID);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error} err
+     */
+    _handleError (err) {
+        if (this.listenerCount("error") > 0) {
+            this.emit("error", err);
+        }
+    }
+
+    /**
+     * Apply a notification that targets a document.
+     *
+     * @private
+     * @param {object} decoded
+     */
+    _handleDocumentEvent (decoded) {
+        const documentID = decoded.documentID;
+
+        switch (decoded.event) {
+        case "make":
+            if (documentID !== null) {
+                this.refresh(documentID).catch(this._handleError);
+            }
+            this._refreshActiveDocument().catch(this._handleError);
+            break;
+        case "select":
+            if (documentID === null) {
+                this._refreshActiveDocument().catch(this._handleError);
+            } else {
+                this._setActiveDocument(documentID);
+            }
+            break;
+        case "close":
+            if (documentID !== null) {
+                this._removeDocument(documentID);
+            }
+            this._refreshActiveDocument().catch(this._handleError);
+            break;
+        default:
+            if (this.getDocument(documentID)) {
+                this.refresh(documentID).catch(this._handleError);
+            }
+        }
+    }
+
+    /**
+     * Patch the model of a document with a notification that targets its
+     * layers.
+     *
+     * @private
+     * @param {object} document
+     * @param {object} decoded
+     * @return {boolean} Whether the notification was applied; if not, the
+     *  document must be requested again
+     */
+    _applyEvent (document, decoded) {
+        const layerIDs = decoded.layerIDs.length > 0 ? decoded.layerIDs : document.selectedLayerIDs.slice(),
+            layers = layerIDs.map(function (layerID) {
+                return document.layers.get(layerID);
+            });
+
+        if (decoded.target !== "layer" || !_.every(layers)) {
+            return false;
+        }
+
+        switch (decoded.event) {
+        case "set":
+        case "hide":
+        case "show":
+            return this._setProperties(layers, decoded.properties);
+        case "select":
+            if (decoded.layerIDs.length === 0) {
+                return false;
+            }
+
+            this._select(document, decoded.layerIDs, decoded.modifier);
+
+            if (decoded.makeVisible) {
+                layers.forEach(function (layer) {
+                    layer.visible = true;
+                });
+            }
+
+            return true;
+        case "selectNoLayers":
+            this._select(document, []);
+            return true;
+        case "delete":
+            layers.forEach(this._removeLayer.bind(this, document));
+            return true;
+        case "move":
+            return decoded.offset !== null && this._translate(document, layers, decoded.offset);
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * Set the modeled properties of layers.
+     *
+     * @private
+     * @param {Array.<object>} layers
+     * @param {object} properties
+     * @return {boolean} Whether all the properties are modeled, and thus set
+     */
+    _setProperties (layers, properties) {
+        const changes = _.pick(properties, ["name", "visible"]);
+
+        layers.forEach(function (layer) {
+            Object.assign(layer, changes);
+        });
+
+        return _.size(changes) === _.size(properties);
+    }
+
+    /**
+     * @private
+     * @param {object} document
+     * @param {Array.<number>} layerIDs
+     * @param {?string=} modifier e.g. "addToSelection"
+     */
+    _select (document, layerIDs, modifier) {
+        let selected;
+
+        if (modifier === "addToSelection") {
+            selected = _.union(document.selectedLayerIDs, layerIDs);
+        } else if (modifier === "removeFromSelection") {
+            selected = _.difference(document.selectedLayerIDs, layerIDs);
+        } else {
+            selected = layerIDs;
+        }
+
+        document.selectedLayerIDs = selected;
+        document.layers.forEach(function (layer) {
+            layer.selected = selected.indexOf(layer.layerID) >= 0;
+        });
+    }
+
+    /**
+     * Remove a layer and its descendants from the model of a document.
+     *
+     * @private
+     * @param {object} document
+     * @param {object} layer
+     */
+    _removeLayer (document, layer) {
+        if (!document.layers.has(layer.layerID)) {
+            return;
+        }
+
+        layer.childIDs.forEach(function (childID) {
+            this._removeLayer(document, document.layers.get(childID));
+        }, this);
+
+        const siblings = layer.parentID === null ? document.rootLayerIDs :
+            document.layers.get(layer.parentID).childIDs;
+
+        _.pull(siblings, layer.layerID);
+        _.pull(document.selectedLayerIDs, layer.layerID);
+        document.layers.delete(layer.layerID);
+    }
+
+    /**
+     * Translate layers and their descendants by an offset in pixels.
+     *
+     * @private
+     * @param {object} document
+     * @param {Array.<object>} layers
+     * @param {{horizontal: object, vertical: object}} offset
+     * @return {boolean} Whether the offset was in pixels, and thus applied
+     */
+    _translate (document, layers, offset) {
+        const units = [offset.horizontal, offset.vertical].filter(function (value) {
+            return value !== null && typeof value === "object";
+        });
+
+        if (!units.every(function (value) { return value._unit === "pixelsUnit"; })) {
+            return false;
+        }
+
+        const dx = _unitValue(offset.horizontal) || 0,
+            dy = _unitValue(offset.vertical) || 0,
+            translated = new Set(),
+            translate = function (layer) {
+                if (translated.has(layer.layerID)) {
+                    return;
+                }
+
+                translated.add(layer.layerID);
+                layer.bounds = {
+                    top: layer.bounds.top + dy,
+                    left: layer.bounds.left + dx,
+                    bottom: layer.bounds.bottom + dy,
+                    right: layer.bounds.right + dx
+                };
+
+                layer.childIDs.forEach(function (childID) {
+                    translate(document.layers.get(childID));
+                });
+            };
+
+        layers.forEach(translate);
+
+        return true;
+    }
+
+    /**
+     * Stop listening to the descriptor and drop the model.
+     */
+    dispose () {
+        this._descriptor.removeListener("all", this._handleEvent);
+        this._descriptor.releaseEvents(_EVENTS);
+        this._documents.forEach(function (document, documentID) {
+            this._removeDocument(documentID);
+        }, this);
+        this._documents.clear();
+        this.activeDocumentID = null;
+        this._initialized = null;
+    }
+}
+
+/**
+ * Construct a DocumentStore over the given descriptor. The store must be
+ * initialized before use.
+ *
+ * @param {Descriptor} descriptor
+ * @return {DocumentStore}
+ */
+export function makeDocumentStore (descriptor) {
+    const store = new DocumentStore(descriptor);
+
+    return store;
+}
@@ -0,0 +1,244 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import EventEmitter from "events";
+import Promise from "bluebird";
+
+import {
+    getGeneratorPlugins,
+    setGeneratorPluginEnabled,
+    sendGeneratorMessage,
+    decodePluginMessage,
+    PLUGIN_MESSAGE_EVENT
+} from "../lib/generator";
+import { splitTimeout, withTimeout } from "../util/timeout";
+
+/**
+ * The GeneratorClient class lists and toggles Generator plug-ins, and
+ * exchanges JSON messages with them.
+ *
+ * Messages from plug-ins are emitted as "message" with the name of the
+ * plug-in, the decoded message and its messageID, or null. Replies to
+ * requests are emitted too. Malformed messages are emitted as "error", if
+ * there are listeners.
+ *
+ * Example:
+ *      const generator = makeGeneratorClient(descriptor);
+ *      generator.request("generator-assets", { command: "export", layerID: 3 })
+ *          .then(function (reply) { ... });
+ */
+export class GeneratorClient extends EventEmitter {
+    /**
+     * @param {Descriptor} descriptor Must receive the lib/generator.PLUGIN_MESSAGE_EVENT
+     *  event, unless it manages its events
+     * @throws {Error} If the descriptor doesn't receive PLUGIN_MESSAGE_EVENT
+     */
+    constructor (descriptor) {
+        super();
+
+        /**
+         * @private
+         * @type {Descriptor}
+         */
+        this._descriptor = descriptor;
+
+        /**
+         * ID of the last message sent.
+         *
+         * @private
+         * @type {number}
+         */
+        this._messageID = 0;
+
+        /**
+         * Handlers of the replies to pending requests, by message ID.
+         *
+         * @private
+         * @type {Map.<number, {pluginName: string, resolve: function, reject: function}>}
+         */
+        this._pending = new Map();
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this._disposed = false;
+
+        /**
+         * @private
+         * @type {function(string, object)}
+         */
+        this._handleEvent = this._handleEvent.bind(this);
+
+        // Throws if the descriptor doesn't manage its events and lacks PLUGIN_MESSAGE_EVENT
+        descriptor.acquireEvents([PLUGIN_MESSAGE_EVENT]);
+        descriptor.on("all", this._handleEvent);
+    }
+
+    /**
+     * Handle a notification from the descriptor.
+     *
+     * @private
+     * @param {string} event
+     * @param {object} payload
+     */
+    _handleEvent (event, payload) {
+        if (event !== PLUGIN_MESSAGE_EVENT) {
+            return;
+        }
+
+        let decoded;
+
+        try {
+            decoded = decodePluginMessage(payload);
+        } catch (err) {
+            if (this.listenerCount("error") > 0) {
+                this.emit("error", err);
+            }
+            return;
+        }
+
+        const pending = this._pending.get(decoded.messageID);
+
+        if (pending && pending.pluginName === decoded.pluginName) {
+            this._pending.delete(decoded.messageID);
+            pending.resolve(decoded.message);
+        }
+
+        this.emit("message", decoded.pluginName, decoded.message, decoded.messageID);
+    }
+
+    /**
+     * Get the installed Generator plug-ins.
+     *
+     * @param {object=} options Options of the request
+     * @return {Promise.<Array.<{name: string, version: string, enabled: boolean}>>}
+     */
+    getPlugins (options) {
+        return this._descriptor.playObject(getGeneratorPlugins(), options)
+            .then(function (response) {
+                return (response.generatorPlugins || []).map(function (plugin) {
+                    const value = plugin._value || plugin;
+
+                    return {
+                        name: value.name,
+                        version: value.version,
+                        enabled: value.enabled !== false
+                    };
+                });
+            });
+    }
+
+    /**
+     * Enable or disable a Generator plug-in.
+     *
+     * @param {string} pluginName
+     * @param {boolean} enabled
+     * @param {object=} options Options of the request
+     * @return {Promise}
+     */
+    setPluginEnabled (pluginName, enabled, options) {
+        return this._descriptor.playObject(setGeneratorPluginEnabled(pluginName, enabled), options);
+    }
+
+    /**
+     * Send a message to a Generator plug-in, without waiting for a reply.
+     *
+     * @param {string} pluginName
+     * @param {*} message Any JSON-serializable value
+     * @param {object=} options Options of the request
+     * @return {Promise.<number>} Resolves with the ID of the message once it is sent
+     */
+    send (pluginName, message, options) {
+        const messageID = ++this._messageID;
+
+        return this._descriptor.playObject(sendGeneratorMessage(pluginName, message, messageID), options)
+            .return(messageID);
+    }
+
+    /**
+     * Send a message to a Generator plug-in and wait for its reply, the first
+     * message from the plug-in with the same messageID.
+     *
+     * @param {string} pluginName
+     * @param {*} message Any JSON-serializable value
+     * @param {object=} options Options of the request
+     * @param {number=} options.timeout In milliseconds, to wait for the reply; overrides
+     *  the default timeout
+     * @return {Promise.<*>} Resolves with the reply. Rejects with a TimeoutError if there
+     *  is no reply in time, or with an Error if the client is disposed first
+     */
+    request (pluginName, message, options) {
+        const split = splitTimeout(options),
+            messageID = ++this._messageID,
+            reply = new Promise(function (resolve, reject) {
+                this._pending.set(messageID, {
+                    pluginName: pluginName,
+                    resolve: resolve,
+                    reject: reject
+                });
+            }.bind(this)),
+            request = this._descriptor.playObject(sendGeneratorMessage(pluginName, message, messageID),
+                split.options)
+                .then(function () {
+                    return reply;
+                });
+
+        return withTimeout(request, split.timeout, {
+            command: "generatorMessage",
+            pluginName: pluginName
+        }).finally(function () {
+            this._pending.delete(messageID);
+        }.bind(this));
+    }
+
+    /**
+     * Stop listening to Generator plug-ins, and reject pending requests.
+     */
+    dispose () {
+        if (this._disposed) {
+            return;
+        }
+
+        this._disposed = true;
+        this._descriptor.removeListener("all", this._handleEvent);
+        this._descriptor.releaseEvents([PLUGIN_MESSAGE_EVENT]);
+
+        this._pending.forEach(function (pending) {
+            pending.reject(new Error("Generator client disposed"));
+        });
+        this._pending.clear();
+    }
+}
+
+/**
+ * Construct a GeneratorClient that exchanges messages through a descriptor.
+ *
+ * @param {Descriptor} descriptor
+ * @return {GeneratorClient}
+ */
+export function makeGeneratorClient (descriptor) {
+    const client = new GeneratorClient(descriptor);
+
+    return client;
+}
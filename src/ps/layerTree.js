@@ -0,0 +1,323 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import { layerKinds } from "../lib/layer";
+
+/**
+ * Layer properties requested to build a layer tree.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+export const LAYER_PROPERTIES = ["layerID", "layerSection", "layerKind", "name"];
+
+/**
+ * Where to move layers relative to a target layer.
+ *
+ * @const
+ * @type {Object.<string, string>}
+ */
+export const placement = {
+    ABOVE: "above",
+    BELOW: "below",
+    INSIDE: "inside"
+};
+
+/**
+ * Get the section of a layer from its layerSection property.
+ *
+ * @private
+ * @param {object} properties
+ * @return {string} "layerSectionStart", "layerSectionEnd" or "layerSectionContent"
+ */
+const _sectionOf = function (properties) {
+    const section = properties.layerSection;
+
+    if (properties.layerKind === layerKinds.GROUPEND) {
+        return "layerSectionEnd";
+    }
+
+    return section && typeof section === "object" ? section._value : section || "layerSectionContent";
+};
+
+/**
+ * The LayerTree class reconstructs the layer tree of a document from the
+ * flat list of its layers, as returned by Photoshop: ordered from bottom to
+ * top, with each group represented by the group layer above its children and
+ * a group end marker (layer.layerKinds.GROUPEND) below them.
+ *
+ * Each layer of the tree has the keys layerID, name, kind, index, the index by
+ * which it is referenced, parent, the parent layer or null, children, from top
+ * to bottom, and depth, 0 for top-level layers. Group end markers aren't part
+ * of the tree, but they count towards the indices.
+ *
+ * Layer indices count from 1 at the bottom, or from 0 if the document has a
+ * background layer.
+ */
+export class LayerTree {
+    /**
+     * @param {Array.<object>} layerProperties Properties of the layers, from bottom to
+     *  top, with at least the keys of LAYER_PROPERTIES
+     * @param {boolean} hasBackground Whether the document has a background layer
+     * @throws {Error} If the group end markers don't match the groups
+     */
+    constructor (layerProperties, hasBackground) {
+        /**
+         * Index of the bottom layer.
+         *
+         * @private
+         * @type {number}
+         */
+        this._offset = hasBackground ? 0 : 1;
+
+        /**
+         * The layers and group end markers from bottom to top, as IDs.
+         *
+         * @private
+         * @type {Array.<number>}
+         */
+        this._flat = _.map(layerProperties, "layerID");
+
+        /**
+         * Layers by ID.
+         *
+         * @private
+         * @type {Map.<number, object>}
+         */
+        this._layers = new Map();
+
+        /**
+         * Group end marker IDs by the ID of their group.
+         *
+         * @private
+         * @type {Map.<number, number>}
+         */
+        this._groupEnds = new Map();
+
+        /**
+         * Top-level layers from top to bottom.
+         *
+         * @type {Array.<object>}
+         */
+        this.roots = [];
+
+        const parents = [null];
+
+        for (let position = layerProperties.length - 1; position >= 0; position--) {
+            const properties = layerProperties[position],
+                section = _sectionOf(properties),
+                parent = parents[parents.length - 1];
+
+            if (section === "layerSectionEnd") {
+                if (parent === null) {
+                    throw new Error("Unbalanced group end marker at index " + (position + this._offset));
+                }
+
+                this._groupEnds.set(parent.layerID, properties.layerID);
+                parents.pop();
+                continue;
+            }
+
+            const layer = {
+                layerID: properties.layerID,
+                name: properties.name,
+                kind: properties.layerKind,
+                index: position + this._offset,
+                parent: parent,
+                children: [],
+                depth: parents.length - 1
+            };
+
+            this._layers.set(layer.layerID, layer);
+            (parent ? parent.children : this.roots).push(layer);
+
+            if (section === "layerSectionStart") {
+                parents.push(layer);
+            }
+        }
+
+        if (parents.length > 1) {
+            throw new Error("Missing group end marker of layer " + parents[parents.length - 1].layerID);
+        }
+    }
+
+    /**
+     * @param {number} layerID
+     * @return {?object} The layer, or null if it's not in the tree
+     */
+    getLayer (layerID) {
+        return this._layers.get(layerID) || null;
+    }
+
+    /**
+     * @param {number} index
+     * @return {?object} The layer at the index, or null for group end markers and
+     *  indices out of range
+     */
+    layerAt (index) {
+        return this.getLayer(this._flat[index - this._offset]);
+    }
+
+    /**
+     * Get the layers in the order of the Layers panel, from top to bottom,
+     * with each group followed by its descendants.
+     *
+     * @return {Array.<object>}
+     */
+    toArray () {
+        const result = [],
+            visit = function (layer) {
+                result.push(layer);
+                layer.children.forEach(visit);
+            };
+
+        this.roots.forEach(visit);
+
+        return result;
+    }
+
+    /**
+     * Get the flat IDs of a layer and its descendants, including group end
+     * markers, from bottom to top.
+     *
+     * @private
+     * @param {object} layer
+     * @return {Array.<number>}
+     */
+    _spanOf (layer) {
+        const bottom = this._groupEnds.has(layer.layerID) ?
+            this._flat.indexOf(this._groupEnds.get(layer.layerID)) :
+            layer.index - this._offset;
+
+        return this._flat.slice(bottom, layer.index - this._offset + 1);
+    }
+
+    /**
+     * Compute the index reference to pass as the target of layer.reorder, so
+     * that the given layers end up next to or inside a target layer. As in
+     * Photoshop, the moved layers are first removed, and then inserted such
+     * that the topmost of them ends up at the target index.
+     *
+     * Example:
+     *      const target = tree.reorderTarget([layerID], groupID, placement.INSIDE);
+     *      descriptor.playObject(layer.reorder(layer.referenceBy.id(layerID), target));
+     *
+     * @param {number|Array.<number>} layerIDs Layers to move, with their descendants
+     * @param {number} targetID Layer to move them next to or into
+     * @param {string=} where One of placement, defaults to ABOVE. INSIDE moves the layers
+     *  to the top of a group.
+     * @return {{_ref: string, _index: number}}
+     * @throws {Error} If a layer is unknown, the target is one of the moved layers or
+     *  their descendants, the target of INSIDE isn't a group, or the target of BELOW
+     *  is the background layer
+     */
+    reorderTarget (layerIDs, targetID, where = placement.ABOVE) {
+        const target = this.getLayer(targetID),
+            moved = _.flatten((Array.isArray(layerIDs) ? layerIDs : [layerIDs]).map(function (layerID) {
+                const layer = this.getLayer(layerID);
+
+                if (!layer) {
+                    throw new Error("Unknown layer: " + layerID);
+                }
+
+                return this._spanOf(layer);
+            }, this));
+
+        if (!target) {
+            throw new Error("Unknown layer: " + targetID);
+        } else if (moved.indexOf(targetID) >= 0) {
+            throw new Error("Can't move layers next to themselves or their descendants");
+        } else if (where === placement.INSIDE && !this._groupEnds.has(targetID)) {
+            throw new Error("Can't move layers inside layer " + targetID + ", which isn't a group");
+        } else if (where === placement.BELOW && target.index === 0) {
+            throw new Error("Can't move layers below the background layer");
+        }
+
+        const remaining = _.difference(this._flat, moved),
+            count = _.uniq(moved).length;
+
+        let top;
+
+        switch (where) {
+        case placement.ABOVE:
+            top = remaining.indexOf(targetID) + count;
+            break;
+        case placement.BELOW:
+            top = remaining.indexOf(_.first(this._spanOf(target))) + count - 1;
+            break;
+        case placement.INSIDE:
+            top = remaining.indexOf(targetID) + count - 1;
+            break;
+        default:
+            throw new Error("Unknown placement: " + where);
+        }
+
+        return {
+            _ref: "layer",
+            _index: top + this._offset
+        };
+    }
+}
+
+/**
+ * Construct a LayerTree from the flat list of layer properties.
+ *
+ * @param {Array.<object>} layerProperties
+ * @param {boolean} hasBackground
+ * @return {LayerTree}
+ */
+export function makeLayerTree (layerProperties, hasBackground) {
+    const tree = new LayerTree(layerProperties, hasBackground);
+
+    return tree;
+}
+
+/**
+ * Request the layers of a document and reconstruct its layer tree.
+ *
+ * @param {Descriptor} descriptor
+ * @param {object|string=} documentRef Defaults to the current document
+ * @param {object=} options Options of the requests
+ * @return {Promise.<LayerTree>}
+ */
+export function getLayerTree (descriptor, documentRef = "document", options = {}) {
+    // Unlike the other get methods, getPropertiesRange doesn't resolve class names to the current target
+    const reference = typeof documentRef === "string" ?
+        { _ref: documentRef, _enum: "ordinal", _value: "targetEnum" } : documentRef;
+
+    return descriptor.getProperty(reference, "hasBackgroundLayer", _.clone(options))
+        .then(function (hasBackground) {
+            const rangeOpts = {
+                range: "layer",
+                index: hasBackground ? 0 : 1,
+                count: -1
+            };
+
+            return descriptor.getPropertiesRange(reference, rangeOpts, LAYER_PROPERTIES, _.clone(options))
+                .then(function (layerProperties) {
+                    return makeLayerTree(layerProperties, hasBackground);
+                });
+        });
+}
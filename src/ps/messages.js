@@ -26,6 +26,7 @@
 import Promise from "bluebird";
 
 import NotifierProxy from "../util/notifierproxy";
+import { splitTimeout, withTimeout } from "../util/timeout";
 
 /**
  * The Messages object provides helper methods for sending and receiving direct
@@ -45,9 +46,10 @@ export class Messages extends NotifierProxy {
          * @private
          * @type {function():Promise}
          */
-        this._sendDirectMessageAsync = Promise.promisify(_spaces.ps.descriptor.sendDirectMessage, {
-            context: _spaces.ps.descriptor
-        });
+        this._sendDirectMessageAsync = this._traceCalls("sendDirectMessage",
+            Promise.promisify(_spaces.ps.descriptor.sendDirectMessage, {
+                context: _spaces.ps.descriptor
+            }));
     }
 
     /**
@@ -56,10 +58,15 @@ export class Messages extends NotifierProxy {
      * @param {string} name
      * @param {object} payload
      * @param {object=} options
+     * @param {number=} options.timeout In milliseconds, overrides the default timeout
      * @return {Promise}
      */
     sendDirectMessage (name, payload, options = {}) {
-        return this._sendDirectMessageAsync(name, payload, options);
+        const split = splitTimeout(options);
+
+        return withTimeout(this._sendDirectMessageAsync(name, payload, split.options), split.timeout, {
+            command: name
+        });
     }
 }
 
@@ -0,0 +1,404 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import Promise from "bluebird";
+import _ from "lodash";
+
+import { parse as parseReference } from "../lib/reference";
+import { documentOf, layerIDsOf } from "../lib/photoshopEvent";
+
+/**
+ * Classes of the layer references that are cached, within a document.
+ *
+ * @private
+ * @const
+ * @type {Set.<string>}
+ */
+const _LAYER_CLASSES = new Set(["layer", "contentLayer", "textLayer", "adjustmentLayer"]);
+
+/**
+ * Events that change the layers they target. Other layers of the document
+ * keep their cached properties, except for their bounds, which change with
+ * the bounds of their children.
+ *
+ * @private
+ * @const
+ * @type {Set.<string>}
+ */
+const _LAYER_EVENTS = new Set(["set", "hide", "show", "transform", "select", "applyLocking", "flip", "align"]);
+
+/**
+ * Events that change the structure of the document they target, and so the
+ * properties of any of its layers.
+ *
+ * The list is closed: Photoshop adds a history state for every change it can
+ * undo, so "historyStateChanged" covers the commands not listed here, e.g.
+ * "paste", "placeEvent" or "rasterizeLayer", as well as undo, redo and jumps
+ * in the History panel. The other events only invalidate the cache before the
+ * history state arrives, and changes that add no history state, e.g. of the
+ * selection.
+ *
+ * @private
+ * @const
+ * @type {Set.<string>}
+ */
+const _DOCUMENT_EVENTS = new Set(["make", "delete", "duplicate", "move", "selectNoLayers", "close", "groupEvent",
+    "ungroup", "mergeLayersNew", "mergeVisible", "flattenImage", "canvasSize", "imageSize", "crop", "trim", "revert",
+    "historyStateChanged"]);
+
+/**
+ * Layer properties that depend on other layers.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+const _DEPENDENT_PROPERTIES = ["bounds", "boundsNoEffects", "boundsNoMask"];
+
+/**
+ * Names of the events that invalidate a property cache. A descriptor that
+ * doesn't manage its events must enable them to be used by a cache.
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+export const invalidatingEvents = Array.from(_LAYER_EVENTS).concat(Array.from(_DOCUMENT_EVENTS));
+
+/**
+ * Get the cache key and document ID of a reference, if it is cacheable.
+ * Only references to a document, or to a layer within a document, by ID are
+ * cached: their targets don't change when the selection or the stacking
+ * order does.
+ *
+ * @private
+ * @param {string|object|Array.<object>} reference
+ * @return {?{key: string, documentID: number, layerID: ?number}}
+ */
+const _cacheKeyOf = function (reference) {
+    var entries;
+
+    try {
+        entries = parseReference(reference);
+    } catch (err) {
+        return null;
+    }
+
+    var documentEntry = entries[entries.length - 1],
+        cacheable = documentEntry && documentEntry.class === "document" &&
+            (entries.length === 1 || (entries.length === 2 && _LAYER_CLASSES.has(entries[0].class))) &&
+            entries.every(function (entry) {
+                return entry.form === "id" && typeof entry.value === "number";
+            });
+
+    if (!cacheable) {
+        return null;
+    }
+
+    return {
+        key: entries.map(function (entry) {
+            return entry.class + ":" + entry.value;
+        }).join("/"),
+        documentID: documentEntry.value,
+        layerID: entries.length === 2 ? entries[0].value : null
+    };
+};
+
+/**
+ * The PropertyCache class is a read-through cache of document and layer
+ * properties over Descriptor.prototype.getProperty and multiGetProperties.
+ *
+ * Only references to documents and their layers by ID are cached; other
+ * requests, and requests with options, go straight to the descriptor.
+ *
+ * The cache listens for the invalidatingEvents only. An event that targets
+ * layers by ID, e.g. "set" or "hide", invalidates those layers, the
+ * properties of their document, and the bounds of the other layers of the
+ * document, e.g. of their groups. Other events, including "historyStateChanged"
+ * after any undoable change, invalidate the document they target, by its
+ * documentID or by the reference in their "null" key. If the
+ * document is unknown, e.g. for undo, which selects a history state, the
+ * layers are invalidated in every document, or the whole cache is.
+ */
+export class PropertyCache {
+    /**
+     * @param {Descriptor} descriptor In managed mode, or with the invalidatingEvents enabled
+     */
+    constructor (descriptor) {
+        // Throws if the descriptor doesn't manage its events and one of them is not enabled
+        descriptor.acquireEvents(invalidatingEvents);
+
+        /**
+         * @private
+         * @type {Descriptor}
+         */
+        this._descriptor = descriptor;
+
+        /**
+         * Cached properties by reference key.
+         *
+         * @private
+         * @type {Map.<string, {documentID: number, layerID: ?number, properties: Map.<string, *>}>}
+         */
+        this._entries = new Map();
+
+        /**
+         * Incremented on every invalidation, so that responses to requests
+         * issued before an invalidation are not cached.
+         *
+         * @private
+         * @type {number}
+         */
+        this._generation = 0;
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this._disposed = false;
+
+        /**
+         * Invalidates the cache for a notification from Photoshop.
+         *
+         * @private
+         * @type {function}
+         */
+        this._eventHandler = this._eventHandler.bind(this);
+
+        descriptor.on("all", this._eventHandler);
+    }
+
+    /**
+     * Invalidate the cache for a notification from Photoshop.
+     *
+     * @private
+     * @param {string} eventID
+     * @param {object} payload
+     */
+    _eventHandler (eventID, payload) {
+        if (!_LAYER_EVENTS.has(eventID) && !_DOCUMENT_EVENTS.has(eventID)) {
+            return;
+        }
+
+        const documentID = documentOf(payload),
+            layerIDs = _LAYER_EVENTS.has(eventID) ? layerIDsOf(payload) : [];
+
+        if (layerIDs.length > 0) {
+            this.invalidateLayers(layerIDs, documentID);
+        } else if (documentID === null) {
+            this.clear();
+        } else {
+            this.invalidateDocument(documentID);
+        }
+    }
+
+    /**
+     * Get the cached values of the given properties of a reference.
+     *
+     * @private
+     * @param {string} key
+     * @param {Array.<string>} properties
+     * @return {{values: Object.<string, *>, missing: Array.<string>}}
+     */
+    _lookup (key, properties) {
+        const entry = this._entries.get(key),
+            values = {},
+            missing = [];
+
+        properties.forEach(function (property) {
+            if (entry && entry.properties.has(property)) {
+                values[property] = _.cloneDeep(entry.properties.get(property));
+            } else {
+                missing.push(property);
+            }
+        });
+
+        return { values: values, missing: missing };
+    }
+
+    /**
+     * Cache property values, unless the cache was invalidated since they were
+     * requested.
+     *
+     * @private
+     * @param {{key: string, documentID: number, layerID: ?number}} cacheKey
+     * @param {number} generation Generation at the time of the request
+     * @param {Object.<string, *>} values
+     */
+    _store (cacheKey, generation, values) {
+        if (generation !== this._generation) {
+            return;
+        }
+
+        var entry = this._entries.get(cacheKey.key);
+
+        if (!entry) {
+            entry = {
+                documentID: cacheKey.documentID,
+                layerID: cacheKey.layerID,
+                properties: new Map()
+            };
+            this._entries.set(cacheKey.key, entry);
+        }
+
+        _.forEach(values, function (value, property) {
+            entry.properties.set(property, _.cloneDeep(value));
+        });
+    }
+
+    /**
+     * Retrieves a property of a reference, from the cache if possible.
+     *
+     * @see Descriptor.prototype.getProperty
+     * @param {string|object|Array.<object>} reference
+     * @param {string} property
+     * @param {object=} options Requests with options are not cached
+     * @return {Promise.<*>}
+     */
+    getProperty (reference, property, options) {
+        const cacheKey = _.isEmpty(options) ? _cacheKeyOf(reference) : null;
+
+        if (!cacheKey) {
+            return this._descriptor.getProperty(reference, property, options);
+        }
+
+        const cached = this._lookup(cacheKey.key, [property]);
+
+        if (cached.missing.length === 0) {
+            return Promise.resolve(cached.values[property]);
+        }
+
+        const generation = this._generation;
+
+        return this._descriptor.getProperty(reference, property)
+            .tap(function (value) {
+                this._store(cacheKey, generation, { [property]: value });
+            }.bind(this));
+    }
+
+    /**
+     * Retrieves a list of properties of a reference, requesting only those
+     * that are not cached.
+     *
+     * @see Descriptor.prototype.multiGetProperties
+     * @param {string|object|Array.<object>} reference
+     * @param {Array.<string>} properties
+     * @param {object=} options Requests with options are not cached
+     * @return {Promise.<Object.<string, *>>}
+     */
+    multiGetProperties (reference, properties, options) {
+        const cacheKey = _.isEmpty(options) ? _cacheKeyOf(reference) : null;
+
+        if (!cacheKey) {
+            return this._descriptor.multiGetProperties(reference, properties, options);
+        }
+
+        const cached = this._lookup(cacheKey.key, properties);
+
+        if (cached.missing.length === 0) {
+            return Promise.resolve(cached.values);
+        }
+
+        const generation = this._generation;
+
+        return this._descriptor.multiGetProperties(reference, cached.missing)
+            .then(function (values) {
+                this._store(cacheKey, generation, values);
+
+                return Object.assign(cached.values, values);
+            }.bind(this));
+    }
+
+    /**
+     * Invalidate the cached properties of a document and of its layers.
+     *
+     * @param {number} documentID
+     */
+    invalidateDocument (documentID) {
+        this._generation++;
+
+        this._entries.forEach(function (entry, key) {
+            if (entry.documentID === documentID) {
+                this._entries.delete(key);
+            }
+        }, this);
+    }
+
+    /**
+     * Invalidate the cached properties of layers, the properties of their
+     * document, and the bounds of the other layers of the document.
+     *
+     * @param {Array.<number>} layerIDs
+     * @param {?number=} documentID If null, the layers are invalidated in every document
+     */
+    invalidateLayers (layerIDs, documentID = null) {
+        this._generation++;
+
+        this._entries.forEach(function (entry, key) {
+            if (documentID !== null && entry.documentID !== documentID) {
+                return;
+            }
+
+            if (entry.layerID === null || layerIDs.indexOf(entry.layerID) > -1) {
+                this._entries.delete(key);
+            } else {
+                _DEPENDENT_PROPERTIES.forEach(function (property) {
+                    entry.properties.delete(property);
+                });
+            }
+        }, this);
+    }
+
+    /**
+     * Invalidate all cached properties.
+     */
+    clear () {
+        this._generation++;
+        this._entries.clear();
+    }
+
+    /**
+     * Stop listening to the descriptor, release the invalidating events and drop the cache.
+     */
+    dispose () {
+        if (this._disposed) {
+            return;
+        }
+
+        this._disposed = true;
+        this._descriptor.removeListener("all", this._eventHandler);
+        this._descriptor.releaseEvents(invalidatingEvents);
+        this.clear();
+    }
+}
+
+/**
+ * Construct a PropertyCache over the given descriptor.
+ *
+ * @param {Descriptor} descriptor In managed mode, or with the invalidatingEvents enabled
+ * @return {PropertyCache}
+ */
+export function makePropertyCache (descriptor) {
+    const cache = new PropertyCache(descriptor);
+
+    return cache;
+}
@@ -0,0 +1,369 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import _ from "lodash";
+
+import { validate as validateReference } from "../lib/reference";
+
+/**
+ * Whether commands are validated before they are played. Off by default,
+ * because validation walks every descriptor; turn it on during development.
+ *
+ * @private
+ * @type {boolean}
+ */
+let _enabled = false;
+
+/**
+ * Checks for the value types used in command schemas.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, function(*):boolean>}
+ */
+const _TYPE_CHECKS = {
+    any: function () {
+        return true;
+    },
+    reference: function (value) {
+        // Lists of references, outermost first, are accepted as in Descriptor.prototype.get
+        if (Array.isArray(value)) {
+            return value.length > 0 && value.every(_TYPE_CHECKS.reference);
+        }
+
+        return _.isPlainObject(value) &&
+            (value.hasOwnProperty("_ref") || value.hasOwnProperty("_path") || value.hasOwnProperty("_multiGetRef"));
+    },
+    descriptor: function (value) {
+        return _.isPlainObject(value) && value.hasOwnProperty("_obj");
+    },
+    enum: function (value) {
+        return _.isPlainObject(value) && value.hasOwnProperty("_enum") && !value.hasOwnProperty("_ref");
+    },
+    unit: function (value) {
+        return _.isPlainObject(value) && value.hasOwnProperty("_unit");
+    },
+    class: function (value) {
+        return _.isPlainObject(value) && value.hasOwnProperty("_class");
+    },
+    object: _.isPlainObject,
+    list: Array.isArray,
+    number: _.isNumber,
+    string: _.isString,
+    boolean: _.isBoolean
+};
+
+/**
+ * Schemas for the commands emitted by the lib modules, by command name.
+ * Each schema lists the types of its required and optional keys, with
+ * alternatives separated by "|", and may require at least one of a set of
+ * keys. Keys not listed in a schema are only checked structurally.
+ *
+ * @type {Object.<string, {required: object=, optional: object=, requireAny: Array.<string>=}>}
+ */
+export const schemas = {
+    "get": {
+        required: { "null": "reference" }
+    },
+    "select": {
+        required: { "null": "reference" },
+        optional: { makeVisible: "boolean", selectionModifier: "enum" }
+    },
+    "selectNoLayers": {
+        required: { "null": "reference" }
+    },
+    "set": {
+        // Some settings, e.g. application.setAddCopyToLayerNames, are passed by name instead of "to"
+        required: { "null": "reference" }
+    },
+    "make": {
+        optional: {
+            "null": "reference",
+            "new": "descriptor|class",
+            using: "descriptor|class|reference|enum",
+            from: "reference",
+            // Saving a document, as in document.saveDocument and fileFormat.saveAs
+            as: "descriptor",
+            "in": "reference",
+            to: "descriptor",
+            copy: "boolean",
+            embedProfiles: "boolean"
+        },
+        requireAny: ["null", "new", "as"]
+    },
+    "export": {
+        required: { using: "descriptor" }
+    },
+    "move": {
+        required: { "null": "reference", to: "reference|descriptor" }
+    },
+    "duplicate": {
+        required: { "null": "reference" },
+        optional: { to: "reference", name: "string" }
+    },
+    "delete": {
+        required: { "null": "reference" }
+    },
+    "hide": {
+        required: { "null": "reference" }
+    },
+    "show": {
+        required: { "null": "reference" }
+    },
+    "close": {
+        optional: { documentID: "number", saving: "enum", forceMRU: "boolean" }
+    },
+    "transform": {
+        required: { "null": "reference" },
+        optional: {
+            position: "descriptor",
+            offset: "descriptor",
+            width: "unit",
+            height: "unit",
+            angle: "unit",
+            relative: "boolean",
+            snapToDocBounds: "boolean",
+            freeTransformCenterState: "enum"
+        }
+    },
+    "groupEvent": {
+        required: { "null": "reference" }
+    },
+    "ungroup": {
+        required: { "null": "reference" }
+    },
+    "align": {
+        required: { "null": "reference", using: "enum" }
+    },
+    "flip": {
+        required: { "null": "reference", axis: "enum" }
+    },
+    "applyLocking": {
+        required: { "null": "reference", layerLocking: "descriptor" }
+    },
+    "generatorMessage": {
+        required: { name: "string", json: "string" },
+        optional: { messageID: "number" }
+    },
+    "hitTest": {
+        required: { "null": "reference", x: "number", y: "number" }
+    },
+    "colorSampler": {
+        required: { "null": "reference", samplePoint: "descriptor" }
+    }
+};
+
+/**
+ * Make the error thrown for an invalid command.
+ *
+ * @private
+ * @param {string} command
+ * @param {Array.<string>} path
+ * @param {string} message
+ * @return {Error}
+ */
+const _makeError = function (command, path, message) {
+    const location = path.length > 0 ? path.join(".") : "<descriptor>",
+        error = new Error("Invalid \"" + command + "\" descriptor at " + location + ": " + message);
+
+    error.command = command;
+    error.path = location;
+
+    return error;
+};
+
+/**
+ * Describe a value for an error message.
+ *
+ * @private
+ * @param {*} value
+ * @return {string}
+ */
+const _describe = function (value) {
+    if (typeof value === "function") {
+        return "a function";
+    } else if (typeof value === "number" && !Number.isFinite(value)) {
+        return String(value);
+    }
+
+    const json = JSON.stringify(value);
+
+    return json && json.length > 80 ? json.substr(0, 77) + "..." : String(json);
+};
+
+/**
+ * Check the structure of a value within a descriptor: units, enumerations,
+ * references, classes and objects, recursively.
+ *
+ * @private
+ * @param {string} command
+ * @param {*} value
+ * @param {Array.<string>} path
+ */
+const _checkStructure = function (command, value, path) {
+    if (typeof value === "function" || (typeof value === "number" && !Number.isFinite(value))) {
+        throw _makeError(command, path, "unserializable value " + _describe(value));
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach(function (item, index) {
+            _checkStructure(command, item, path.concat(String(index)));
+        });
+        return;
+    } else if (!value || typeof value !== "object") {
+        return;
+    }
+
+    if (value.hasOwnProperty("_unit")) {
+        if (typeof value._unit !== "string" || !/Unit$/.test(value._unit)) {
+            throw _makeError(command, path.concat("_unit"), "expected a unit name, got " + _describe(value._unit));
+        } else if (!Number.isFinite(value._value)) {
+            throw _makeError(command, path.concat("_value"), "expected a number, got " + _describe(value._value));
+        }
+    } else if (value.hasOwnProperty("_ref") || value.hasOwnProperty("_multiGetRef")) {
+        try {
+            validateReference(value.hasOwnProperty("_multiGetRef") ?
+                { _ref: value._multiGetRef.slice(1) } : value);
+        } catch (err) {
+            throw _makeError(command, path, err.message);
+        }
+    } else if (value.hasOwnProperty("_enum")) {
+        if (typeof value._enum !== "string") {
+            throw _makeError(command, path.concat("_enum"), "expected an enumeration type, got " +
+                _describe(value._enum));
+        } else if (typeof value._value !== "string" && typeof value._value !== "number") {
+            throw _makeError(command, path.concat("_value"), "expected an enumeration value, got " +
+                _describe(value._value));
+        }
+    } else if (value.hasOwnProperty("_obj")) {
+        // The value may be of any type, e.g. in the property values sent by Descriptor.prototype.setProperty
+        if (typeof value._obj !== "string") {
+            throw _makeError(command, path.concat("_obj"), "expected a class name, got " + _describe(value._obj));
+        }
+    } else if (value.hasOwnProperty("_class") && typeof value._class !== "string") {
+        throw _makeError(command, path.concat("_class"), "expected a class name, got " + _describe(value._class));
+    } else if (value.hasOwnProperty("_path") && typeof value._path !== "string") {
+        throw _makeError(command, path.concat("_path"), "expected a path, got " + _describe(value._path));
+    }
+
+    // References were validated as a whole above
+    if (value.hasOwnProperty("_ref") || value.hasOwnProperty("_multiGetRef")) {
+        return;
+    }
+
+    Object.keys(value).forEach(function (key) {
+        _checkStructure(command, value[key], path.concat(key));
+    });
+};
+
+/**
+ * Check that the value of a schema key has one of the given types.
+ *
+ * @private
+ * @param {string} command
+ * @param {object} descriptor
+ * @param {string} key
+ * @param {string} types Alternatives separated by "|"
+ */
+const _checkKey = function (command, descriptor, key, types) {
+    const value = descriptor[key],
+        matches = types.split("|").some(function (type) {
+            return _TYPE_CHECKS[type](value);
+        });
+
+    if (!matches) {
+        throw _makeError(command, [key], "expected " + types.replace(/\|/g, " or ") + ", got " + _describe(value));
+    }
+};
+
+/**
+ * Validate a descriptor to be played with the given command name, throwing
+ * an error that points at the first invalid path.
+ *
+ * @param {string} command
+ * @param {object} descriptor
+ * @throws {Error} With command and path properties
+ */
+export function validateDescriptor (command, descriptor) {
+    if (!_.isPlainObject(descriptor)) {
+        throw _makeError(command, [], "expected an object, got " + _describe(descriptor));
+    }
+
+    const schema = schemas[command];
+
+    if (schema) {
+        _.forEach(schema.required, function (types, key) {
+            if (!descriptor.hasOwnProperty(key)) {
+                throw _makeError(command, [key], "missing required key");
+            }
+
+            _checkKey(command, descriptor, key, types);
+        });
+
+        _.forEach(schema.optional, function (types, key) {
+            if (descriptor.hasOwnProperty(key)) {
+                _checkKey(command, descriptor, key, types);
+            }
+        });
+
+        if (schema.requireAny && !schema.requireAny.some(descriptor.hasOwnProperty, descriptor)) {
+            throw _makeError(command, [], "expected one of the keys " + schema.requireAny.join(", "));
+        }
+    }
+
+    _checkStructure(command, descriptor, []);
+}
+
+/**
+ * Validate a list of batchPlay commands.
+ *
+ * @param {Array.<{name: string, descriptor: object}>} commands
+ * @throws {Error}
+ */
+export function validateCommands (commands) {
+    commands.forEach(function (command) {
+        if (typeof command.name !== "string") {
+            throw new Error("Invalid command name: " + _describe(command.name));
+        }
+
+        validateDescriptor(command.name, command.descriptor);
+    });
+}
+
+/**
+ * Turn validation of played commands on or off.
+ *
+ * @param {boolean} enabled
+ */
+export function setEnabled (enabled) {
+    _enabled = !!enabled;
+}
+
+/**
+ * Whether played commands are validated.
+ *
+ * @return {boolean}
+ */
+export function isEnabled () {
+    return _enabled;
+}
@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import EventEmitter from "events";
+
+import { requestImage, decodeImage, imageFormat } from "../ps";
+
+/**
+ * The Thumbnails class requests images of documents and caches them per
+ * document and history state, e.g. for a document switcher.
+ *
+ * The cached image of a document is dropped when its history state changes
+ * or it is closed, and a "change" event is emitted with the document's ID,
+ * upon which clients can request a fresh thumbnail.
+ */
+export class Thumbnails extends EventEmitter {
+    /**
+     * @param {Descriptor} descriptor Must receive the "historyStateChanged" and "close" events
+     */
+    constructor (descriptor) {
+        super();
+
+        /**
+         * @private
+         * @type {Descriptor}
+         */
+        this._descriptor = descriptor;
+
+        /**
+         * Base64 encoded images by document ID, with the ID of the history
+         * state they were requested in, if known.
+         *
+         * @private
+         * @type {Map.<number, {historyStateID: ?number, image: Promise.<string>}>}
+         */
+        this._images = new Map();
+
+        /**
+         * ID of the latest history state of each document.
+         *
+         * @private
+         * @type {Map.<number, number>}
+         */
+        this._historyStates = new Map();
+
+        /**
+         * @private
+         * @type {function}
+         */
+        this._handleHistoryStateChanged = this._handleHistoryStateChanged.bind(this);
+
+        /**
+         * @private
+         * @type {function}
+         */
+        this._handleClose = this._handleClose.bind(this);
+
+        descriptor.on("historyStateChanged", this._handleHistoryStateChanged);
+        descriptor.on("close", this._handleClose);
+    }
+
+    /**
+     * Drop the image of a document whose history state changed.
+     *
+     * @private
+     * @param {{documentID: number, ID: number}} payload
+     */
+    _handleHistoryStateChanged (payload) {
+        const documentID = payload.documentID;
+
+        this._historyStates.set(documentID, payload.ID);
+        this.invalidate(documentID);
+        this.emit("change", documentID, payload.ID);
+    }
+
+    /**
+     * Forget a closed document.
+     *
+     * @private
+     * @param {{documentID: number=}} payload
+     */
+    _handleClose (payload) {
+        if (typeof payload.documentID === "number") {
+            this._historyStates.delete(payload.documentID);
+            this.invalidate(payload.documentID);
+        } else {
+            this._historyStates.clear();
+            this.invalidate();
+        }
+    }
+
+    /**
+     * Get the image of a document, from the cache if its history state hasn't
+     * changed since it was requested.
+     *
+     * @see ps.requestImage
+     * @param {number=} documentID The document's ID; defaults to the current document
+     * @param {object=} options
+     * @param {string=} options.format One of ps.imageFormat; defaults to a data URL
+     * @return {Promise.<string|Uint8Array|Blob>}
+     */
+    getThumbnail (documentID = -1, options = {}) {
+        if (documentID < 0) {
+            return this._descriptor.getProperty("document", "documentID")
+                .then(function (currentID) {
+                    return this.getThumbnail(currentID, options);
+                }.bind(this));
+        }
+
+        const historyStateID = this._historyStates.has(documentID) ? this._historyStates.get(documentID) : null;
+        let cached = this._images.get(documentID);
+
+        if (!cached || cached.historyStateID !== historyStateID) {
+            cached = {
+                historyStateID: historyStateID,
+                image: requestImage(documentID, { format: imageFormat.BASE64 })
+            };
+
+            this._images.set(documentID, cached);
+
+            cached.image.catch(function () {
+                if (this._images.get(documentID) === cached) {
+                    this._images.delete(documentID);
+                }
+            }.bind(this));
+        }
+
+        return cached.image.then(function (base64) {
+            return decodeImage(base64, options.format || imageFormat.DATA_URL);
+        });
+    }
+
+    /**
+     * Drop the cached image of a document, or of all documents.
+     *
+     * @param {number=} documentID
+     */
+    invalidate (documentID) {
+        if (documentID === undefined) {
+            this._images.clear();
+        } else {
+            this._images.delete(documentID);
+        }
+    }
+
+    /**
+     * Stop listening to the descriptor and drop the cache.
+     */
+    dispose () {
+        this._descriptor.removeListener("historyStateChanged", this._handleHistoryStateChanged);
+        this._descriptor.removeListener("close", this._handleClose);
+        this.invalidate();
+    }
+}
+
+/**
+ * Construct a Thumbnails cache over the given descriptor.
+ *
+ * @param {Descriptor} descriptor
+ * @return {Thumbnails}
+ */
+export function makeThumbnails (descriptor) {
+    const thumbnails = new Thumbnails(descriptor);
+
+    return thumbnails;
+}
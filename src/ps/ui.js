@@ -26,6 +26,8 @@
 import EventEmitter from "events";
 import Promise from "bluebird";
 
+import { gateAsync } from "../capabilities";
+
 /**
  * Promisified version of low-level keyboard focus functions
  */
@@ -365,6 +367,29 @@ export class UI extends EventEmitter {
         });
     }
 
+    /**
+     * Get the bounds of the non-UI portion of the application window.
+     *
+     * @see UI.prototype.setOverlayOffsets
+     * @return {Promise.<{top: number, left: number, right:number, bottom: number}>} Rejects with an
+     *  UnsupportedError if the host doesn't provide the overlay offsets
+     */
+    getOverlayOffsets () {
+        return _ui.getOverlayOffsetsAsync()
+            .get("offset");
+    }
+
+    /**
+     * Get the scale factor of Photoshop's user interface elements. The host
+     * doesn't notify changes of the scale factor; it may change along with
+     * the OS "displayConfigurationChanged" event.
+     *
+     * @return {number}
+     */
+    getScaleFactor () {
+        return _spaces.ps.ui.scaleFactor;
+    }
+
     /**
      * Defines an area that will be erased immediately on given notifications
      * and will be disabled on the given condition
@@ -408,6 +433,8 @@ export class UI extends EventEmitter {
     }
 }
 
+UI.prototype.getOverlayOffsets = gateAsync("overlayOffsets", UI.prototype.getOverlayOffsets);
+
 /**
  * Construct a UI object with the given options.
  *
@@ -33,3 +33,9 @@ export function assert (expression, message) {
     /*eslint no-console:0*/
     console.assert(expression, message);
 }
+
+import Trace from "./util/trace";
+import * as errors from "./util/errors";
+import * as timeout from "./util/timeout";
+
+export { Trace, errors, timeout };
@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/* global _spaces */
+
+import _ from "lodash";
+
+/**
+ * Define an error type. Babel can't subclass Error with class syntax while
+ * preserving instanceof, so error types are defined with prototypes.
+ *
+ * @private
+ * @param {string} name
+ * @param {function=} parent
+ * @return {function(string=, object=)}
+ */
+const _defineError = function (name, parent = Error) {
+    const ErrorType = function (message, details) {
+        this.name = name;
+        this.message = message || "";
+
+        if (typeof Error.captureStackTrace === "function") {
+            Error.captureStackTrace(this, ErrorType);
+        } else {
+            this.stack = new Error(this.message).stack;
+        }
+
+        Object.assign(this, details);
+    };
+
+    ErrorType.prototype = Object.create(parent.prototype, {
+        constructor: {
+            value: ErrorType,
+            writable: true,
+            configurable: true
+        }
+    });
+
+    return ErrorType;
+};
+
+/**
+ * Base type of the errors passed back by the native bridge. Errors have
+ * the following properties, where known:
+ *     - number: the code from _spaces.errorCodes
+ *     - cause: the original error object passed to the bridge callback
+ *     - command, descriptor: the name and descriptor of the failing command
+ *     - index: the index of the failing command within its batch
+ *     - notifierGroup: the notifier group of a failed notification
+ *     - timeout: the timeout in milliseconds of a request that timed out
+ *
+ * @constructor
+ * @param {string=} message
+ * @param {object=} details
+ */
+export const BridgeError = _defineError("BridgeError");
+
+/**
+ * The host doesn't know the native function that was called
+ * (UNKNOWN_FUNCTION_ERROR).
+ */
+export const UnknownFunctionError = _defineError("UnknownFunctionError", BridgeError);
+
+/**
+ * An argument was invalid (ARGUMENT_ERROR), e.g. a missing callback
+ * (MISSING_NOTIFIER) or a value that couldn't be converted (CONVERSION_ERROR).
+ */
+export const InvalidArgumentError = _defineError("InvalidArgumentError", BridgeError);
+
+/**
+ * Photoshop failed to execute a command (SUITEPEA_ERROR).
+ */
+export const CommandFailedError = _defineError("CommandFailedError", BridgeError);
+
+/**
+ * The host rejected the request, e.g. because it is in a modal state
+ * (REQUEST_REJECTED).
+ */
+export const ModalStateError = _defineError("ModalStateError", BridgeError);
+
+/**
+ * The request never ran, because it couldn't be dispatched to the host
+ * (CANT_DISPATCH_MESSAGE_TO_HOST) or because another request was being
+ * dispatched (REENTRANCY_ERROR).
+ */
+export const RequestAbortedError = _defineError("RequestAbortedError", BridgeError);
+
+/**
+ * The host didn't complete the request within its timeout. Its eventual
+ * result is ignored.
+ */
+export const TimeoutError = _defineError("TimeoutError", BridgeError);
+
+/**
+ * A feature isn't supported by the host, e.g. because the Spaces plug-in is
+ * too old or a feature flag isn't set. Not a BridgeError: the request is
+ * refused before it reaches the bridge. Errors have the capability property.
+ *
+ * @see capabilities
+ */
+export const UnsupportedError = _defineError("UnsupportedError");
+
+/**
+ * Error types by the name of their code in _spaces.errorCodes. Codes that
+ * aren't listed map to BridgeError.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, function>}
+ */
+const _ERROR_TYPES = {
+    UNKNOWN_FUNCTION_ERROR: UnknownFunctionError,
+    ARGUMENT_ERROR: InvalidArgumentError,
+    MISSING_NOTIFIER: InvalidArgumentError,
+    CONVERSION_ERROR: InvalidArgumentError,
+    SUITEPEA_ERROR: CommandFailedError,
+    REQUEST_REJECTED: ModalStateError,
+    CANT_DISPATCH_MESSAGE_TO_HOST: RequestAbortedError,
+    REENTRANCY_ERROR: RequestAbortedError
+};
+
+/**
+ * Get the error type for a code from _spaces.errorCodes.
+ *
+ * @param {number} number
+ * @return {function} BridgeError or one of its subtypes
+ */
+export function errorTypeOf (number) {
+    const name = _.findKey(_spaces.errorCodes, function (code) {
+        return code === number;
+    });
+
+    return _ERROR_TYPES[name] || BridgeError;
+}
+
+/**
+ * Convert an error passed to a bridge callback into a BridgeError of the type
+ * that corresponds to its code. Errors that are already BridgeErrors only
+ * receive the given details that they don't have yet.
+ *
+ * @param {*} error
+ * @param {object=} details Additional properties, e.g. command, descriptor and index
+ * @return {BridgeError}
+ */
+export function fromBridgeError (error, details = {}) {
+    if (error instanceof BridgeError) {
+        return _.defaults(error, details);
+    }
+
+    const number = error && typeof error.number === "number" ? error.number : _spaces.errorCodes.UNKNOWN_ERROR,
+        message = error && typeof error === "object" ? error.message : String(error),
+        ErrorType = errorTypeOf(number),
+        bridgeError = new ErrorType(message, Object.assign({
+            number: number,
+            cause: error
+        }, details));
+
+    return bridgeError;
+}
+
+/**
+ * Promisifier for Promise.promisifyAll that rejects with BridgeErrors.
+ *
+ * @param {function} fn
+ * @param {function(function):function} defaultPromisifier
+ * @return {function(...*):Promise}
+ */
+export function promisifier (fn, defaultPromisifier) {
+    const promisified = defaultPromisifier(fn);
+
+    return function (...args) {
+        return promisified.apply(this, args)
+            .catch(function (err) {
+                throw fromBridgeError(err);
+            });
+    };
+}
@@ -0,0 +1,427 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/* global Symbol */
+
+import Promise from "bluebird";
+
+import { targetOf, documentOf } from "../lib/photoshopEvent";
+import { refersTo } from "../lib/reference";
+
+/**
+ * Default maximum number of buffered events.
+ *
+ * @private
+ * @const
+ * @type {number}
+ */
+const _DEFAULT_BUFFER_SIZE = 100;
+
+/**
+ * Get the class of the object targeted by an event, e.g. "layer".
+ *
+ * @private
+ * @param {object} payload
+ * @return {?string}
+ */
+const _targetClassOf = function (payload) {
+    if (!payload || typeof payload !== "object") {
+        return null;
+    }
+
+    const target = targetOf(payload);
+
+    if (target && typeof target !== "string") {
+        try {
+            return refersTo(payload.null);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    return target;
+};
+
+/**
+ * An EventStream delivers the events of a NotifierProxy that pass its
+ * filters, to subscribers or to an async iterator:
+ *
+ *      const stream = descriptor.events({ event: ["select", "historyStateChanged"], debounce: 50 });
+ *
+ *      stream.subscribe(function (event) { ... });
+ *      // or
+ *      for await (const event of stream) { ... }
+ *
+ * Events are objects with the event ID and the payload. Bursts of events can
+ * be reduced with the debounce option, which delivers the last event of a
+ * burst once no event arrived for the given time, or the throttle option,
+ * which delivers at most one event per period, the first immediately and the
+ * last at the end of the period.
+ *
+ * Events are buffered while the stream is paused, and while an iterator
+ * doesn't keep up. At most bufferSize events are buffered; older events are
+ * dropped, and counted in the dropped property.
+ */
+export default class EventStream {
+    /**
+     * @param {NotifierProxy} proxy
+     * @param {object=} options
+     * @param {string|Array.<string>=} options.event IDs of the events to deliver; all by default
+     * @param {string=} options.target Class of the targets of the events to deliver, e.g. "layer"
+     * @param {number=} options.document ID of the document targeted by the events to deliver
+     * @param {function(object, string):boolean=} options.filter Receives the payload and the event ID
+     * @param {number=} options.debounce In milliseconds
+     * @param {number=} options.throttle In milliseconds
+     * @param {number=} options.bufferSize Maximum number of buffered events
+     */
+    constructor (proxy, options = {}) {
+        if (options.debounce && options.throttle) {
+            throw new Error("An event stream can't both debounce and throttle events");
+        }
+
+        /**
+         * @private
+         * @type {NotifierProxy}
+         */
+        this._proxy = proxy;
+
+        /**
+         * @private
+         * @type {?Set.<string>}
+         */
+        this._events = options.event ?
+            new Set(Array.isArray(options.event) ? options.event : [options.event]) : null;
+
+        /**
+         * @private
+         * @type {object}
+         */
+        this._options = options;
+
+        /**
+         * @private
+         * @type {number}
+         */
+        this._bufferSize = options.hasOwnProperty("bufferSize") ? options.bufferSize : _DEFAULT_BUFFER_SIZE;
+
+        /**
+         * Buffered events, oldest first.
+         *
+         * @private
+         * @type {Array.<{event: string, payload: object}>}
+         */
+        this._buffer = [];
+
+        /**
+         * Resolvers of the pending next calls of the iterator.
+         *
+         * @private
+         * @type {Array.<function({value: *, done: boolean})>}
+         */
+        this._readers = [];
+
+        /**
+         * @private
+         * @type {Set.<function({event: string, payload: object})>}
+         */
+        this._subscribers = new Set();
+
+        /**
+         * Whether the stream is read by an iterator.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this._iterated = false;
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this._paused = false;
+
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this._closed = false;
+
+        /**
+         * The event held back by debouncing or throttling, if any.
+         *
+         * @private
+         * @type {?{event: string, payload: object}}
+         */
+        this._pending = null;
+
+        /**
+         * Timer of the current debounce or throttle period.
+         *
+         * @private
+         * @type {?number}
+         */
+        this._timer = null;
+
+        /**
+         * Number of events dropped because the buffer was full.
+         *
+         * @type {number}
+         */
+        this.dropped = 0;
+
+        /**
+         * @private
+         * @type {function(string, object)}
+         */
+        this._handleEvent = this._handleEvent.bind(this);
+
+        proxy.on("all", this._handleEvent);
+
+        if (this._events) {
+            proxy.acquireEvents(Array.from(this._events));
+        }
+    }
+
+    /**
+     * Whether an event passes the filters of the stream.
+     *
+     * @private
+     * @param {string} event
+     * @param {object} payload
+     * @return {boolean}
+     */
+    _accepts (event, payload) {
+        const options = this._options;
+
+        if (this._events && !this._events.has(event)) {
+            return false;
+        } else if (options.target && _targetClassOf(payload) !== options.target) {
+            return false;
+        } else if (options.hasOwnProperty("document") && documentOf(payload) !== options.document) {
+            return false;
+        } else if (options.filter && !options.filter(payload, event)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Handle an event of the proxy.
+     *
+     * @private
+     * @param {string} event
+     * @param {object} payload
+     */
+    _handleEvent (event, payload) {
+        if (event === undefined || !this._accepts(event, payload)) {
+            return;
+        }
+
+        const item = {
+            event: event,
+            payload: payload
+        };
+
+        if (this._options.debounce) {
+            this._pending = item;
+            clearTimeout(this._timer);
+            this._timer = setTimeout(this._flushPending.bind(this), this._options.debounce);
+        } else if (this._options.throttle) {
+            if (this._timer === null) {
+                this._deliver(item);
+                this._timer = setTimeout(this._endThrottle.bind(this), this._options.throttle);
+            } else {
+                this._pending = item;
+            }
+        } else {
+            this._deliver(item);
+        }
+    }
+
+    /**
+     * Deliver the event held back by debouncing.
+     *
+     * @private
+     */
+    _flushPending () {
+        const item = this._pending;
+
+        this._pending = null;
+        this._timer = null;
+
+        if (item) {
+            this._deliver(item);
+        }
+    }
+
+    /**
+     * End a throttle period, delivering the last event received during it,
+     * which starts a new period.
+     *
+     * @private
+     */
+    _endThrottle () {
+        const item = this._pending;
+
+        this._pending = null;
+        this._timer = null;
+
+        if (item) {
+            this._deliver(item);
+            this._timer = setTimeout(this._endThrottle.bind(this), this._options.throttle);
+        }
+    }
+
+    /**
+     * Deliver an event to a waiting reader or to the subscribers, or buffer it.
+     *
+     * @private
+     * @param {{event: string, payload: object}} item
+     */
+    _deliver (item) {
+        if (this._closed) {
+            return;
+        } else if (this._paused || (this._iterated && this._readers.length === 0)) {
+            this._bufferEvent(item);
+        } else if (this._readers.length > 0) {
+            this._readers.shift()({ value: item, done: false });
+        } else {
+            this._subscribers.forEach(function (subscriber) {
+                subscriber(item);
+            });
+        }
+    }
+
+    /**
+     * Buffer an event, dropping the oldest one if the buffer is full.
+     *
+     * @private
+     * @param {{event: string, payload: object}} item
+     */
+    _bufferEvent (item) {
+        this._buffer.push(item);
+
+        if (this._buffer.length > this._bufferSize) {
+            this._buffer.shift();
+            this.dropped++;
+        }
+    }
+
+    /**
+     * Listen for the events of the stream.
+     *
+     * @param {function({event: string, payload: object})} subscriber
+     * @return {function()} Removes the subscriber
+     */
+    subscribe (subscriber) {
+        this._subscribers.add(subscriber);
+
+        return function () {
+            this._subscribers.delete(subscriber);
+        }.bind(this);
+    }
+
+    /**
+     * Buffer the events of the stream until it is resumed.
+     */
+    pause () {
+        this._paused = true;
+    }
+
+    /**
+     * Deliver the buffered events, and the following events as they arrive.
+     */
+    resume () {
+        this._paused = false;
+
+        while (this._buffer.length > 0 && !this._paused &&
+            (!this._iterated || this._readers.length > 0)) {
+            this._deliver(this._buffer.shift());
+        }
+    }
+
+    /**
+     * Get the next event of the stream, as an async iterator.
+     *
+     * @return {Promise.<{value: ?{event: string, payload: object}, done: boolean}>}
+     */
+    next () {
+        this._iterated = true;
+
+        if (this._buffer.length > 0 && !this._paused) {
+            return Promise.resolve({ value: this._buffer.shift(), done: false });
+        } else if (this._closed) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise(function (resolve) {
+            this._readers.push(resolve);
+        }.bind(this));
+    }
+
+    /**
+     * Close the stream when an iterator is left early.
+     *
+     * @return {Promise.<{value: undefined, done: boolean}>}
+     */
+    return () {
+        this.close();
+
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Stop listening to the proxy. Pending reads of an iterator end, and
+     * buffered events are discarded.
+     */
+    close () {
+        if (this._closed) {
+            return;
+        }
+
+        this._closed = true;
+        this._proxy.removeListener("all", this._handleEvent);
+        if (this._events) {
+            this._proxy.releaseEvents(Array.from(this._events));
+        }
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._pending = null;
+        this._buffer = [];
+        this._subscribers.clear();
+
+        const readers = this._readers;
+
+        this._readers = [];
+        readers.forEach(function (resolve) {
+            resolve({ value: undefined, done: true });
+        });
+    }
+}
+
+if (typeof Symbol === "function" && Symbol.asyncIterator) {
+    EventStream.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
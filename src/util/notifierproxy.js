@@ -24,6 +24,30 @@
 /* global _spaces */
 
 import EventEmitter from "events";
+import Promise from "bluebird";
+
+import { fromBridgeError } from "./errors";
+import EventStream from "./eventStream";
+
+/**
+ * Get the name of an event in a list of events to register.
+ *
+ * @private
+ * @param {string|{event: string, universal: boolean}} event
+ * @return {string}
+ */
+const _eventName = function (event) {
+    return typeof event === "object" ? event.event : event;
+};
+
+/**
+ * Events of the proxy itself, which are never registered with the native notifier.
+ *
+ * @private
+ * @const
+ * @type {Set.<string>}
+ */
+const _OWN_EVENTS = new Set(["all", "error", "newListener", "removeListener"]);
 
 /**
  * The NotifierProxy class facilitates Photoshop notifier registration and
@@ -34,12 +58,23 @@ export default class NotifierProxy extends EventEmitter {
      * @param {string} notifierGroup
      * @param {object=} options
      * @param {Array.<string|{event: string, universal: boolean}>=} options.events
+     * @param {boolean=} options.manageEvents If true, the registered events are the given events
+     *  plus the events that listeners are added for, @see NotifierProxy.prototype.acquireEvents
      */
     constructor (notifierGroup, options) {
         super();
 
+        // Copied, since the events are changed in managed mode
+        options = Object.assign({}, options);
+
+        const manageEvents = !!options.manageEvents;
+        delete options.manageEvents;
+
         let enabledEvents = null;
-        if (!options.hasOwnProperty("events")) {
+        if (manageEvents) {
+            options.events = options.events || [];
+            enabledEvents = new Set(options.events.map(_eventName));
+        } else if (!options.hasOwnProperty("events")) {
             // eslint-disable-next-line no-console
             console.warn("Listening for all events is a potential performance problem.");
         } else if (options.events && options.events.length > 0) {
@@ -58,6 +93,39 @@ export default class NotifierProxy extends EventEmitter {
 
         this._notifierGroup = notifierGroup;
 
+        /**
+         * Whether the registered events are managed, @see NotifierProxy.prototype.acquireEvents.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this._manageEvents = manageEvents;
+
+        /**
+         * In managed mode, the events that are always registered.
+         *
+         * @private
+         * @type {Array.<string|{event: string, universal: boolean}>}
+         */
+        this._baseEvents = manageEvents ? options.events : [];
+
+        /**
+         * In managed mode, the number of listeners and other interests in each
+         * event, and the registration of the event.
+         *
+         * @private
+         * @type {Map.<string, {count: number, event: string|{event: string, universal: boolean}}>}
+         */
+        this._eventInterests = new Map();
+
+        /**
+         * Whether the registered events are to be updated at the end of the tick.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this._eventsUpdateScheduled = false;
+
         /**
          * Whether or not the notifier is currently active.
          *
@@ -89,6 +157,22 @@ export default class NotifierProxy extends EventEmitter {
          * @type {?Set.<string>}
          */
         this._enabledEvents = enabledEvents;
+
+        /**
+         * Trace to which bridge traffic is recorded, or from which it is replayed.
+         *
+         * @private
+         * @type {?Trace}
+         */
+        this._trace = null;
+
+        /**
+         * Handles events replayed from the trace.
+         *
+         * @private
+         * @type {function}
+         */
+        this._replayEventHandler = this._replayEventHandler.bind(this);
     }
 
     /**
@@ -100,8 +184,50 @@ export default class NotifierProxy extends EventEmitter {
      * @param {Object} payload serialized ActionDescriptor for the event, dependent on event type
      */
     _eventHandler (err, eventID, payload) {
+        const trace = this._trace;
+
+        if (trace && trace.isReplaying) {
+            // Only replayed events are emitted while replaying
+            return;
+        } else if (trace && trace.isRecording) {
+            trace._recordEvent(this._notifierGroup, err, eventID, payload);
+        }
+
+        this._emitNotification(err, eventID, payload);
+    }
+
+    /**
+     * Event handler for events replayed from the trace.
+     *
+     * @private
+     * @param {string} notifierGroup
+     * @param {*=} err
+     * @param {string} eventID
+     * @param {object} payload
+     */
+    _replayEventHandler (notifierGroup, err, eventID, payload) {
+        if (notifierGroup !== this._notifierGroup || this._paused) {
+            return;
+        }
+
+        if (this._enabledEvents && !this._enabledEvents.has(eventID)) {
+            return;
+        }
+
+        this._emitNotification(err, eventID, payload);
+    }
+
+    /**
+     * Emit a notification from Photoshop as events.
+     *
+     * @private
+     * @param {*=} err
+     * @param {string} eventID
+     * @param {object} payload
+     */
+    _emitNotification (err, eventID, payload) {
         if (err) {
-            this.emit("error", "Failed to handle event: " + err);
+            this.emit("error", fromBridgeError(err, { notifierGroup: this._notifierGroup }));
             return;
         }
 
@@ -109,9 +235,233 @@ export default class NotifierProxy extends EventEmitter {
         this.emit(eventID, payload);
     }
 
+    /**
+     * Wrap a promisified bridge function so that its calls are recorded to, or
+     * replayed from, the trace set on this proxy.
+     *
+     * @protected
+     * @param {string} name Name under which calls are recorded
+     * @param {function(...*):Promise} fn
+     * @return {function(...*):Promise}
+     */
+    _traceCalls (name, fn) {
+        return function (...args) {
+            const trace = this._trace;
+
+            if (!trace || !(trace.isRecording || trace.isReplaying)) {
+                return fn(...args);
+            } else if (trace.isReplaying) {
+                return trace._replayCall(this._notifierGroup, name, args);
+            }
+
+            const entry = trace._beginCall(this._notifierGroup, name, args);
+
+            return fn(...args)
+                .tap(function (response) {
+                    trace._endCall(entry, null, response);
+                })
+                .tapCatch(function (err) {
+                    trace._endCall(entry, err);
+                });
+        }.bind(this);
+    }
+
+    /**
+     * Set the trace to which this proxy records its calls and events while
+     * the trace is recording, and from which it replays them while the trace
+     * is replaying.
+     *
+     * @param {?Trace} trace Null to remove the current trace
+     */
+    setTrace (trace) {
+        if (this._trace) {
+            this._trace.removeListener("event", this._replayEventHandler);
+        }
+
+        this._trace = trace;
+
+        if (trace) {
+            trace.on("event", this._replayEventHandler);
+        }
+    }
+
+    /**
+     * Get a stream of the events of this proxy that pass the given filters.
+     * The events to stream must be enabled, or in managed mode, they are
+     * registered while the stream is open.
+     *
+     * @see EventStream
+     * @param {object=} options Filters and operators of the stream
+     * @return {EventStream}
+     */
+    events (options = {}) {
+        const events = Array.isArray(options.event) ? options.event : (options.event ? [options.event] : []);
+
+        events.forEach(function (event) {
+            if (!this._manageEvents && this._enabledEvents && !this._enabledEvents.has(event)) {
+                throw new Error(`Event ${event} is not enabled in this Descriptor instance.`);
+            }
+        }, this);
+
+        const stream = new EventStream(this, options);
+
+        return stream;
+    }
+
+    /**
+     * Register interest in events. In managed mode, events are registered
+     * with the native notifier while there is interest in them, e.g. by a
+     * listener, and unregistered when the last interest is released. Changes
+     * are applied together at the end of the current tick. Otherwise, this
+     * only verifies that the events are enabled, lest the caller wait for an
+     * event that shall never come.
+     *
+     * @param {Array.<string|{event: string, universal: boolean}>} events
+     * @throws {Error} If not in managed mode and one of the events is not enabled
+     */
+    acquireEvents (events) {
+        if (!this._manageEvents) {
+            events.forEach(function (event) {
+                const name = _eventName(event);
+
+                if (this._enabledEvents && !this._enabledEvents.has(name)) {
+                    throw new Error(`Event ${name} is not enabled in this Descriptor instance.`);
+                }
+            }, this);
+            return;
+        }
+
+        events.forEach(function (event) {
+            const name = _eventName(event),
+                interest = this._eventInterests.get(name);
+
+            if (interest) {
+                interest.count++;
+            } else {
+                this._eventInterests.set(name, {
+                    count: 1,
+                    event: event
+                });
+                this._scheduleEventsUpdate();
+            }
+        }, this);
+    }
+
+    /**
+     * Release interest in events registered with acquireEvents.
+     *
+     * @param {Array.<string|{event: string, universal: boolean}>} events
+     */
+    releaseEvents (events) {
+        if (!this._manageEvents) {
+            return;
+        }
+
+        events.forEach(function (event) {
+            const name = _eventName(event),
+                interest = this._eventInterests.get(name);
+
+            if (!interest) {
+                return;
+            }
+
+            interest.count--;
+
+            if (interest.count === 0) {
+                this._eventInterests.delete(name);
+                this._scheduleEventsUpdate();
+            }
+        }, this);
+    }
+
+    /**
+     * Update the registered events at the end of the current tick.
+     *
+     * @private
+     */
+    _scheduleEventsUpdate () {
+        if (this._eventsUpdateScheduled) {
+            return;
+        }
+
+        this._eventsUpdateScheduled = true;
+
+        Promise.resolve().bind(this).then(this._updateEvents);
+    }
+
+    /**
+     * Register the base events and the events of interest with the native
+     * notifier, if they changed.
+     *
+     * @private
+     */
+    _updateEvents () {
+        this._eventsUpdateScheduled = false;
+
+        const events = this._baseEvents.slice(),
+            enabledEvents = new Set(this._baseEvents.map(_eventName));
+
+        this._eventInterests.forEach(function (interest, name) {
+            if (!enabledEvents.has(name)) {
+                enabledEvents.add(name);
+                events.push(interest.event);
+            }
+        });
+
+        const previous = this._enabledEvents;
+
+        if (previous.size === enabledEvents.size && Array.from(previous).every(enabledEvents.has, enabledEvents)) {
+            return;
+        }
+
+        const wasRegistered = this._options.events.length > 0;
+
+        this._options.events = events;
+        this._enabledEvents = enabledEvents;
+
+        if (this._paused) {
+            return;
+        }
+
+        if (events.length > 0) {
+            _spaces.setNotifier(this._notifierGroup, this._options, this._eventHandler);
+        } else if (wasRegistered) {
+            _spaces.setNotifier(this._notifierGroup, this._options, undefined);
+        }
+    }
+
+    /**
+     * Add a listener with the given method of EventEmitter, after verifying
+     * that it is being added for an enabled event, lest the client wait for an
+     * event that shall never come. In managed mode, the event is registered
+     * instead.
+     *
+     * @private
+     * @param {function} add EventEmitter.prototype.addListener or prependListener
+     * @param {string|RegExp} event
+     * @param {Array.<*>} rest
+     * @return {*}
+     */
+    _addListenerWith (add, event, rest) {
+        const isNotification = typeof event === "string" && !_OWN_EVENTS.has(event);
+
+        if (isNotification && !this._manageEvents &&
+            this._enabledEvents && !this._enabledEvents.has(event)) {
+            throw new Error(`Event ${event} is not enabled in this Descriptor instance.`);
+        }
+
+        const result = add.apply(this, [event].concat(rest));
+
+        if (isNotification) {
+            this.acquireEvents([event]);
+        }
+
+        return result;
+    }
+
     /**
      * Overrides the method to verify that the listener is being added for an
-     * enabled event, lest the client wait for an event that shall never come.
+     * enabled event, or to register the event in managed mode.
      *
      * Related methods on, once and addOnceListener are implemented with this
      * method.
@@ -121,12 +471,75 @@ export default class NotifierProxy extends EventEmitter {
      * @return {*}
      */
     addListener (event, ...rest) {
-        if (typeof event === "string" && event !== "all" &&
-            this._enabledEvents && !this._enabledEvents.has(event)) {
-            throw new Error(`Event ${event} is not enabled in this Descriptor instance.`);
+        return this._addListenerWith(super.addListener, event, rest);
+    }
+
+    /**
+     * Overrides the method like addListener. prependOnceListener is
+     * implemented with this method.
+     *
+     * @see NotifierProxy.prototype.addListener
+     * @param {string|RegExp} event
+     * @param {*} rest
+     * @return {*}
+     */
+    prependListener (event, ...rest) {
+        return this._addListenerWith(super.prependListener, event, rest);
+    }
+
+    /**
+     * @see NotifierProxy.prototype.addListener
+     * @param {string} event
+     * @param {function} listener
+     * @return {NotifierProxy}
+     */
+    on (event, listener) {
+        return this.addListener(event, listener);
+    }
+
+    /**
+     * Overrides the method to release the listener's interest in the event
+     * in managed mode.
+     *
+     * @param {string} event
+     * @param {function} listener
+     * @return {NotifierProxy}
+     */
+    removeListener (event, listener) {
+        const count = this.listenerCount(event),
+            result = super.removeListener(event, listener);
+
+        if (!_OWN_EVENTS.has(event) && this.listenerCount(event) < count) {
+            this.releaseEvents([event]);
         }
 
-        return super.addListener(event, ...rest);
+        return result;
+    }
+
+    /**
+     * Overrides the method to release the listeners' interest in the events
+     * in managed mode.
+     *
+     * @param {string=} event All events by default
+     * @return {NotifierProxy}
+     */
+    removeAllListeners (event) {
+        const names = event === undefined ? Array.from(this._eventInterests.keys()) : [event],
+            releases = [];
+
+        names.forEach(function (name) {
+            if (!_OWN_EVENTS.has(name)) {
+                for (let i = this.listenerCount(name); i > 0; i--) {
+                    releases.push(name);
+                }
+            }
+        }, this);
+
+        const result = event === undefined ? super.removeAllListeners() : super.removeAllListeners(event);
+
+        this.releaseEvents(releases);
+
+        return result;
     }
 
     /**
@@ -219,11 +632,18 @@ export default class NotifierProxy extends EventEmitter {
     /**
      * Re-sets the events this notifier proxy registered for
      * If no events are provided, will set it to listen to all events coming
-     * from Photoshop on the registered channel
+     * from Photoshop on the registered channel. In managed mode, sets the
+     * events that are registered regardless of listeners instead.
      *
      * @param {Array.<string|{event: string, universal: boolean}>=} events
      */
     setHandledEvents (events=undefined) {
+        if (this._manageEvents) {
+            this._baseEvents = events || [];
+            this._scheduleEventsUpdate();
+            return;
+        }
+
         let enabledEvents = null;
 
         if (!events) {
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import Promise from "bluebird";
+import _ from "lodash";
+
+import { TimeoutError, promisifier as bridgePromisifier } from "./errors";
+
+/**
+ * Timeout in milliseconds of bridge calls without a timeout option, or 0 if
+ * they never time out.
+ *
+ * @private
+ * @type {number}
+ */
+let _defaultTimeout = 0;
+
+/**
+ * Set the timeout of bridge calls that don't specify one.
+ *
+ * @param {number} timeout In milliseconds; 0 to wait indefinitely
+ */
+export function setDefaultTimeout (timeout) {
+    if (typeof timeout !== "number" || !(timeout >= 0)) {
+        throw new Error("Invalid timeout: " + timeout);
+    }
+
+    _defaultTimeout = timeout;
+}
+
+/**
+ * Get the timeout of bridge calls that don't specify one.
+ *
+ * @return {number} In milliseconds; 0 if calls wait indefinitely
+ */
+export function getDefaultTimeout () {
+    return _defaultTimeout;
+}
+
+/**
+ * Split the timeout option from the options of a bridge call, which must not
+ * be passed on to Photoshop.
+ *
+ * @param {object=} options
+ * @return {{timeout: number, options: object=}} The timeout of the call, defaulting to
+ *  the global timeout, and a copy of the options without it
+ */
+export function splitTimeout (options) {
+    if (!options || !options.hasOwnProperty("timeout")) {
+        return {
+            timeout: _defaultTimeout,
+            options: options
+        };
+    }
+
+    return {
+        timeout: options.timeout || 0,
+        options: _.omit(options, "timeout")
+    };
+}
+
+/**
+ * Reject with a TimeoutError if a bridge call doesn't complete in time, after
+ * which its late result is ignored. Timeouts don't require Bluebird
+ * cancellation; if the application enabled it, the call's promise is also
+ * cancelled on timeout, which runs its onCancel handlers.
+ *
+ * @param {Promise} promise Promise of the bridge call
+ * @param {number} timeout In milliseconds; 0 to wait indefinitely
+ * @param {object=} details Additional properties of the error, e.g. command and descriptor
+ * @return {Promise}
+ */
+export function withTimeout (promise, timeout, details) {
+    if (!timeout) {
+        return promise;
+    }
+
+    return promise
+        .timeout(timeout)
+        .catch(Promise.TimeoutError, function () {
+            throw new TimeoutError("Bridge call timed out after " + timeout + "ms",
+                Object.assign({ timeout: timeout }, details));
+        });
+}
+
+/**
+ * Promisifier for Promise.promisifyAll that rejects with BridgeErrors and
+ * applies timeouts. The timeout of a call is read from the timeout option of
+ * its last argument, if that is an options object.
+ *
+ * @param {function} fn
+ * @param {function(function):function} defaultPromisifier
+ * @return {function(...*):Promise}
+ */
+export function promisifier (fn, defaultPromisifier) {
+    const promisified = bridgePromisifier(fn, defaultPromisifier);
+
+    return function (...args) {
+        const last = args.length - 1,
+            split = splitTimeout(_.isPlainObject(args[last]) ? args[last] : undefined);
+
+        if (split.options !== undefined) {
+            args[last] = split.options;
+        }
+
+        return withTimeout(promisified.apply(this, args), split.timeout);
+    };
+}
@@ -0,0 +1,343 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import EventEmitter from "events";
+import Promise from "bluebird";
+import _ from "lodash";
+
+/**
+ * Version of the JSON trace format.
+ *
+ * @private
+ * @const
+ * @type {number}
+ */
+const _TRACE_VERSION = 1;
+
+/**
+ * Copy a value as it would be serialized, so that later mutations by the
+ * caller don't leak into the trace.
+ *
+ * @private
+ * @param {*} value
+ * @return {*}
+ */
+const _clone = function (value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Serialize an error passed to a bridge callback. Bridge errors are plain
+ * objects, but the promisified functions may also reject with Errors.
+ *
+ * @private
+ * @param {*} error
+ * @return {object}
+ */
+const _serializeError = function (error) {
+    if (error instanceof Error) {
+        return Object.assign(_clone(error), {
+            isError: true,
+            name: error.name,
+            message: error.message
+        });
+    }
+
+    return { value: _clone(error) };
+};
+
+/**
+ * Reconstruct an error serialized with _serializeError.
+ *
+ * @private
+ * @param {object} serialized
+ * @return {*}
+ */
+const _deserializeError = function (serialized) {
+    if (!serialized.isError) {
+        return _clone(serialized.value);
+    }
+
+    const error = new Error(serialized.message);
+
+    return Object.assign(error, _.omit(serialized, ["isError", "message"]));
+};
+
+/**
+ * The Trace class records the traffic between NotifierProxy instances (e.g.,
+ * Descriptor and Messages) and the native bridge, and replays it later
+ * without Photoshop.
+ *
+ * A trace is an ordered list of entries. Call entries hold the name and
+ * arguments of a bridge function (batchPlay, get or sendDirectMessage) with
+ * its response or error; event entries hold a notifier event.
+ *
+ * In replay mode, each call is answered with the response of the first
+ * not-yet-replayed call entry with the same notifier group, name and
+ * arguments, and the events recorded before that entry are emitted first.
+ * Events are recorded by every proxy the trace is set on, so set it on only
+ * one proxy per notifier group while recording.
+ */
+export default class Trace extends EventEmitter {
+    /**
+     * @param {Array.<object>=} entries Entries of a previously recorded trace
+     */
+    constructor (entries = []) {
+        super();
+
+        /**
+         * Recorded entries, in chronological order.
+         *
+         * @type {Array.<object>}
+         */
+        this.entries = entries;
+
+        /**
+         * Either "record", "replay", or null if the trace is inactive.
+         *
+         * @private
+         * @type {?string}
+         */
+        this._mode = null;
+
+        /**
+         * Indices of the entries that have been replayed.
+         *
+         * @private
+         * @type {Set.<number>}
+         */
+        this._replayed = new Set();
+    }
+
+    /**
+     * Reconstruct a trace from its JSON representation.
+     *
+     * @param {string|object} json
+     * @return {Trace}
+     */
+    static fromJSON (json) {
+        const trace = typeof json === "string" ? JSON.parse(json) : json;
+
+        if (trace.version !== _TRACE_VERSION) {
+            throw new Error("Unsupported trace version: " + trace.version);
+        }
+
+        return new Trace(trace.entries);
+    }
+
+    /**
+     * @return {{version: number, entries: Array.<object>}}
+     */
+    toJSON () {
+        return {
+            version: _TRACE_VERSION,
+            entries: this.entries
+        };
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get isRecording () {
+        return this._mode === "record";
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get isReplaying () {
+        return this._mode === "replay";
+    }
+
+    /**
+     * Start recording, discarding any previously recorded entries.
+     */
+    record () {
+        this.entries = [];
+        this._mode = "record";
+    }
+
+    /**
+     * Start replaying from the beginning of the trace.
+     */
+    replay () {
+        this._replayed.clear();
+        this._mode = "replay";
+    }
+
+    /**
+     * Stop recording or replaying.
+     */
+    stop () {
+        this._mode = null;
+    }
+
+    /**
+     * Emit the events that precede the next unreplayed call, e.g., to deliver
+     * the events recorded at the end of a session.
+     */
+    flushEvents () {
+        this._emitEvents(this._nextCallIndex());
+    }
+
+    /**
+     * Record the start of a call into the bridge.
+     *
+     * @private
+     * @param {string} group Notifier group of the calling proxy
+     * @param {string} name
+     * @param {Array.<*>} args
+     * @return {object} The entry, to be completed with _endCall
+     */
+    _beginCall (group, name, args) {
+        const entry = {
+            type: "call",
+            group: group,
+            name: name,
+            args: _clone(args)
+        };
+
+        this.entries.push(entry);
+
+        return entry;
+    }
+
+    /**
+     * Record the completion of a call into the bridge.
+     *
+     * @private
+     * @param {object} entry
+     * @param {*} error
+     * @param {*=} response
+     */
+    _endCall (entry, error, response) {
+        if (error) {
+            entry.error = _serializeError(error);
+        } else {
+            entry.response = _clone(response);
+        }
+    }
+
+    /**
+     * Record a notifier event.
+     *
+     * @private
+     * @param {string} group
+     * @param {*} error
+     * @param {string} eventID
+     * @param {object} payload
+     */
+    _recordEvent (group, error, eventID, payload) {
+        const entry = {
+            type: "event",
+            group: group,
+            eventID: eventID,
+            payload: _clone(payload)
+        };
+
+        if (error) {
+            entry.error = _serializeError(error);
+        }
+
+        this.entries.push(entry);
+    }
+
+    /**
+     * Answer a call into the bridge from the trace.
+     *
+     * @private
+     * @param {string} group
+     * @param {string} name
+     * @param {Array.<*>} args
+     * @return {Promise.<*>}
+     */
+    _replayCall (group, name, args) {
+        const request = _clone(args),
+            index = _.findIndex(this.entries, function (entry, index) {
+                return entry.type === "call" && !this._replayed.has(index) &&
+                    entry.group === group && entry.name === name && _.isEqual(entry.args, request);
+            }.bind(this));
+
+        if (index < 0) {
+            return Promise.reject(new Error("No recorded response for " + name + ": " + JSON.stringify(request)));
+        }
+
+        const entry = this.entries[index];
+
+        this._replayed.add(index);
+
+        return Promise.bind(this)
+            .then(function () {
+                this._emitEvents(index);
+
+                if (entry.error) {
+                    throw _deserializeError(entry.error);
+                } else if (!entry.hasOwnProperty("response")) {
+                    throw new Error("Recorded call to " + name + " never completed");
+                }
+
+                return _clone(entry.response);
+            })
+            .finally(function () {
+                // Deliver the events that followed the response once the caller has handled it
+                setTimeout(function () {
+                    if (this.isReplaying) {
+                        this.flushEvents();
+                    }
+                }.bind(this), 0);
+            })
+            .bind();
+    }
+
+    /**
+     * Get the index of the first unreplayed call entry.
+     *
+     * @private
+     * @return {number} The number of entries if there are none
+     */
+    _nextCallIndex () {
+        const index = _.findIndex(this.entries, function (entry, index) {
+            return entry.type === "call" && !this._replayed.has(index);
+        }.bind(this));
+
+        return index < 0 ? this.entries.length : index;
+    }
+
+    /**
+     * Emit the unreplayed events that precede the given entry index.
+     *
+     * @private
+     * @param {number} end
+     */
+    _emitEvents (end) {
+        for (let index = 0; index < end; index++) {
+            const entry = this.entries[index];
+
+            if (entry.type === "event" && !this._replayed.has(index)) {
+                this._replayed.add(index);
+                this.emit("event", entry.group, entry.error ? _deserializeError(entry.error) : null,
+                    entry.eventID, _clone(entry.payload));
+            }
+        }
+    }
+}
@@ -25,11 +25,39 @@
 
 import Promise from "bluebird";
 
+import { gateAsync } from "./capabilities";
+import { promisifier } from "./util/timeout";
+
 /**
  * Promisified version of _spaces.ps functions.
  * @private
  */
-const _window = Promise.promisifyAll(_spaces.window);
+const _window = Promise.promisifyAll(_spaces.window, { promisifier: promisifier });
+
+/**
+ * Render modes of the window.
+ *     OFFSCREEN: offscreen rendering, in which functionality that depends on
+ *         the GPU may be unavailable or slow
+ *     DIRECT: hardware accelerated rendering to an on screen GPU surface
+ *
+ * @const
+ * @type {Object.<string, string>}
+ */
+export const renderMode = {
+    OFFSCREEN: "osr",
+    DIRECT: "direct"
+};
+
+/**
+ * Returns the render mode of the window.
+ *
+ * @return {Promise.<string>} Resolves with one of renderMode. Rejects with an UnsupportedError
+ *  if the host doesn't provide the render mode
+ */
+export const getRenderMode = gateAsync("renderMode", function () {
+    return _window.getRenderModeAsync({})
+        .get("renderMode");
+});
 
 /**
  * Returns the visibility of the current running contextual UI
@@ -77,3 +105,25 @@ export function setBounds (bounds) {
 
     return _window.setBoundsAsync(bounds, {});
 }
+
+/**
+ * Changes the bounds of the contextual UI.
+ *
+ * @deprecated Use setBounds
+ * @param {{bounds: Bounds?, globalBounds: Bounds?}} bounds Either local or global bounds to set
+ * @return {Promise} Resolves when bounds are set
+ */
+export function changeBounds (bounds) {
+    return setBounds(bounds);
+}
+
+/**
+ * Returns the global bounds of the HTML surface, in the coordinate system of
+ * the host OS: points on OS X and pixels on Windows. Unlike getBounds, the
+ * bounds are read synchronously, which also works outside of the contextual UI.
+ *
+ * @return {Bounds}
+ */
+export function getGlobalBounds () {
+    return _spaces.globalBounds;
+}
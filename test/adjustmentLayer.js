@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import "./helpers/mock";
+
+import assert from "assert";
+
+import * as adjustmentLayer from "../src/lib/adjustmentLayer";
+
+/**
+ * Get the channels of the adjustments of a levels or curves layer.
+ *
+ * @param {PlayObject} playObject A createAdjustmentLayer command
+ * @return {Array.<string>}
+ */
+const channelsOf = function (playObject) {
+    return playObject.descriptor.using._value.type._value.adjustment.map(function (adjustment) {
+        return adjustment._value.channel._ref[0]._value;
+    });
+};
+
+describe("lib/adjustmentLayer", function () {
+    it("makes levels of one or more channels", function () {
+        const single = adjustmentLayer.createAdjustmentLayer("levels", { input: [20, 235] }),
+            multiple = adjustmentLayer.createAdjustmentLayer("levels", [
+                { channel: "red", gamma: 1.2 },
+                { channel: "blue", output: [10, 245] }
+            ]);
+
+        assert.deepEqual(channelsOf(single), ["composite"]);
+        assert.deepEqual(single.descriptor.using._value.type._value.adjustment[0]._value.input, [20, 235]);
+        assert.deepEqual(channelsOf(multiple), ["red", "blue"]);
+    });
+
+    it("makes curves of one or more channels", function () {
+        const single = adjustmentLayer.createAdjustmentLayer("curves", { points: [[0, 0], [128, 160], [255, 255]] }),
+            multiple = adjustmentLayer.createAdjustmentLayer("curves", [{ channel: "green" }, { channel: "red" }]);
+
+        assert.deepEqual(channelsOf(single), ["composite"]);
+        assert.equal(single.descriptor.using._value.type._value.adjustment[0]._value.curve.length, 3);
+        assert.deepEqual(channelsOf(multiple), ["green", "red"]);
+    });
+});
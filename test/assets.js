@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { exportAssets } from "../src/ps/assets";
+import { CommandFailedError, TimeoutError } from "../src/util/errors";
+
+describe("ps/assets", function () {
+    const descriptor = makeDescriptor({ events: [] });
+
+    let model,
+        document,
+        iconID,
+        emptyID;
+
+    beforeEach(function () {
+        mock.reset();
+        model = makeDocumentModel(mock);
+        document = model.addDocument({
+            layers: [
+                { name: "Icon", bounds: { top: 0, left: 0, bottom: 16, right: 32 } },
+                { name: "Empty" },
+                { name: "Background", background: true }
+            ]
+        });
+        iconID = document.layers[2].layerID;
+        emptyID = document.layers[1].layerID;
+    });
+
+    it("records layers that can't be exported in the manifest with continueOnError", function () {
+        return exportAssets(descriptor, document.documentID, [emptyID, iconID], "/tmp/assets", [{ scale: 2 }],
+            { continueOnError: true })
+            .then(function (manifest) {
+                assert.equal(manifest.length, 2);
+                assert.equal(manifest[0].layerID, emptyID);
+                assert.equal(manifest[0].name, "Empty");
+                assert(/has no pixels/.test(manifest[0].error.message));
+                assert.equal(manifest[1].layerID, iconID);
+                assert.equal(manifest[1].path, "/tmp/assets/Icon@2x.png");
+                assert.equal(manifest[1].width, 64);
+                assert.equal(manifest[1].error, undefined);
+                assert.deepEqual(model.documents.map(function (doc) {
+                    return doc.documentID;
+                }), [document.documentID]);
+            });
+    });
+
+    it("rejects for layers that can't be exported without continueOnError", function () {
+        return exportAssets(descriptor, document.documentID, [emptyID, iconID], "/tmp/assets", [{ scale: 1 }])
+            .then(function () {
+                assert.fail("exported an empty layer");
+            }, function (err) {
+                assert(/has no pixels/.test(err.message));
+            });
+    });
+
+    it("records the error of layers that don't exist in the manifest", function () {
+        const missingID = 9999;
+
+        return exportAssets(descriptor, document.documentID, [missingID, iconID], "/tmp/assets", [{ scale: 1 }],
+            { continueOnError: true })
+            .then(function (manifest) {
+                assert.equal(manifest.length, 2);
+                assert.equal(manifest[0].layerID, missingID);
+                assert(manifest[0].error instanceof CommandFailedError);
+                assert(!/has no pixels/.test(manifest[0].error.message));
+                assert.equal(manifest[0].error.index, 0);
+                assert.equal(manifest[1].path, "/tmp/assets/Icon.png");
+                assert.equal(manifest[1].error, undefined);
+            });
+    });
+
+    it("closes the temporary document when an asset times out", function () {
+        mock.respondToCommand("crop", function () {
+            return new Promise(function () {});
+        });
+
+        return exportAssets(descriptor, document.documentID, [iconID], "/tmp/assets", [{ scale: 1 }],
+            { continueOnError: true, timeout: 20 })
+            .then(function (manifest) {
+                assert(manifest[0].error instanceof TimeoutError);
+                assert.deepEqual(model.documents.map(function (doc) {
+                    return doc.documentID;
+                }), [document.documentID]);
+            });
+    });
+
+    it("leaves the exported document open when an asset times out before making the temporary one", function () {
+        mock.respondToCommand("make", function () {
+            return new Promise(function () {});
+        });
+
+        return exportAssets(descriptor, document.documentID, [iconID], "/tmp/assets", [{ scale: 1 }],
+            { continueOnError: true, timeout: 20 })
+            .then(function (manifest) {
+                assert(manifest[0].error instanceof TimeoutError);
+                assert.equal(model.activeDocument, document);
+            });
+    });
+});
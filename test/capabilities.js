@@ -0,0 +1,148 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import * as capabilities from "../src/capabilities";
+import { UnsupportedError } from "../src/util/errors";
+import { requestImage, imageFormat } from "../src/ps";
+import { getRenderMode } from "../src/window";
+import { OS } from "../src/os";
+import * as owl from "../src/lib/owl";
+
+describe("capabilities", function () {
+    const removed = new Map();
+
+    /**
+     * Remove a function from the mock bridge until the end of the test.
+     *
+     * @param {string} namespace Path of the namespace in _spaces, e.g. "ps"
+     * @param {string} name
+     */
+    const removeBridgeFunction = function (namespace, name) {
+        const target = mock.spaces[namespace];
+
+        removed.set(namespace + "." + name, { target: target, name: name, fn: target[name] });
+        delete target[name];
+    };
+
+    beforeEach(function () {
+        mock.reset();
+        capabilities.reset();
+    });
+
+    afterEach(function () {
+        removed.forEach(function (entry) {
+            entry.target[entry.name] = entry.fn;
+        });
+        removed.clear();
+        capabilities.reset();
+    });
+
+    it("gates functions on the support of a capability", function () {
+        let supported = true;
+
+        capabilities.define("testCapability", function () {
+            return supported;
+        });
+
+        const gated = capabilities.gate("testCapability", function (value) {
+            return value * 2;
+        });
+
+        assert.equal(gated(2), 4);
+
+        supported = false;
+        capabilities.reset();
+
+        assert.throws(function () {
+            gated(2);
+        }, UnsupportedError);
+    });
+
+    it("rejects calls of gated asynchronous functions in unsupporting hosts", function () {
+        capabilities.define("testCapability", function () {
+            return false;
+        });
+
+        const gated = capabilities.gateAsync("testCapability", function () {
+            assert.fail("Expected the function not to be called");
+        });
+
+        return gated().then(function () {
+            assert.fail("Expected the call to reject");
+        }, function (err) {
+            assert.ok(err instanceof UnsupportedError);
+            assert.equal(err.capability, "testCapability");
+        });
+    });
+
+    it("gates lib helpers on the plug-in version", function () {
+        capabilities.define("owlPanels", { version: ">=3.1.0" });
+
+        const getPanelList = capabilities.gate("owlPanels", owl.getPanelList);
+
+        assert.throws(function () {
+            getPanelList();
+        }, /Unsupported in this host: owlPanels \(Spaces plug-in 3\.0\.0\)/);
+
+        mock.state.version = { major: 3, minor: 1, patch: 0 };
+        capabilities.reset();
+
+        assert.deepEqual(getPanelList(), owl.getPanelList());
+    });
+
+    it("requests images in hosts that provide them", function () {
+        mock.state.image = "AAAA";
+
+        return requestImage(1, { format: imageFormat.BASE64 }).then(function (image) {
+            assert.equal(image, "AAAA");
+        });
+    });
+
+    it("rejects helpers that the host doesn't provide with UnsupportedErrors", function () {
+        removeBridgeFunction("ps", "requestImage");
+        removeBridgeFunction("window", "getRenderMode");
+        removeBridgeFunction("os", "isConvertibleSlateMode");
+
+        const requests = [
+            requestImage(1),
+            getRenderMode(),
+            new OS().isConvertibleSlateMode()
+        ];
+
+        return Promise.all(requests.map(function (request) {
+            return request.then(function () {
+                assert.fail("Expected the call to reject");
+            }, function (err) {
+                assert.ok(err instanceof UnsupportedError);
+                return err.capability;
+            });
+        })).then(function (names) {
+            assert.deepEqual(names, ["requestImage", "renderMode", "convertibleSlateMode"]);
+            assert.equal(mock.getCalls().length, 0);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import "./helpers/mock";
+
+import assert from "assert";
+
+import * as contentLayer from "../src/lib/contentLayer";
+import * as shape from "../src/lib/shape";
+import { makeGradient, gradientFillObject } from "../src/lib/gradient";
+
+/**
+ * The pattern contents that setShapeFillTypePattern and setStrokeFillTypePattern
+ * built inline before their contents were shared with the pattern fill layers.
+ *
+ * @param {number} scale
+ * @return {ActionDescriptor}
+ */
+const bubbles = function (scale) {
+    return {
+        "_obj": "patternLayer",
+        "_value": {
+            "align": true,
+            "pattern": {
+                "_obj": "pattern",
+                "_value": {
+                    "ID": "b7334da0-122f-11d4-8bb5-e27e45023b5f",
+                    "name": "$$$/Presets/Patterns/Patterns_pat/Bubbles=Bubbles"
+                }
+            },
+            "phase": {
+                "_obj": "paint",
+                "_value": {
+                    "horizontal": 0,
+                    "vertical": 0
+                }
+            },
+            "scale": { _unit: "percentUnit", _value: scale }
+        }
+    };
+};
+
+describe("lib/contentLayer", function () {
+    const reference = contentLayer.referenceBy.current,
+        stops = [
+            { color: [255, 0, 0], location: 0 },
+            { color: [0, 0, 255], location: 100, midpoint: 30 }
+        ],
+        settings = { type: "radial", scale: 50 };
+
+    describe("patterns", function () {
+        it("fills shapes with patterns", function () {
+            const playObject = contentLayer.setShapeFillTypePattern(reference, "pBubbles", 120);
+
+            assert.equal(playObject.command, "set");
+            assert.deepEqual(playObject.descriptor, {
+                "null": reference,
+                "to": {
+                    "_obj": "shapeStyle",
+                    "_value": {
+                        "fillContents": bubbles(120),
+                        "strokeStyle": shape.shapeFillObject(true)
+                    }
+                }
+            });
+        });
+
+        it("fills strokes with patterns", function () {
+            const playObject = contentLayer.setStrokeFillTypePattern(reference, "pBubbles", 80);
+
+            assert.deepEqual(playObject.descriptor.to._value, {
+                "strokeStyle": {
+                    "_obj": "strokeStyle",
+                    "_value": {
+                        "strokeEnabled": true,
+                        "strokeStyleContent": bubbles(80),
+                        "strokeStyleVersion": 2
+                    }
+                }
+            });
+        });
+
+        it("makes and changes pattern fill layers", function () {
+            const created = contentLayer.createPatternFillLayer("pBubbles", 50, "Bubbles"),
+                changed = contentLayer.setPatternFill(reference, "pBubbles", 75);
+
+            assert.equal(created.command, "make");
+            assert.deepEqual(created.descriptor, {
+                "null": { "_ref": "contentLayer" },
+                "using": {
+                    "_obj": "contentLayer",
+                    "_value": { "type": bubbles(50), "name": "Bubbles" }
+                }
+            });
+            assert.deepEqual(changed.descriptor, { "null": reference, "to": bubbles(75) });
+        });
+
+        it("rejects unknown patterns", function () {
+            assert.throws(function () {
+                contentLayer.setShapeFillTypePattern(reference, "pPlaid", 100);
+            }, /Unknown pattern: pPlaid/);
+        });
+    });
+
+    describe("gradients", function () {
+        it("fills shapes with gradients", function () {
+            const playObject = contentLayer.setShapeFillTypeGradient(reference, stops, settings);
+
+            assert.equal(playObject.command, "set");
+            assert.deepEqual(playObject.descriptor, {
+                "null": reference,
+                "to": {
+                    "_obj": "shapeStyle",
+                    "_value": {
+                        "fillContents": gradientFillObject(stops, settings),
+                        "strokeStyle": shape.shapeFillObject(true)
+                    }
+                }
+            });
+        });
+
+        it("fills strokes with gradients", function () {
+            const gradient = makeGradient(stops),
+                playObject = contentLayer.setStrokeFillTypeGradient(reference, gradient);
+
+            assert.deepEqual(playObject.descriptor.to._value, {
+                "strokeStyle": {
+                    "_obj": "strokeStyle",
+                    "_value": {
+                        "strokeEnabled": true,
+                        "strokeStyleContent": gradientFillObject(gradient),
+                        "strokeStyleVersion": 2
+                    }
+                }
+            });
+        });
+
+        it("makes gradient fill layers, named or not", function () {
+            const named = contentLayer.createGradientFillLayer(stops, settings, "Sunset"),
+                unnamed = contentLayer.createGradientFillLayer(stops);
+
+            assert.equal(named.command, "make");
+            assert.deepEqual(named.descriptor, {
+                "null": { "_ref": "contentLayer" },
+                "using": {
+                    "_obj": "contentLayer",
+                    "_value": { "type": gradientFillObject(stops, settings), "name": "Sunset" }
+                }
+            });
+            assert.deepEqual(unnamed.descriptor.using._value, { "type": gradientFillObject(stops) });
+        });
+
+        it("rejects invalid gradient settings before building", function () {
+            assert.throws(function () {
+                contentLayer.createGradientFillLayer(stops, { scale: 200 });
+            }, /Invalid gradient scale/);
+        });
+    });
+});
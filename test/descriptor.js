@@ -0,0 +1,329 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { TimeoutError } from "../src/util/errors";
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+
+/**
+ * Make a batchPlay command that selects a layer by ID.
+ *
+ * @param {number} layerID
+ * @return {{name: string, descriptor: object}}
+ */
+const selectLayer = function (layerID) {
+    return { name: "select", descriptor: { "null": { _ref: "layer", _id: layerID } } };
+};
+
+/**
+ * Get the IDs of the layers selected by the commands played so far.
+ *
+ * @return {Array.<number>}
+ */
+const selectedLayerIDs = function () {
+    return mock.getCommands("select").map(function (command) {
+        return command.descriptor.null._id;
+    });
+};
+
+/**
+ * Make a reference to a layer of a document of the model by ID.
+ *
+ * @param {object} document
+ * @param {number} layerID
+ * @return {Array.<object>}
+ */
+const layerReference = function (document, layerID) {
+    return [{ _ref: "document", _id: document.documentID }, { _ref: "layer", _id: layerID }];
+};
+
+describe("ps/descriptor", function () {
+    const descriptor = makeDescriptor({ events: [] });
+
+    beforeEach(function () {
+        mock.reset();
+    });
+
+    describe("timeouts", function () {
+        it("rejects calls that don't complete in time with a TimeoutError", function () {
+            mock.respond("ps.descriptor.batchPlay", function () {
+                return Promise.delay(50).return([[{}], [null]]);
+            });
+
+            return descriptor.batchPlay([selectLayer(1)], { timeout: 10 }).then(function () {
+                assert.fail("Expected the call to time out");
+            }, function (err) {
+                assert.ok(err instanceof TimeoutError);
+                assert.equal(err.timeout, 10);
+                assert.equal(err.command, "select");
+            });
+        });
+    });
+
+    describe("transactions", function () {
+        it("plays the queued commands when the transaction ends", function () {
+            const tid = descriptor.beginTransaction();
+
+            return Promise.all([
+                descriptor.batchPlay([selectLayer(1)], { transaction: tid }),
+                descriptor.batchPlay([selectLayer(2), selectLayer(3)], { transaction: tid })
+            ]).then(function (placeholders) {
+                assert.deepEqual(placeholders.map(function (placeholder) {
+                    return placeholder.length;
+                }), [1, 2]);
+                assert.deepEqual(selectedLayerIDs(), []);
+
+                return descriptor.endTransaction(tid);
+            }).then(function () {
+                assert.deepEqual(selectedLayerIDs(), [1, 2, 3]);
+            });
+        });
+
+        it("resolves queued calls before the transaction ends", function () {
+            const tid = descriptor.beginTransaction(),
+                options = { transaction: tid, timeout: 10000 };
+
+            // Would only resolve when the transaction ends, or after the timeout of the test, if it waited
+            return descriptor.batchPlay([selectLayer(1)], options).then(function (results) {
+                assert.equal(results.length, 1);
+                assert.deepEqual(selectedLayerIDs(), []);
+
+                return descriptor.endTransaction(tid);
+            }).then(function () {
+                assert.deepEqual(selectedLayerIDs(), [1]);
+            });
+        });
+
+        it("drops the queued commands whose timeout elapsed before the transaction ended", function () {
+            const tid = descriptor.beginTransaction();
+
+            return Promise.all([
+                descriptor.batchPlay([selectLayer(1)], { transaction: tid, timeout: 10 }),
+                descriptor.batchPlay([selectLayer(2)], { transaction: tid, timeout: 1000 }),
+                descriptor.batchPlay([selectLayer(3)], { transaction: tid })
+            ]).delay(20).then(function () {
+                return descriptor.endTransaction(tid);
+            }).then(function () {
+                assert.deepEqual(selectedLayerIDs(), [2, 3]);
+            });
+        });
+
+        it("keeps the timeouts of commands folded from a nested transaction", function () {
+            const tid = descriptor.beginTransaction(),
+                nested = descriptor.beginTransaction({ transaction: tid });
+
+            return Promise.all([
+                descriptor.batchPlay([selectLayer(1)], { transaction: nested, timeout: 10 }),
+                descriptor.batchPlay([selectLayer(2)], { transaction: nested })
+            ]).then(function () {
+                return descriptor.endTransaction(nested);
+            }).delay(20).then(function () {
+                return descriptor.endTransaction(tid);
+            }).then(function () {
+                assert.deepEqual(selectedLayerIDs(), [2]);
+            });
+        });
+
+        it("plays nothing if all queued commands were dropped", function () {
+            const tid = descriptor.beginTransaction();
+
+            return descriptor.batchPlay([selectLayer(1)], { transaction: tid, timeout: 10 })
+                .delay(20)
+                .then(function () {
+                    return descriptor.endTransaction(tid);
+                })
+                .then(function (results) {
+                    assert.deepEqual(results, []);
+                    assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 0);
+                });
+        });
+    });
+
+    describe("coalescing", function () {
+        const coalescing = makeDescriptor({ events: [] });
+
+        let document,
+            titleRef,
+            photoRef;
+
+        beforeEach(function () {
+            document = makeDocumentModel(mock).addDocument({
+                layers: [
+                    { name: "Title" },
+                    { name: "Photo" }
+                ]
+            });
+            titleRef = layerReference(document, document.layers[1].layerID);
+            photoRef = layerReference(document, document.layers[0].layerID);
+            coalescing.setCoalescing({});
+        });
+
+        afterEach(function () {
+            coalescing.setCoalescing(null);
+        });
+
+        it("merges the gets of a tick into one batchPlay, with one command per reference", function () {
+            return Promise.all([
+                coalescing.getProperty(titleRef, "name"),
+                coalescing.multiGetProperties(titleRef, ["layerID", "visible"]),
+                coalescing.getProperty(photoRef, "name")
+            ]).then(function (results) {
+                const gets = mock.getCommands("get");
+
+                assert.equal(results[0], "Title");
+                assert.deepEqual(results[1], { layerID: document.layers[1].layerID, visible: true });
+                assert.equal(results[2], "Photo");
+                assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 1);
+                assert.equal(gets.length, 2);
+                assert.deepEqual(gets[0].descriptor["null"]._multiGetRef[0]._propertyList,
+                    ["name", "layerID", "visible"]);
+            });
+        });
+
+        it("settles each caller with the result or error of its reference", function () {
+            const missingRef = layerReference(document, 999);
+
+            return Promise.all([
+                coalescing.getProperty(titleRef, "name").reflect(),
+                coalescing.getProperty(titleRef, "noSuchProperty").reflect(),
+                coalescing.getProperty(missingRef, "name").reflect(),
+                coalescing.multiGetOptionalProperties(photoRef, ["name", "noSuchProperty"]).reflect()
+            ]).then(function (inspections) {
+                assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 1);
+                assert.equal(inspections[0].value(), "Title");
+                assert(/No such property: noSuchProperty/.test(inspections[1].reason().message));
+                assert(inspections[2].isRejected());
+                assert.deepEqual(inspections[3].value(), { name: "Photo" });
+            });
+        });
+
+        it("collects the gets issued within the delay", function () {
+            const start = Date.now();
+
+            coalescing.setCoalescing({ delay: 30 });
+
+            const first = coalescing.getProperty(titleRef, "name");
+
+            return Promise.delay(10).then(function () {
+                assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 0);
+
+                return Promise.all([first, coalescing.getProperty(photoRef, "name")]);
+            }).then(function (names) {
+                assert.deepEqual(names, ["Title", "Photo"]);
+                assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 1);
+                assert(Date.now() - start >= 25);
+            });
+        });
+
+        it("doesn't coalesce gets with options", function () {
+            return Promise.all([
+                coalescing.getProperty(titleRef, "name"),
+                coalescing.getProperty(photoRef, "name", { synchronous: false })
+            ]).then(function () {
+                assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 1);
+                assert.equal(mock.getCalls("ps.descriptor.get").length, 1);
+            });
+        });
+    });
+
+    describe("asynchronous play", function () {
+        /**
+         * Get the options of the batchPlay calls made so far.
+         *
+         * @return {Array.<object>}
+         */
+        const batchPlayOptions = function () {
+            return mock.getCalls("ps.descriptor.batchPlay").map(function (call) {
+                return call.args[1];
+            });
+        };
+
+        it("rejects batches with multi-get or extended references", function () {
+            const multiGet = {
+                    name: "get",
+                    descriptor: { "null": { _multiGetRef: [{ _propertyList: ["name"] }, { _ref: "layer", _id: 1 }] } }
+                },
+                extended = {
+                    name: "get",
+                    descriptor: { "null": { _ref: "layer", _id: 1 } },
+                    options: { useExtendedReference: true }
+                };
+
+            return descriptor.batchPlay([selectLayer(1), multiGet, extended], { synchronous: false })
+                .then(function () {
+                    assert.fail("played an incompatible batch asynchronously");
+                }, function (err) {
+                    assert.deepEqual(err.incompatibilities, [
+                        "multi-get reference in command 1",
+                        "extended reference in command 2"
+                    ]);
+                    assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 0);
+                });
+        });
+
+        it("rejects batches with options that asynchronous play doesn't support", function () {
+            return descriptor.batchPlay([selectLayer(1)], { synchronous: false, continueOnError: true })
+                .then(function () {
+                    assert.fail("played an incompatible batch asynchronously");
+                }, function (err) {
+                    assert.deepEqual(err.incompatibilities, ["continueOnError"]);
+                });
+        });
+
+        it("falls back to synchronous play if allowed", function () {
+            return descriptor.batchPlay([selectLayer(1)], {
+                synchronous: false,
+                allowSynchronousFallback: true,
+                continueOnError: true
+            }).then(function () {
+                const options = batchPlayOptions()[0];
+
+                assert.deepEqual(selectedLayerIDs(), [1]);
+                assert(!options.hasOwnProperty("synchronous"));
+                assert(!options.hasOwnProperty("allowSynchronousFallback"));
+                assert.equal(options.continueOnError, true);
+            });
+        });
+
+        it("plays compatible batches asynchronously, without the fallback option", function () {
+            return descriptor.batchPlay([selectLayer(1)], { synchronous: false, allowSynchronousFallback: true })
+                .then(function () {
+                    const options = batchPlayOptions()[0];
+
+                    assert.strictEqual(options.synchronous, false);
+                    assert(!options.hasOwnProperty("allowSynchronousFallback"));
+                });
+        });
+
+        it("rejects asynchronous transactions with unsupported options when they begin", function () {
+            assert.throws(function () {
+                descriptor.beginTransaction({ synchronous: false, historyStateInfo: { name: "Edit" } });
+            }, /Asynchronous batchPlay does not support: historyStateInfo/);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import * as documentLib from "../src/lib/document";
+import * as layerLib from "../src/lib/layer";
+
+/**
+ * Reduce a layer tree of the model to the names of its layers.
+ *
+ * @param {Array.<object>} nodes
+ * @return {Array.<string|Array>}
+ */
+const namesOf = function (nodes) {
+    return nodes.map(function (node) {
+        return node.layers ? [node.name, namesOf(node.layers)] : node.name;
+    });
+};
+
+describe("mock/document", function () {
+    const descriptor = makeDescriptor({ events: [] });
+
+    let model,
+        document;
+
+    beforeEach(function () {
+        mock.reset();
+        model = makeDocumentModel(mock);
+        document = model.addDocument({
+            layers: [
+                { name: "Title" },
+                { name: "Photo", selected: true },
+                { name: "Shadow", selected: true },
+                { name: "Background", background: true }
+            ]
+        });
+    });
+
+    it("reads layer properties with get", function () {
+        const layer = document.layers[1];
+
+        return descriptor.getProperty(layerLib.referenceBy.id(layer.layerID), "name")
+            .then(function (name) {
+                assert.equal(name, "Shadow");
+            });
+    });
+
+    it("groups the selected layers where the topmost of them was", function () {
+        return descriptor.playObject(layerLib.groupSelectedLayers())
+            .then(function () {
+                assert.deepEqual(namesOf(model.getLayerTree(document)),
+                    ["Title", ["Group 1", ["Photo", "Shadow"]], "Background"]);
+            });
+    });
+
+    it("renames and deletes layers", function () {
+        const photo = layerLib.referenceBy.id(document.layers[2].layerID),
+            title = layerLib.referenceBy.id(document.layers[3].layerID);
+
+        return descriptor.playObject(layerLib.renameLayer(photo, "Portrait"))
+            .then(function () {
+                return descriptor.playObject(layerLib.deleteLayer(title));
+            })
+            .then(function () {
+                assert.deepEqual(namesOf(model.getLayerTree(document)), ["Portrait", "Shadow", "Background"]);
+            });
+    });
+
+    it("references the target layers by the item indices of the layers", function () {
+        const flat = model.addDocument({
+            layers: [
+                { name: "Top", selected: true },
+                { name: "Bottom" }
+            ]
+        });
+
+        return Promise.all([document, flat].map(function (doc) {
+            const selected = doc.layers.filter(function (layer) {
+                return layer.selected;
+            });
+
+            return Promise.all([
+                descriptor.getProperty(documentLib.referenceBy.id(doc.documentID), "targetLayers"),
+                Promise.all(selected.map(function (layer) {
+                    return descriptor.getProperty([documentLib.referenceBy.id(doc.documentID),
+                        layerLib.referenceBy.id(layer.layerID)], "itemIndex");
+                }))
+            ]);
+        })).then(function (results) {
+            results.forEach(function (result) {
+                assert.deepEqual(result[0].map(function (reference) {
+                    return reference._index;
+                }).sort(), result[1].sort());
+            });
+            assert.deepEqual(results[1][1], [2]);
+        });
+    });
+});
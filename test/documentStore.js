@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { makeDocumentStore } from "../src/ps/documentStore";
+
+/**
+ * Get the names of the layers of a document in the store, from top to bottom.
+ *
+ * @param {DocumentStore} store
+ * @param {number} documentID
+ * @return {Array.<string>}
+ */
+const layerNamesOf = function (store, documentID) {
+    const document = store.getDocument(documentID);
+
+    return document.rootLayerIDs.map(function (layerID) {
+        return document.layers.get(layerID).name;
+    });
+};
+
+describe("ps/documentStore", function () {
+    let descriptor,
+        model,
+        document,
+        store;
+
+    before(function () {
+        descriptor = makeDescriptor({ manageEvents: true });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+        model = makeDocumentModel(mock);
+        document = model.addDocument({
+            layers: [
+                { name: "Title" },
+                { name: "Photo", selected: true },
+                { name: "Background", background: true }
+            ]
+        });
+        store = makeDocumentStore(descriptor);
+
+        return store.initialize();
+    });
+
+    afterEach(function () {
+        store.dispose();
+    });
+
+    it("populates the open documents and their layers", function () {
+        assert.equal(store.activeDocumentID, document.documentID);
+        assert.deepEqual(layerNamesOf(store, document.documentID), ["Title", "Photo", "Background"]);
+        assert.deepEqual(store.getSelectedLayers(document.documentID).map(function (layer) {
+            return layer.name;
+        }), ["Photo"]);
+    });
+
+    it("renames layers set by Descriptor.prototype.setProperty without requesting the document", function () {
+        const photo = model.getSelectedLayers(document)[0],
+            changes = [];
+
+        store.on("change", function (documentID) {
+            changes.push(documentID);
+        });
+        mock.clearCalls();
+
+        return descriptor.setProperty({
+            _ref: [{ _ref: "layer", _id: photo.layerID }, { _ref: "document", _id: document.documentID }]
+        }, "name", "Portrait").then(function () {
+            assert.equal(store.getLayer(document.documentID, photo.layerID).name, "Portrait");
+            assert.deepEqual(changes, [document.documentID]);
+            assert.equal(mock.getCommands("get").length, 0);
+        });
+    });
+});
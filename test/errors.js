@@ -0,0 +1,146 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { errorCodes, makeBridgeError } from "../src/mock/spaces";
+import { makeDescriptor } from "../src/ps/descriptor";
+import * as errors from "../src/util/errors";
+
+describe("util/errors", function () {
+    let descriptor;
+
+    before(function () {
+        descriptor = makeDescriptor({ events: ["select"] });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+    });
+
+    it("maps bridge error codes to error types", function () {
+        const types = {
+            UNKNOWN_FUNCTION_ERROR: "UnknownFunctionError",
+            ARGUMENT_ERROR: "InvalidArgumentError",
+            MISSING_NOTIFIER: "InvalidArgumentError",
+            CONVERSION_ERROR: "InvalidArgumentError",
+            SUITEPEA_ERROR: "CommandFailedError",
+            REQUEST_REJECTED: "ModalStateError",
+            CANT_DISPATCH_MESSAGE_TO_HOST: "RequestAbortedError",
+            REENTRANCY_ERROR: "RequestAbortedError",
+            UNKNOWN_ERROR: "BridgeError"
+        };
+
+        Object.keys(types).forEach(function (code) {
+            const cause = makeBridgeError(errorCodes[code], "Failed with " + code),
+                error = errors.fromBridgeError(cause);
+
+            assert.equal(error.constructor, errors[types[code]], code);
+            assert.ok(error instanceof errors.BridgeError && error instanceof Error, code);
+            assert.equal(error.name, types[code]);
+            assert.equal(error.message, "Failed with " + code);
+            assert.equal(error.number, errorCodes[code]);
+            assert.equal(error.cause, cause);
+            assert.ok(error.stack);
+        });
+
+        assert.equal(errors.errorTypeOf(42), errors.BridgeError);
+    });
+
+    it("keeps the details of the failing command", function () {
+        const descriptorValue = { "null": { _ref: "layer", _id: 3 } },
+            error = errors.fromBridgeError(makeBridgeError(errorCodes.SUITEPEA_ERROR, "No such layer"), {
+                command: "select",
+                descriptor: descriptorValue,
+                index: 2
+            });
+
+        assert.ok(error instanceof errors.CommandFailedError);
+        assert.equal(error.command, "select");
+        assert.equal(error.descriptor, descriptorValue);
+        assert.equal(error.index, 2);
+    });
+
+    it("adds only the missing details to BridgeErrors", function () {
+        const original = new errors.ModalStateError("Busy", { command: "make", number: errorCodes.REQUEST_REJECTED }),
+            error = errors.fromBridgeError(original, { command: "select", index: 0 });
+
+        assert.equal(error, original);
+        assert.equal(error.command, "make");
+        assert.equal(error.index, 0);
+    });
+
+    it("wraps errors without a code as BridgeErrors", function () {
+        const error = errors.fromBridgeError("Lost connection");
+
+        assert.equal(error.constructor, errors.BridgeError);
+        assert.equal(error.number, errorCodes.UNKNOWN_ERROR);
+        assert.equal(error.message, "Lost connection");
+    });
+
+    it("doesn't make UnsupportedErrors BridgeErrors", function () {
+        const error = new errors.UnsupportedError("Not here", { capability: "requestImage" });
+
+        assert.ok(error instanceof Error);
+        assert.ok(!(error instanceof errors.BridgeError));
+        assert.equal(error.capability, "requestImage");
+    });
+
+    it("rejects plays with the details of the failing command", function () {
+        const select = { "null": { _ref: "layer", _id: 3 } };
+
+        mock.fail("ps.descriptor.batchPlay", errorCodes.REQUEST_REJECTED, "Busy");
+
+        return descriptor.play("select", select).then(function () {
+            assert.fail("Expected the command to fail");
+        }, function (err) {
+            assert.ok(err instanceof errors.ModalStateError);
+            assert.equal(err.message, "Busy");
+            assert.equal(err.command, "select");
+            assert.deepEqual(err.descriptor, select);
+        });
+    });
+
+    it("reports the index of failing commands of a batch", function () {
+        const commands = [
+            { name: "select", descriptor: { "null": { _ref: "layer", _id: 3 } } },
+            { name: "hide", descriptor: { "null": { _ref: "layer", _id: 4 } } }
+        ];
+
+        mock.respondToCommand("hide", function () {
+            throw makeBridgeError(errorCodes.SUITEPEA_ERROR, "No such layer");
+        });
+
+        return descriptor.batchPlay(commands, { continueOnError: true }).then(function (response) {
+            const error = response[1][1];
+
+            assert.equal(response[1][0], undefined);
+            assert.ok(error instanceof errors.CommandFailedError);
+            assert.equal(error.command, "hide");
+            assert.equal(error.descriptor, commands[1].descriptor);
+            assert.equal(error.index, 1);
+        });
+    });
+});
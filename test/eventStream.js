@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { makeDescriptor } from "../src/ps/descriptor";
+
+describe("util/eventStream", function () {
+    let descriptor;
+
+    before(function () {
+        descriptor = makeDescriptor({ events: ["select", "make", "delete"] });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+    });
+
+    /**
+     * Emit the notifications and collect the names of the events delivered by a stream.
+     *
+     * @param {EventStream} stream
+     * @param {Array.<string>} events
+     * @return {Array.<string>}
+     */
+    const deliver = function (stream, events) {
+        const delivered = [];
+
+        stream.subscribe(function (item) {
+            delivered.push(item.event);
+        });
+
+        events.forEach(function (event) {
+            mock.notify("notifierGroupPhotoshop", event, {});
+        });
+        stream.close();
+
+        return delivered;
+    };
+
+    it("delivers the events named by a string", function () {
+        const stream = descriptor.events({ event: "select" });
+
+        assert.deepEqual(deliver(stream, ["select", "make", "select"]), ["select", "select"]);
+    });
+
+    it("delivers the events named in a list", function () {
+        const stream = descriptor.events({ event: ["select", "delete"] });
+
+        assert.deepEqual(deliver(stream, ["select", "make", "delete"]), ["select", "delete"]);
+    });
+
+    it("delivers all enabled events by default", function () {
+        const stream = descriptor.events();
+
+        assert.deepEqual(deliver(stream, ["select", "make", "delete"]), ["select", "make", "delete"]);
+    });
+
+    it("throws for events that are not enabled", function () {
+        assert.throws(function () {
+            descriptor.events({ event: ["select", "hide"] });
+        }, /Event hide is not enabled/);
+        assert.throws(function () {
+            descriptor.events({ event: "hide" });
+        }, /Event hide is not enabled/);
+    });
+});
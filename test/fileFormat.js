@@ -0,0 +1,124 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import "./helpers/mock";
+
+import assert from "assert";
+
+import * as schema from "../src/ps/schema";
+import * as fileFormat from "../src/lib/fileFormat";
+import { saveDocument } from "../src/lib/document";
+
+describe("lib/fileFormat", function () {
+    describe("saveAs", function () {
+        it("plays make with the validated options of the format", function () {
+            const playObject = fileFormat.saveAs("/tmp/image.psd", { embedProfiles: true });
+
+            assert.equal(playObject.command, "make");
+            assert.deepEqual(playObject.descriptor, {
+                "as": {
+                    "_obj": "photoshop35Format",
+                    "_value": { "maximizeCompatibility": true }
+                },
+                "in": { "_path": "/tmp/image.psd" },
+                "embedProfiles": true
+            });
+            schema.validateDescriptor(playObject.command, playObject.descriptor);
+        });
+
+        it("rejects unsupported combinations of options", function () {
+            assert.throws(function () {
+                fileFormat.saveAs("/tmp/image.jpg", { scans: 4 });
+            }, /only supports scans for progressive JPEGs/);
+            assert.throws(function () {
+                fileFormat.saveAs("/tmp/image.gif", { embedProfiles: true });
+            }, /doesn't support embedding color profiles/);
+            assert.throws(function () {
+                fileFormat.saveAs("/tmp/image.png", { quality: 8 });
+            }, /doesn't support the option quality/);
+        });
+    });
+
+    describe("document.saveDocument", function () {
+        it("plays the descriptors it always has", function () {
+            const psd = saveDocument("/tmp/image.psd", {}),
+                jpg = saveDocument("/tmp/image.jpg", { jpgExtendedQuality: 10, jpgProgressiveScans: 3 }),
+                png = saveDocument("/tmp/image.png", { pngCompression: "smallest", pngInterlace: "interlaced" });
+
+            assert.equal(psd.command, "make");
+            assert.deepEqual(psd.descriptor, {
+                "as": { "_obj": "photoshop35Format", "_value": {} },
+                "in": { "_path": "/tmp/image.psd" },
+                "embedProfiles": false
+            });
+            assert.deepEqual(jpg.descriptor, {
+                "as": {
+                    "_obj": "JPEG",
+                    "_value": {
+                        "extendedQuality": 10,
+                        "matteColor": { "_enum": "matteColor", "_value": "none" }
+                    }
+                },
+                "in": { "_path": "/tmp/image.jpg" },
+                "embedProfiles": false
+            });
+            assert.deepEqual(png.descriptor, {
+                "as": {
+                    "_obj": "PNGFormat",
+                    "_value": {
+                        "PNGInterlaceType": { "_enum": "PNGInterlaceType", "_value": "PNGInterlaceAdam7" },
+                        "compression": 9
+                    }
+                },
+                "in": { "_path": "/tmp/image.png" },
+                "embedProfiles": false
+            });
+        });
+
+        it("saves GIFs as indexed color copies, ignoring embedProfiles", function () {
+            const gif = saveDocument("/tmp/image.gif", { embedProfiles: true, gifColorPalette: "web" });
+
+            assert.equal(gif.command, "make");
+            assert.deepEqual(gif.descriptor, {
+                "as": { "_obj": "GIFFormat", "_value": { "interfaceIconFrameDimmed": false } },
+                "in": { "_path": "/tmp/image.gif" },
+                "to": {
+                    "_obj": "indexedColorMode",
+                    "_value": {
+                        "palette": { "_enum": "colorPalette", "_value": "web" },
+                        "forcedColors": { "_enum": "forcedColors", "_value": "blackAndWhite" },
+                        "transparency": true
+                    }
+                },
+                "copy": true
+            });
+            schema.validateDescriptor(gif.command, gif.descriptor);
+        });
+
+        it("throws for unknown extensions", function () {
+            assert.throws(function () {
+                saveDocument("/tmp/image.tif", {});
+            }, /use fileFormat.saveAs/);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { makeDescriptor } from "../src/ps/descriptor";
+import { makeGeneratorClient } from "../src/ps/generatorClient";
+import { PLUGIN_MESSAGE_EVENT, sendGeneratorMessage, decodePluginMessage } from "../src/lib/generator";
+import { TimeoutError } from "../src/util/errors";
+
+/**
+ * Send a message from a Generator plug-in to the panel.
+ *
+ * @param {string} pluginName
+ * @param {*} message
+ * @param {number=} messageID
+ */
+const notifyMessage = function (pluginName, message, messageID) {
+    mock.notify("notifierGroupPhotoshop", PLUGIN_MESSAGE_EVENT, {
+        name: pluginName,
+        json: JSON.stringify(message),
+        messageID: messageID
+    });
+};
+
+describe("ps/generatorClient", function () {
+    let descriptor,
+        client;
+
+    before(function () {
+        descriptor = makeDescriptor({ manageEvents: true });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+        client = makeGeneratorClient(descriptor);
+
+        // Let the descriptor register the plug-in message event
+        return Promise.resolve();
+    });
+
+    afterEach(function () {
+        client.dispose();
+    });
+
+    it("encodes and decodes plug-in messages", function () {
+        const playObject = sendGeneratorMessage("generator-assets", { command: "export" }, 7);
+
+        assert.equal(playObject.command, "generatorMessage");
+        assert.deepEqual(playObject.descriptor, {
+            name: "generator-assets",
+            json: "{\"command\":\"export\"}",
+            messageID: 7
+        });
+        assert.deepEqual(decodePluginMessage(playObject.descriptor), {
+            pluginName: "generator-assets",
+            message: { command: "export" },
+            messageID: 7
+        });
+        assert.throws(function () {
+            decodePluginMessage({ name: "generator-assets", json: "{" });
+        }, /Malformed message from Generator plug-in generator-assets/);
+    });
+
+    it("lists the installed plug-ins", function () {
+        mock.respondToCommand("get", function () {
+            return {
+                generatorPlugins: [
+                    { _obj: "generatorPlugin", _value: { name: "generator-assets", version: "2.0.0" } },
+                    { name: "generator-preview", version: "1.1.0", enabled: false }
+                ]
+            };
+        });
+
+        return client.getPlugins().then(function (plugins) {
+            assert.deepEqual(plugins, [
+                { name: "generator-assets", version: "2.0.0", enabled: true },
+                { name: "generator-preview", version: "1.1.0", enabled: false }
+            ]);
+        });
+    });
+
+    it("enables and disables plug-ins", function () {
+        return client.setPluginEnabled("generator-preview", false).then(function () {
+            const set = mock.getCommands("set")[0];
+
+            assert.deepEqual(set.descriptor.to._value.generatorPlugin._value, {
+                name: "generator-preview",
+                enabled: false
+            });
+        });
+    });
+
+    it("resolves requests with the reply of the plug-in", function () {
+        const messages = [];
+
+        client.on("message", function (pluginName, message, messageID) {
+            messages.push([pluginName, message, messageID]);
+        });
+
+        const reply = client.request("generator-assets", { command: "status" });
+
+        return Promise.delay(0).then(function () {
+            const sent = mock.getCommands("generatorMessage")[0];
+
+            notifyMessage("generator-assets", { status: "idle" }, sent.descriptor.messageID + 1);
+            notifyMessage("generator-assets", { status: "ok" }, sent.descriptor.messageID);
+
+            return reply;
+        }).then(function (message) {
+            assert.deepEqual(message, { status: "ok" });
+            assert.equal(messages.length, 2);
+        });
+    });
+
+    it("rejects requests that get no reply in time", function () {
+        return client.request("generator-assets", { command: "status" }, { timeout: 10 })
+            .then(function () {
+                assert.fail("resolved without a reply");
+            }, function (err) {
+                assert(err instanceof TimeoutError);
+                assert.equal(client._pending.size, 0);
+            });
+    });
+
+    it("rejects pending requests when disposed", function () {
+        const reply = client.request("generator-assets", { command: "status" });
+
+        return Promise.delay(0).then(function () {
+            client.dispose();
+
+            return reply;
+        }).then(function () {
+            assert.fail("resolved after dispose");
+        }, function (err) {
+            assert(/disposed/.test(err.message));
+        });
+    });
+
+    it("throws for unmanaged descriptors that don't receive plug-in messages", function () {
+        const unmanaged = makeDescriptor({ events: ["select"] });
+
+        assert.throws(function () {
+            makeGeneratorClient(unmanaged);
+        }, /not enabled/);
+    });
+});
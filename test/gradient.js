@@ -0,0 +1,169 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import "./helpers/mock";
+
+import assert from "assert";
+
+import { Gradient, makeGradient, gradientFillValue, gradientFillObject } from "../src/lib/gradient";
+import { colorObject } from "../src/lib/color";
+
+describe("lib/gradient", function () {
+    const stops = [
+        { color: [0, 0, 255], location: 100, midpoint: 30 },
+        { color: [255, 0, 0], location: 0 }
+    ];
+
+    it("sorts stops by location and defaults midpoints and opacity", function () {
+        const gradient = makeGradient(stops);
+
+        assert.deepEqual(gradient.colorStops, [
+            { color: [255, 0, 0], location: 0, midpoint: 50 },
+            { color: [0, 0, 255], location: 100, midpoint: 30 }
+        ]);
+        assert.deepEqual(gradient.opacityStops, [
+            { opacity: 100, location: 0, midpoint: 50 },
+            { opacity: 100, location: 100, midpoint: 50 }
+        ]);
+        assert.equal(gradient.name, "Custom");
+        assert.ok(Object.isFrozen(gradient) && Object.isFrozen(gradient.colorStops[0]));
+    });
+
+    it("rejects too few or invalid stops", function () {
+        assert.throws(function () {
+            makeGradient([{ color: [0, 0, 0], location: 0 }]);
+        }, /at least 2 color stops/);
+
+        assert.throws(function () {
+            makeGradient([{ color: [0, 0, 0], location: 0 }, { color: [0, 0, 0], location: 120 }]);
+        }, /location: 120/);
+
+        assert.throws(function () {
+            makeGradient(stops, [{ opacity: 0, location: 0 }, { location: 100 }]);
+        }, /missing its opacity/);
+    });
+
+    it("scales stop locations to 4096 in descriptors", function () {
+        const descriptor = makeGradient(stops, [
+            { opacity: 100, location: 25 },
+            { opacity: 0, location: 75, midpoint: 40 }
+        ], "Fade").toDescriptor();
+
+        assert.equal(descriptor._obj, "gradientClassEvent");
+        assert.equal(descriptor._value.name, "Fade");
+        assert.deepEqual(descriptor._value.gradientForm, { _enum: "gradientForm", _value: "customStops" });
+        assert.deepEqual(descriptor._value.colors, [
+            {
+                _obj: "colorStop",
+                _value: {
+                    color: colorObject([255, 0, 0]),
+                    type: { _enum: "colorStopType", _value: "userStop" },
+                    location: 0,
+                    midpoint: 50
+                }
+            },
+            {
+                _obj: "colorStop",
+                _value: {
+                    color: colorObject([0, 0, 255]),
+                    type: { _enum: "colorStopType", _value: "userStop" },
+                    location: 4096,
+                    midpoint: 30
+                }
+            }
+        ]);
+        assert.deepEqual(descriptor._value.transparency, [
+            {
+                _obj: "transferSpec",
+                _value: { opacity: { _unit: "percentUnit", _value: 100 }, location: 1024, midpoint: 50 }
+            },
+            {
+                _obj: "transferSpec",
+                _value: { opacity: { _unit: "percentUnit", _value: 0 }, location: 3072, midpoint: 40 }
+            }
+        ]);
+    });
+
+    it("reads gradients back from descriptors", function () {
+        const original = makeGradient(stops, [
+                { opacity: 100, location: 0 },
+                { opacity: 50, location: 50, midpoint: 25 },
+                { opacity: 0, location: 100 }
+            ], "Fade"),
+            gradient = Gradient.fromDescriptor(original.toDescriptor());
+
+        assert.equal(gradient.name, "Fade");
+        assert.deepEqual(gradient.colorStops, [
+            { color: colorObject([255, 0, 0]), location: 0, midpoint: 50 },
+            { color: colorObject([0, 0, 255]), location: 100, midpoint: 30 }
+        ]);
+        assert.deepEqual(gradient.opacityStops, original.opacityStops);
+        assert.deepEqual(gradient.toDescriptor(), original.toDescriptor());
+    });
+
+    it("builds gradient fills with default settings", function () {
+        const fill = gradientFillObject(stops);
+
+        assert.equal(fill._obj, "gradientLayer");
+        assert.deepEqual(fill._value, {
+            gradient: makeGradient(stops).toDescriptor(),
+            type: { _enum: "gradientType", _value: "linear" },
+            angle: { _unit: "angleUnit", _value: 90 },
+            scale: { _unit: "percentUnit", _value: 100 },
+            reverse: false,
+            dither: false,
+            align: true
+        });
+    });
+
+    it("builds gradient fills with settings", function () {
+        const value = gradientFillValue(makeGradient(stops), {
+            type: "radial",
+            angle: -45,
+            scale: 150,
+            reverse: true,
+            dither: true,
+            align: false
+        });
+
+        assert.deepEqual(value.type, { _enum: "gradientType", _value: "radial" });
+        assert.deepEqual(value.angle, { _unit: "angleUnit", _value: -45 });
+        assert.deepEqual(value.scale, { _unit: "percentUnit", _value: 150 });
+        assert.equal(value.reverse, true);
+        assert.equal(value.dither, true);
+        assert.equal(value.align, false);
+        assert.deepEqual(gradientFillValue(stops, { scale: 10 }).scale, { _unit: "percentUnit", _value: 10 });
+    });
+
+    it("rejects invalid gradient types and scales", function () {
+        assert.throws(function () {
+            gradientFillValue(stops, { type: "spiral" });
+        }, /Invalid gradient type: spiral/);
+
+        [9, 151, "100"].forEach(function (scale) {
+            assert.throws(function () {
+                gradientFillValue(stops, { scale: scale });
+            }, /Invalid gradient scale/);
+        });
+    });
+});
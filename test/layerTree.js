@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { layerKinds } from "../src/lib/layer";
+import { makeLayerTree, getLayerTree, placement } from "../src/ps/layerTree";
+
+describe("ps/layerTree", function () {
+    // From bottom to top: Background, [Group end, Photo, Shadow, Group], Title
+    const layerProperties = [
+        { layerID: 1, name: "Background", layerKind: layerKinds.PIXEL },
+        { layerID: 5, name: "</Layer group>", layerKind: layerKinds.GROUPEND },
+        { layerID: 3, name: "Photo", layerKind: layerKinds.PIXEL },
+        { layerID: 4, name: "Shadow", layerKind: layerKinds.PIXEL },
+        { layerID: 2, name: "Group", layerKind: layerKinds.GROUP, layerSection: { _value: "layerSectionStart" } },
+        { layerID: 6, name: "Title", layerKind: layerKinds.PIXEL }
+    ];
+
+    let tree;
+
+    beforeEach(function () {
+        mock.reset();
+        tree = makeLayerTree(layerProperties, true);
+    });
+
+    it("reconstructs the layer tree from the flat list of layers", function () {
+        assert.deepEqual(tree.toArray().map(function (layer) {
+            return [layer.name, layer.depth, layer.index];
+        }), [
+            ["Title", 0, 5],
+            ["Group", 0, 4],
+            ["Shadow", 1, 3],
+            ["Photo", 1, 2],
+            ["Background", 0, 0]
+        ]);
+    });
+
+    it("computes reorder targets for a single layer or a list of layers", function () {
+        assert.deepEqual(tree.reorderTarget(6, 2, placement.INSIDE), { _ref: "layer", _index: 4 });
+        assert.deepEqual(tree.reorderTarget([3, 4], 6, placement.ABOVE), { _ref: "layer", _index: 5 });
+        assert.deepEqual(tree.reorderTarget([2], 1, placement.ABOVE), { _ref: "layer", _index: 4 });
+    });
+
+    it("rejects moving layers next to their descendants", function () {
+        assert.throws(function () {
+            tree.reorderTarget(2, 3);
+        }, /Can't move layers next to themselves or their descendants/);
+        assert.throws(function () {
+            tree.reorderTarget([7], 6);
+        }, /Unknown layer: 7/);
+    });
+
+    it("requests the layer tree of the current document", function () {
+        const descriptor = makeDescriptor({ events: [] }),
+            model = makeDocumentModel(mock);
+
+        model.addDocument({ layers: [{ name: "Other" }] });
+        model.addDocument({
+            layers: [
+                { name: "Title" },
+                { name: "Group", layers: [{ name: "Shadow" }, { name: "Photo" }] },
+                { name: "Background", background: true }
+            ]
+        });
+
+        return getLayerTree(descriptor).then(function (documentTree) {
+            const rangeGet = mock.getCommands("get").filter(function (command) {
+                const multiGetRef = command.descriptor["null"]._multiGetRef;
+
+                return multiGetRef && multiGetRef[1].hasOwnProperty("_range");
+            })[0];
+
+            rangeGet.descriptor["null"]._multiGetRef.forEach(function (reference) {
+                assert.equal(typeof reference, "object");
+            });
+            assert.deepEqual(documentTree.toArray().map(function (layer) {
+                return [layer.name, layer.depth];
+            }), [
+                ["Title", 0],
+                ["Group", 0],
+                ["Shadow", 1],
+                ["Photo", 1],
+                ["Background", 0]
+            ]);
+        });
+    });
+});
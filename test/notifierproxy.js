@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { makeDescriptor } from "../src/ps/descriptor";
+
+describe("util/notifierproxy", function () {
+    beforeEach(function () {
+        mock.reset();
+    });
+
+    describe("acquireEvents", function () {
+        it("registers the acquired events in managed mode until they are released", function () {
+            const descriptor = makeDescriptor({ manageEvents: true });
+
+            descriptor.acquireEvents(["select", "make"]);
+
+            // The registered events are updated on the promise queue, before the following callbacks
+            return Promise.resolve().then(function () {
+                assert.deepEqual(mock.getNotifierOptions("notifierGroupPhotoshop").events, ["select", "make"]);
+
+                descriptor.releaseEvents(["select", "make"]);
+
+                return Promise.resolve();
+            }).then(function () {
+                assert.equal(mock.getNotifierOptions("notifierGroupPhotoshop"), null);
+            });
+        });
+
+        it("accepts the enabled events of an unmanaged descriptor", function () {
+            const descriptor = makeDescriptor({ events: ["select", { event: "make", universal: true }] });
+
+            descriptor.acquireEvents(["select", "make"]);
+            descriptor.releaseEvents(["select", "make"]);
+        });
+
+        it("throws for events that are not enabled in an unmanaged descriptor", function () {
+            const descriptor = makeDescriptor({ events: ["select"] });
+
+            assert.throws(function () {
+                descriptor.acquireEvents(["select", "make"]);
+            }, /Event make is not enabled/);
+        });
+    });
+
+    describe("options", function () {
+        it("doesn't change the options of the caller", function () {
+            const managed = { manageEvents: true },
+                unmanaged = { events: [] };
+
+            makeDescriptor(managed).acquireEvents(["select"]);
+            makeDescriptor(unmanaged);
+
+            assert.deepEqual(managed, { manageEvents: true });
+            assert.deepEqual(unmanaged, { events: [] });
+        });
+    });
+
+    describe("listeners", function () {
+        it("registers the events of prepended listeners in managed mode", function () {
+            const descriptor = makeDescriptor({ manageEvents: true }),
+                received = [];
+
+            descriptor.on("select", function () {
+                received.push("on");
+            });
+            descriptor.prependListener("select", function () {
+                received.push("prepended");
+            });
+            descriptor.prependOnceListener("make", function () {
+                received.push("once");
+            });
+
+            return Promise.resolve().then(function () {
+                assert.deepEqual(mock.getNotifierOptions("notifierGroupPhotoshop").events, ["select", "make"]);
+
+                mock.notify("notifierGroupPhotoshop", "select", {});
+                mock.notify("notifierGroupPhotoshop", "make", {});
+                assert.deepEqual(received, ["prepended", "on", "once"]);
+
+                descriptor.removeAllListeners("select");
+
+                return Promise.resolve();
+            }).then(function () {
+                assert.equal(mock.getNotifierOptions("notifierGroupPhotoshop"), null);
+            });
+        });
+
+        it("throws for prepended listeners of events that are not enabled", function () {
+            const descriptor = makeDescriptor({ events: ["select"] });
+
+            descriptor.prependListener("select", function () {});
+
+            assert.throws(function () {
+                descriptor.prependListener("make", function () {});
+            }, /Event make is not enabled/);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { decode } from "../src/lib/photoshopEvent";
+
+describe("lib/photoshopEvent", function () {
+    const layerReference = {
+        _ref: [
+            { _ref: "property", _property: "name" },
+            { _ref: "layer", _id: 3 },
+            { _ref: "document", _id: 1 }
+        ]
+    };
+
+    describe("decode", function () {
+        beforeEach(function () {
+            mock.reset();
+        });
+
+        it("unwraps the value of a property set by a descriptor of the same name", function () {
+            const decoded = decode("set", {
+                "null": layerReference,
+                to: { _obj: "name", _value: "Title" }
+            });
+
+            assert.deepEqual(decoded.properties, { name: "Title" });
+            assert.equal(decoded.documentID, 1);
+            assert.deepEqual(decoded.layerIDs, [3]);
+        });
+
+        it("keeps the value of a property set to a plain value or another descriptor", function () {
+            assert.deepEqual(decode("set", {
+                "null": layerReference,
+                to: "Title"
+            }).properties, { name: "Title" });
+            assert.deepEqual(decode("set", {
+                "null": layerReference,
+                to: { _obj: "color", _value: { red: 255 } }
+            }).properties, { name: { _obj: "color", _value: { red: 255 } } });
+        });
+
+        it("decodes the properties of a set without a property reference", function () {
+            const decoded = decode("set", {
+                "null": { _ref: [{ _ref: "layer", _id: 3 }, { _ref: "document", _id: 1 }] },
+                to: { _obj: "layer", _value: { name: "Title", opacity: 50 } }
+            });
+
+            assert.deepEqual(decoded.properties, { name: "Title", opacity: 50 });
+        });
+
+        it("decodes the notification of Descriptor.prototype.setProperty", function () {
+            const descriptor = makeDescriptor({ events: ["set"] }),
+                model = makeDocumentModel(mock),
+                document = model.addDocument({ layers: [{ name: "Layer 1" }] }),
+                layer = document.layers[0];
+
+            let decoded = null;
+
+            descriptor.on("set", function (payload) {
+                decoded = decode("set", payload);
+            });
+
+            return descriptor.setProperty({
+                _ref: [{ _ref: "layer", _id: layer.layerID }, { _ref: "document", _id: document.documentID }]
+            }, "name", "Title").then(function () {
+                assert.deepEqual(decoded.properties, { name: "Title" });
+                assert.deepEqual(decoded.layerIDs, [layer.layerID]);
+            }).finally(function () {
+                descriptor.removeAllListeners("set");
+            });
+        });
+    });
+});
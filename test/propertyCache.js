@@ -0,0 +1,201 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { makePropertyCache, invalidatingEvents } from "../src/ps/propertyCache";
+
+/**
+ * Make a reference to a layer of a document by ID.
+ *
+ * @param {object} document
+ * @param {object} layer
+ * @return {object}
+ */
+const layerReference = function (document, layer) {
+    return { _ref: [{ _ref: "layer", _id: layer.layerID }, { _ref: "document", _id: document.documentID }] };
+};
+
+/**
+ * Count the "get" commands played so far.
+ *
+ * @return {number}
+ */
+const countGets = function () {
+    return mock.getCommands("get").length;
+};
+
+describe("ps/propertyCache", function () {
+    let descriptor,
+        model,
+        document,
+        cache;
+
+    before(function () {
+        descriptor = makeDescriptor({ manageEvents: true });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+        model = makeDocumentModel(mock);
+        document = model.addDocument({
+            layers: [
+                { name: "Title" },
+                { name: "Photo" }
+            ]
+        });
+        cache = makePropertyCache(descriptor);
+
+        // Let the descriptor register the invalidating events
+        return Promise.resolve();
+    });
+
+    afterEach(function () {
+        cache.dispose();
+    });
+
+    it("registers only the invalidating events with a managed descriptor", function () {
+        assert.deepEqual(mock.getNotifierOptions("notifierGroupPhotoshop").events, invalidatingEvents);
+    });
+
+    it("serves cached properties without playing commands", function () {
+        const reference = layerReference(document, document.layers[1]);
+
+        return cache.getProperty(reference, "name").then(function () {
+            return cache.getProperty(reference, "name");
+        }).then(function (name) {
+            assert.equal(name, "Title");
+            assert.equal(countGets(), 1);
+        });
+    });
+
+    it("invalidates the targeted layer and the bounds of the other layers", function () {
+        const title = layerReference(document, document.layers[1]),
+            photo = layerReference(document, document.layers[0]);
+
+        return Promise.all([
+            cache.multiGetProperties(title, ["name", "bounds"]),
+            cache.multiGetProperties(photo, ["name", "bounds"])
+        ]).then(function () {
+            // Without the history state that follows changes, which invalidates the whole document
+            mock.notify("notifierGroupPhotoshop", "set", {
+                "null": title,
+                "to": { _obj: "layer", _value: { name: "Title" } }
+            });
+            mock.clearCalls();
+
+            return Promise.all([
+                cache.getProperty(title, "name"),
+                cache.getProperty(photo, "name"),
+                cache.getProperty(photo, "bounds")
+            ]);
+        }).then(function (values) {
+            assert.equal(values[0], "Title");
+            assert.equal(values[1], "Photo");
+            assert.equal(countGets(), 2);
+        });
+    });
+
+    it("invalidates the document of a new history state", function () {
+        const title = layerReference(document, document.layers[1]),
+            photo = layerReference(document, document.layers[0]);
+
+        return Promise.all([
+            cache.getProperty(title, "name"),
+            cache.getProperty(photo, "name")
+        ]).then(function () {
+            return descriptor.setProperty(title, "name", "Heading");
+        }).then(function () {
+            mock.clearCalls();
+
+            return Promise.all([
+                cache.getProperty(title, "name"),
+                cache.getProperty(photo, "name")
+            ]);
+        }).then(function (values) {
+            assert.deepEqual(values, ["Heading", "Photo"]);
+            assert.equal(countGets(), 2);
+
+            // e.g. undo, which sends no other event
+            mock.notify("notifierGroupPhotoshop", "historyStateChanged", {
+                documentID: document.documentID,
+                ID: 1,
+                name: "Set"
+            });
+            mock.clearCalls();
+
+            return cache.getProperty(photo, "name");
+        }).then(function () {
+            assert.equal(countGets(), 1);
+        });
+    });
+
+    it("invalidates the whole document for structural events", function () {
+        const other = model.addDocument({ layers: [{ name: "Layer 1" }] }),
+            photo = layerReference(document, document.layers[0]),
+            layer = layerReference(other, other.layers[0]);
+
+        return Promise.all([
+            cache.getProperty(photo, "name"),
+            cache.getProperty(layer, "name")
+        ]).then(function () {
+            mock.notify("notifierGroupPhotoshop", "make", { documentID: document.documentID });
+            mock.clearCalls();
+
+            return Promise.all([
+                cache.getProperty(photo, "name"),
+                cache.getProperty(layer, "name")
+            ]);
+        }).then(function () {
+            assert.equal(countGets(), 1);
+        });
+    });
+
+    it("clears the cache for events of an unknown document", function () {
+        const photo = layerReference(document, document.layers[0]);
+
+        return cache.getProperty(photo, "name").then(function () {
+            mock.notify("notifierGroupPhotoshop", "select", {
+                "null": { _ref: "historyState", _enum: "ordinal", _value: "previous" }
+            });
+            mock.clearCalls();
+
+            return cache.getProperty(photo, "name");
+        }).then(function () {
+            assert.equal(countGets(), 1);
+        });
+    });
+
+    it("requires an unmanaged descriptor to enable the invalidating events", function () {
+        assert.throws(function () {
+            makePropertyCache(makeDescriptor({ events: ["select"] }));
+        }, /is not enabled/);
+
+        makePropertyCache(makeDescriptor({ events: invalidatingEvents })).dispose();
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { makeReference, parse, refersTo, validate } from "../src/lib/reference";
+import * as documentLib from "../src/lib/document";
+import * as layerLib from "../src/lib/layer";
+import * as vectorMask from "../src/lib/vectorMask";
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+
+describe("lib/reference", function () {
+    const docRef = documentLib.referenceBy.id(1),
+        layerRef = layerLib.referenceBy.id(2);
+
+    describe("validate", function () {
+        it("accepts the references of vector mask commands", function () {
+            validate(vectorMask.deleteVectorMask().descriptor.null);
+            validate(vectorMask.selectVectorMask().descriptor.null);
+            validate(vectorMask.createMaskFromShape(2, 3).descriptor.at);
+        });
+
+        it("accepts references to several layers", function () {
+            validate(layerLib.select([docRef, layerRef, layerLib.referenceBy.id(3)]).descriptor.null);
+            validate(layerLib.referenceBy.id([2, 3]));
+            validate([docRef, layerLib.referenceBy.id([2, 3])]);
+        });
+
+        it("accepts class entries named by _class", function () {
+            validate(documentLib.insertGuide(docRef, "horizontal", 10).descriptor.new.null);
+        });
+
+        it("rejects classes contained in classes that can't contain them", function () {
+            assert.throws(function () {
+                validate({ _ref: [docRef, layerRef] });
+            }, /A document reference cannot be contained in a layer reference/);
+            assert.throws(function () {
+                validate({ _ref: [{ _ref: "path", _index: 1 }, { _ref: "application", _enum: "ordinal" }] });
+            });
+        });
+
+        it("rejects properties that follow the class that owns them", function () {
+            assert.throws(function () {
+                validate({ _ref: [layerRef, { _ref: "property", _property: "name" }] });
+            }, /Property name must precede the layer reference that owns it/);
+        });
+
+        it("rejects entries with several forms", function () {
+            assert.throws(function () {
+                validate({ _ref: "layer", _id: 1, _index: 2 });
+            }, /multiple forms/);
+        });
+    });
+
+    describe("ReferenceBuilder", function () {
+        it("builds chains from the innermost entry outwards", function () {
+            const reference = makeReference()
+                .property("name")
+                .of("layer").id(2)
+                .of("document").index(1)
+                .build();
+
+            assert.deepEqual(reference, {
+                _ref: [
+                    { _ref: "property", _property: "name" },
+                    { _ref: "layer", _id: 2 },
+                    { _ref: "document", _index: 1 }
+                ]
+            });
+            assert.equal(refersTo(reference), "layer");
+        });
+
+        it("builds property references to several layers", function () {
+            const reference = makeReference()
+                .property("name")
+                .append(layerLib.referenceBy.id([2, 3]))
+                .build();
+
+            assert.deepEqual(parse(reference).map(function (entry) {
+                return entry.class + ":" + entry.value;
+            }), ["property:name", "layer:2", "layer:3"]);
+        });
+
+        it("builds extension data references", function () {
+            const play = layerLib.getExtensionData(1, 2, "com.example");
+
+            assert.equal(parse(play.descriptor.null).length, 4);
+        });
+    });
+
+    describe("Descriptor properties", function () {
+        const descriptor = makeDescriptor({ events: [] });
+
+        let document;
+
+        beforeEach(function () {
+            mock.reset();
+            document = makeDocumentModel(mock).addDocument({
+                layers: [{ name: "Top" }, { name: "Bottom" }]
+            });
+        });
+
+        it("gets and sets properties of layers in a document", function () {
+            const reference = {
+                _ref: [
+                    layerLib.referenceBy.id(document.layers[0].layerID),
+                    documentLib.referenceBy.id(document.documentID)
+                ]
+            };
+
+            return descriptor.setProperty(reference, "name", "Lowest")
+                .then(function () {
+                    return descriptor.getProperty(reference, "name");
+                })
+                .then(function (name) {
+                    assert.equal(name, "Lowest");
+                });
+        });
+    });
+});
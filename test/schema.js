@@ -0,0 +1,124 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import * as schema from "../src/ps/schema";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { makeDocumentModel } from "../src/mock/document";
+import * as application from "../src/lib/application";
+import * as documentLib from "../src/lib/document";
+import * as layerLib from "../src/lib/layer";
+import * as ruler from "../src/lib/ruler";
+import * as vectorMask from "../src/lib/vectorMask";
+
+describe("ps/schema", function () {
+    const descriptor = makeDescriptor({ events: [] }),
+        docRef = documentLib.referenceBy.id(1);
+
+    beforeEach(function () {
+        mock.reset();
+        schema.setEnabled(true);
+    });
+
+    afterEach(function () {
+        schema.setEnabled(false);
+    });
+
+    it("passes the commands of the lib modules", function () {
+        const playObjects = [
+            vectorMask.deleteVectorMask(),
+            vectorMask.selectVectorMask(),
+            vectorMask.createRevealAllMask(),
+            vectorMask.createMaskFromShape(3),
+            layerLib.select([docRef, layerLib.referenceBy.id(2), layerLib.referenceBy.id(3)], false, "add"),
+            layerLib.align(layerLib.referenceBy.id([2, 3]), "left"),
+            layerLib.duplicate([layerLib.referenceBy.id(2), docRef], docRef, "Copy"),
+            layerLib.setExtensionData(1, 2, "com.example", "key", "value"),
+            documentLib.insertGuide(docRef, "horizontal", 10),
+            documentLib.clearGuides(docRef),
+            application.setAddCopyToLayerNames(false),
+            ruler.setRulerVisibility(true)
+        ];
+
+        return descriptor.batchPlayObjects(playObjects).then(function () {
+            assert.equal(mock.getCommands().length, playObjects.length);
+        });
+    });
+
+    it("passes property references built by Descriptor", function () {
+        const reference = { _ref: [layerLib.referenceBy.id([2, 3]), docRef] };
+
+        mock.respondToCommand("get", function () {
+            return { name: "Layer" };
+        });
+
+        return descriptor.setProperty(reference, "name", "Layer")
+            .then(function () {
+                return descriptor.getProperty(reference, "name");
+            })
+            .then(function (name) {
+                assert.equal(name, "Layer");
+            });
+    });
+
+    it("passes range and multi-get requests", function () {
+        const document = makeDocumentModel(mock).addDocument({ layers: [{ name: "Top" }, { name: "Bottom" }] }),
+            reference = documentLib.referenceBy.id(document.documentID);
+
+        return descriptor.getPropertyRange(reference, { range: "layer", index: 1, count: 2 }, "name")
+            .then(function (names) {
+                assert.deepEqual(names, ["Bottom", "Top"]);
+
+                return descriptor.batchMultiGetProperties([[reference, layerLib.referenceBy.index(2)]], ["name"]);
+            })
+            .then(function (results) {
+                assert.deepEqual(results, [{ name: "Top" }]);
+            });
+    });
+
+    it("rejects invalid commands before playing them", function () {
+        const commands = [
+            { name: "select", descriptor: { null: { _ref: "layer", _id: 2 } } },
+            { name: "hide", descriptor: { null: { _ref: [docRef, layerLib.referenceBy.id(2)] } } }
+        ];
+
+        return descriptor.batchPlay(commands).then(function () {
+            assert.fail("Expected the commands to be rejected");
+        }, function (err) {
+            assert.equal(err.command, "hide");
+            assert.equal(err.path, "null");
+            assert.deepEqual(mock.getCommands(), []);
+        });
+    });
+
+    it("accepts lists of references in the schema", function () {
+        schema.validateDescriptor("select", { null: [docRef, layerLib.referenceBy.id(2)] });
+
+        assert.throws(function () {
+            schema.validateDescriptor("select", { null: [] });
+        }, /expected reference/);
+    });
+});
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+
+import { errorCodes } from "../src/mock/spaces";
+import { makeDescriptor } from "../src/ps/descriptor";
+
+describe("mock/spaces", function () {
+    let descriptor;
+
+    before(function () {
+        // Created here rather than on load, since the last descriptor created takes over the notifier
+        descriptor = makeDescriptor({ events: ["select"] });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+    });
+
+    it("records the commands played through batchPlay", function () {
+        mock.respondToCommand("get", function (desc) {
+            return { name: "Layer 1", ref: desc.null };
+        });
+
+        return descriptor.batchPlay([
+            { name: "select", descriptor: { null: { _ref: "layer", _id: 3 } } },
+            { name: "get", descriptor: { null: { _ref: "layer", _id: 3 } } }
+        ]).then(function (results) {
+            assert.deepEqual(mock.getCommands().map(function (command) {
+                return command.name;
+            }), ["select", "get"]);
+            assert.deepEqual(results[0], {});
+            assert.equal(results[1].name, "Layer 1");
+        });
+    });
+
+    it("rejects with scripted bridge errors", function () {
+        mock.fail("ps.descriptor.batchPlay", errorCodes.REQUEST_REJECTED, "Busy");
+
+        return descriptor.play("select", {}).then(function () {
+            assert.fail("Expected the command to fail");
+        }, function (err) {
+            assert.equal(err.number, errorCodes.REQUEST_REJECTED);
+        });
+    });
+
+    it("delivers notifications for the registered events only", function () {
+        const events = [];
+
+        descriptor.on("all", function (event, payload) {
+            events.push([event, payload]);
+        });
+
+        assert.ok(mock.notify("notifierGroupPhotoshop", "select", { layerID: [3] }));
+        assert.ok(!mock.notify("notifierGroupPhotoshop", "make", {}));
+        assert.deepEqual(events, [["select", { layerID: [3] }]]);
+
+        descriptor.removeAllListeners("all");
+    });
+
+    it("restores the default state when reset", function () {
+        mock.state.renderMode = "slate";
+        mock.respond("ps.getActiveTool", function () {
+            return { title: "Brush Tool" };
+        });
+
+        mock.reset();
+
+        assert.equal(mock.state.renderMode, "direct");
+        assert.deepEqual(mock.getCalls(), []);
+
+        return new Promise(function (resolve) {
+            _spaces.ps.getActiveTool(function (err, tool) {
+                resolve(tool);
+            });
+        }).then(function (tool) {
+            assert.equal(tool.title, "Move Tool");
+        });
+    });
+});
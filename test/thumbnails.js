@@ -0,0 +1,146 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+import { makeThumbnails } from "../src/ps/thumbnails";
+import { decodeImage, requestImage, imageFormat } from "../src/ps";
+
+describe("ps/thumbnails", function () {
+    const image = Buffer.from("JPEG").toString("base64");
+
+    let descriptor,
+        document,
+        thumbnails;
+
+    /**
+     * Count the images requested from Photoshop so far.
+     *
+     * @return {number}
+     */
+    const countRequests = function () {
+        return mock.getCalls("ps.requestImage").length;
+    };
+
+    before(function () {
+        descriptor = makeDescriptor({ manageEvents: true });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+        mock.state.image = image;
+        document = makeDocumentModel(mock).addDocument({ layers: [{ name: "Title" }] });
+        thumbnails = makeThumbnails(descriptor);
+
+        // Let the descriptor register the history and close events
+        return Promise.resolve();
+    });
+
+    afterEach(function () {
+        thumbnails.dispose();
+    });
+
+    it("decodes images into every format", function () {
+        const bytes = decodeImage(image, imageFormat.BYTES);
+
+        assert.equal(decodeImage(image, imageFormat.BASE64), image);
+        assert.equal(decodeImage(image, imageFormat.DATA_URL), "data:image/jpeg;base64," + image);
+        assert.deepEqual(Array.from(bytes), [74, 80, 69, 71]);
+        assert.equal(decodeImage(image, imageFormat.BLOB).size, 4);
+        assert.throws(function () {
+            decodeImage(image, "png");
+        }, /Unknown image format: png/);
+    });
+
+    it("rejects requests for unknown formats without calling Photoshop", function () {
+        return requestImage(document.documentID, { format: "png" }).then(function () {
+            assert.fail("requested an image in an unknown format");
+        }, function (err) {
+            assert(/Unknown image format: png/.test(err.message));
+            assert.equal(countRequests(), 0);
+        });
+    });
+
+    it("serves images of the same history state from the cache", function () {
+        return thumbnails.getThumbnail(document.documentID).then(function (first) {
+            return Promise.all([
+                first,
+                thumbnails.getThumbnail(document.documentID, { format: imageFormat.BASE64 }),
+                thumbnails.getThumbnail()
+            ]);
+        }).then(function (images) {
+            assert.deepEqual(images, ["data:image/jpeg;base64," + image, image, "data:image/jpeg;base64," + image]);
+            assert.equal(countRequests(), 1);
+        });
+    });
+
+    it("requests a new image after the history state changes", function () {
+        const changes = [];
+
+        thumbnails.on("change", function (documentID) {
+            changes.push(documentID);
+        });
+
+        return thumbnails.getThumbnail(document.documentID).then(function () {
+            return descriptor.setProperty({
+                _ref: [{ _ref: "layer", _id: document.layers[0].layerID },
+                    { _ref: "document", _id: document.documentID }]
+            }, "name", "Heading");
+        }).then(function () {
+            return thumbnails.getThumbnail(document.documentID);
+        }).then(function () {
+            assert.deepEqual(changes, [document.documentID]);
+            assert.equal(countRequests(), 2);
+        });
+    });
+
+    it("drops the images of closed documents", function () {
+        return thumbnails.getThumbnail(document.documentID).then(function () {
+            mock.notify("notifierGroupPhotoshop", "close", { documentID: document.documentID });
+
+            return thumbnails.getThumbnail(document.documentID);
+        }).then(function () {
+            assert.equal(countRequests(), 2);
+        });
+    });
+
+    it("doesn't cache failed requests", function () {
+        mock.fail("ps.requestImage");
+
+        return thumbnails.getThumbnail(document.documentID).then(function () {
+            assert.fail("resolved a failed request");
+        }, function () {
+            mock.reset();
+            mock.state.image = image;
+
+            return thumbnails.getThumbnail(document.documentID);
+        }).then(function (thumbnail) {
+            assert.equal(thumbnail, "data:image/jpeg;base64," + image);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2016 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+import mock from "./helpers/mock";
+
+import assert from "assert";
+import Promise from "bluebird";
+
+import Trace from "../src/util/trace";
+import { makeDocumentModel } from "../src/mock/document";
+import { makeDescriptor } from "../src/ps/descriptor";
+
+describe("util/trace", function () {
+    let descriptor,
+        document,
+        titleRef,
+        events;
+
+    /**
+     * Play a short session: rename a layer, then read its name, and the name of
+     * a layer that doesn't exist.
+     *
+     * @return {Promise.<Array.<PromiseInspection>>}
+     */
+    const playSession = function () {
+        return descriptor.setProperty(titleRef, "name", "Heading")
+            .then(function () {
+                return Promise.all([
+                    descriptor.getProperty(titleRef, "name").reflect(),
+                    descriptor.getProperty({
+                        _ref: [{ _ref: "layer", _id: 999 }, titleRef._ref[1]]
+                    }, "name").reflect()
+                ]);
+            });
+    };
+
+    before(function () {
+        descriptor = makeDescriptor({ events: ["set", "historyStateChanged"] });
+        descriptor.on("all", function (eventID) {
+            events.push(eventID);
+        });
+    });
+
+    beforeEach(function () {
+        mock.reset();
+        document = makeDocumentModel(mock).addDocument({ layers: [{ name: "Title" }] });
+        titleRef = {
+            _ref: [{ _ref: "layer", _id: document.layers[0].layerID }, { _ref: "document", _id: document.documentID }]
+        };
+        events = [];
+    });
+
+    afterEach(function () {
+        descriptor.setTrace(null);
+    });
+
+    it("replays a recorded session without the bridge", function () {
+        const trace = new Trace();
+
+        let recorded;
+
+        descriptor.setTrace(trace);
+        trace.record();
+
+        return playSession().then(function (inspections) {
+            recorded = {
+                name: inspections[0].value(),
+                error: inspections[1].reason().message,
+                events: events
+            };
+            trace.stop();
+
+            const replayed = Trace.fromJSON(JSON.stringify(trace));
+
+            // The responders of the model are gone, so only the trace can answer
+            mock.reset();
+            mock.clearCalls();
+            events = [];
+            descriptor.setTrace(replayed);
+            replayed.replay();
+
+            return playSession();
+        }).delay(5).then(function (inspections) {
+            assert.equal(recorded.name, "Heading");
+            assert.deepEqual(recorded.events, ["set", "historyStateChanged"]);
+            assert.equal(inspections[0].value(), recorded.name);
+            assert.equal(inspections[1].reason().message, recorded.error);
+            assert.deepEqual(events, recorded.events);
+            assert.equal(mock.getCalls("ps.descriptor.batchPlay").length, 0);
+            assert.equal(mock.getCalls("ps.descriptor.get").length, 0);
+        });
+    });
+
+    it("ignores live events while replaying", function () {
+        const trace = new Trace();
+
+        descriptor.setTrace(trace);
+        trace.replay();
+        mock.notify("notifierGroupPhotoshop", "set", { "null": titleRef });
+
+        assert.deepEqual(events, []);
+    });
+
+    it("rejects calls that weren't recorded", function () {
+        const trace = new Trace();
+
+        descriptor.setTrace(trace);
+        trace.replay();
+
+        return descriptor.getProperty(titleRef, "name").then(function () {
+            assert.fail("answered a call that wasn't recorded");
+        }, function (err) {
+            assert(/No recorded response for/.test(err.message));
+        });
+    });
+
+    it("rejects traces of other versions", function () {
+        assert.throws(function () {
+            Trace.fromJSON({ version: 0, entries: [] });
+        }, /Unsupported trace version: 0/);
+    });
+});